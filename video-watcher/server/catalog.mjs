@@ -0,0 +1,592 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { EventEmitter } from 'events';
+import initSqlJs from 'sql.js';
+import { describeEntryForSearch } from './embedding-store.mjs';
+
+// Bump when the schema changes; the catalog is then rebuilt from the JSON files
+const SCHEMA_VERSION = 8;
+
+// Delay before writing the database file after a change; the whole database is
+// exported on every write, so changes arriving together are written once
+const PERSIST_DELAY_MS = 1000;
+
+// Longest a change waits to be written while more changes keep coming
+const PERSIST_MAX_DELAY_MS = 10000;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS videos (
+    json_file TEXT PRIMARY KEY,
+    id TEXT,
+    video_file_name TEXT,
+    video_path TEXT,
+    processed_at TEXT,
+    status TEXT,
+    error TEXT,
+    summary TEXT,
+    duration REAL,
+    width INTEGER,
+    height INTEGER,
+    video_codec TEXT,
+    audio_tracks INTEGER,
+    size INTEGER,
+    recorded_at TEXT,
+    fingerprint TEXT,
+    orphaned_at TEXT,
+    model TEXT,
+    media_status TEXT,
+    search_text TEXT,
+    mtime_ms REAL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_videos_processed_at ON videos(processed_at);
+  CREATE INDEX IF NOT EXISTS idx_videos_file_name ON videos(video_file_name);
+  CREATE INDEX IF NOT EXISTS idx_videos_id ON videos(id);
+  CREATE INDEX IF NOT EXISTS idx_videos_fingerprint ON videos(fingerprint);
+  CREATE INDEX IF NOT EXISTS idx_videos_model ON videos(model);
+  CREATE INDEX IF NOT EXISTS idx_videos_path ON videos(video_path);
+
+  CREATE TABLE IF NOT EXISTS video_terms (
+    json_file TEXT NOT NULL,
+    kind TEXT NOT NULL,
+    value TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_video_terms_value ON video_terms(kind, value);
+  CREATE INDEX IF NOT EXISTS idx_video_terms_file ON video_terms(json_file);
+
+  CREATE TABLE IF NOT EXISTS video_aliases (
+    json_file TEXT NOT NULL,
+    path TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_video_aliases_path ON video_aliases(path);
+  CREATE INDEX IF NOT EXISTS idx_video_aliases_file ON video_aliases(json_file);
+`;
+
+/**
+ * The fields of an entry the video listing shows; raw model output, runs and the
+ * rest of the analysis are left to the routes that read a single entry
+ * @param {Object} entry - Dataset entry
+ * @param {string} jsonFile - Name of its JSON file
+ * @returns {Object} - Listing item
+ */
+function toListItem(entry, jsonFile) {
+  const { id, videoFileName, videoPath, processedAt, media, source, orphanedAt, thumbnail, preview, analysis } = entry;
+  return {
+    id,
+    jsonFile,
+    videoFileName,
+    videoPath,
+    processedAt,
+    media,
+    source,
+    orphanedAt,
+    thumbnail,
+    preview,
+    analysis: analysis && {
+      summary: analysis.summary,
+      topics: analysis.topics,
+      tags: analysis.tags,
+      error: analysis.error,
+      errorCode: analysis.errorCode
+    }
+  };
+}
+
+/**
+ * Embedded SQLite index of the dataset folder.
+ *
+ * The per-video JSON files stay the source of truth; the catalog mirrors them
+ * for fast listing and filtering, is kept in sync by saveToDataset and is
+ * reconciled with the folder on startup.
+ */
+export class DatasetCatalog extends EventEmitter {
+  constructor() {
+    super();
+    this.db = null;
+    this.datasetFolder = null;
+    this.videoFolder = null;
+    this.dbPath = null;
+    this.persistTimer = null;
+    // When the oldest change not yet written was made
+    this.pendingSince = null;
+    this.persistChain = Promise.resolve();
+  }
+
+  /**
+   * Open (or create) the catalog and bring it in line with the JSON files
+   * @param {string} datasetFolder - Folder holding the dataset JSON files
+   * @param {Object} [options]
+   * @param {string} [options.videoFolder] - Folder of the recordings of entries saved without a videoPath
+   */
+  async initialize(datasetFolder, { videoFolder } = {}) {
+    this.datasetFolder = datasetFolder;
+    this.videoFolder = videoFolder || null;
+    this.dbPath = path.join(datasetFolder, 'catalog', 'catalog.sqlite');
+    await fs.mkdir(path.dirname(this.dbPath), { recursive: true });
+
+    const SQL = await initSqlJs();
+    try {
+      const buffer = await fs.readFile(this.dbPath);
+      this.db = new SQL.Database(buffer);
+      if (this.getSchemaVersion() !== SCHEMA_VERSION) {
+        console.log('Catalog schema changed, rebuilding catalog');
+        this.db.close();
+        this.db = new SQL.Database();
+      }
+    } catch {
+      console.log('No existing catalog found, building catalog from dataset files');
+      this.db = new SQL.Database();
+    }
+
+    this.db.exec(SCHEMA);
+    this.db.exec(`PRAGMA user_version = ${SCHEMA_VERSION}`);
+
+    await this.sync();
+  }
+
+  /**
+   * @returns {number} - Schema version stored in the database
+   */
+  getSchemaVersion() {
+    const result = this.db.exec('PRAGMA user_version');
+    return result[0]?.values[0][0] ?? 0;
+  }
+
+  /**
+   * Reconcile the catalog with the dataset folder: re-read changed files and
+   * drop rows whose file is gone
+   */
+  async sync() {
+    const files = (await fs.readdir(this.datasetFolder)).filter(file => file.endsWith('.json'));
+    const known = new Map(
+      this.select('SELECT json_file, mtime_ms FROM videos').map(row => [row.json_file, row.mtime_ms])
+    );
+
+    let updated = 0;
+    for (const file of files) {
+      try {
+        const stat = await fs.stat(path.join(this.datasetFolder, file));
+        if (known.get(file) === stat.mtimeMs) continue;
+
+        const entry = JSON.parse(await fs.readFile(path.join(this.datasetFolder, file), 'utf-8'));
+        this.writeRow(file, entry, stat.mtimeMs);
+        this.emit('upsert', { jsonFile: file, entry });
+        updated++;
+      } catch (error) {
+        console.error(`Error indexing dataset file ${file}:`, error.message);
+      }
+    }
+
+    const present = new Set(files);
+    let removed = 0;
+    for (const file of known.keys()) {
+      if (!present.has(file)) {
+        this.deleteRow(file);
+        this.emit('remove', { jsonFile: file });
+        removed++;
+      }
+    }
+
+    console.log(`Catalog synced: ${files.length} entries, ${updated} updated, ${removed} removed`);
+    if (updated > 0 || removed > 0) {
+      await this.persist();
+    }
+  }
+
+  /**
+   * Record a dataset entry that was just written to disk
+   * @param {string} jsonPath - Path of the entry's JSON file
+   * @param {Object} entry - The dataset entry
+   */
+  async upsertEntry(jsonPath, entry) {
+    if (!this.db) return;
+
+    const stat = await fs.stat(jsonPath);
+    const jsonFile = path.basename(jsonPath);
+    this.writeRow(jsonFile, entry, stat.mtimeMs);
+    this.schedulePersist();
+    this.emit('upsert', { jsonFile, entry });
+  }
+
+  /**
+   * Forget a dataset entry
+   * @param {string} jsonFile - Name of the entry's JSON file
+   */
+  removeEntry(jsonFile) {
+    this.deleteRow(jsonFile);
+    this.schedulePersist();
+    this.emit('remove', { jsonFile });
+  }
+
+  /**
+   * Insert or replace the rows for one entry
+   */
+  writeRow(jsonFile, entry, mtimeMs) {
+    const analysis = entry.analysis || {};
+    const media = entry.media || {};
+    // Runs are listed without their results; the active one is the entry's analysis
+    // and the others are read from the JSON file when they are needed
+    const stored = Array.isArray(entry.runs)
+      ? { ...entry, runs: entry.runs.map(run => ({ ...run, analysis: undefined })) }
+      : entry;
+    this.deleteRow(jsonFile);
+    this.db.run(
+      `INSERT INTO videos (json_file, id, video_file_name, video_path, processed_at, status, error, summary,
+         duration, width, height, video_codec, audio_tracks, size, recorded_at, fingerprint, orphaned_at, model,
+         media_status, search_text, mtime_ms, data)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        jsonFile,
+        entry.id || null,
+        entry.videoFileName || null,
+        this.resolveVideoPath(entry),
+        entry.processedAt || null,
+        analysis.error ? 'error' : 'ok',
+        analysis.error || null,
+        analysis.summary || null,
+        media.duration ?? null,
+        media.video?.width ?? null,
+        media.video?.height ?? null,
+        media.video?.codec?.toLowerCase() ?? null,
+        Array.isArray(media.audioTracks) ? media.audioTracks.length : null,
+        media.size ?? null,
+        media.recordedAt ?? null,
+        entry.fingerprint || null,
+        entry.orphanedAt || null,
+        analysis.model || null,
+        entry.media ? (entry.media.error ? 'error' : 'ok') : null,
+        describeEntryForSearch(entry),
+        mtimeMs,
+        JSON.stringify(stored)
+      ]
+    );
+
+    // Paths are compared resolved, as the watcher reports them
+    for (const alias of Array.isArray(entry.aliases) ? entry.aliases : []) {
+      this.db.run('INSERT INTO video_aliases (json_file, path) VALUES (?, ?)', [jsonFile, path.resolve(alias)]);
+    }
+
+    const terms = [
+      ...(Array.isArray(analysis.tags) ? analysis.tags.map(value => ['tag', value]) : []),
+      ...(Array.isArray(analysis.topics) ? analysis.topics.map(value => ['topic', value]) : []),
+      // Versions of the analysis and inference prompts
+      ...Object.values(analysis.prompts || {}).map(prompt => ['prompt', prompt?.version])
+    ];
+    for (const [kind, value] of terms) {
+      if (typeof value !== 'string') continue;
+      this.db.run('INSERT INTO video_terms (json_file, kind, value) VALUES (?, ?, ?)', [jsonFile, kind, value.toLowerCase()]);
+    }
+  }
+
+  /**
+   * Absolute path of an entry's recording, as stored in the video_path column
+   * @param {Object} entry - Dataset entry
+   * @returns {string|null} - videoPath resolved, or the file name in the video folder for entries without one
+   */
+  resolveVideoPath(entry) {
+    if (entry.videoPath) return path.resolve(entry.videoPath);
+    if (entry.videoFileName && this.videoFolder) return path.resolve(this.videoFolder, entry.videoFileName);
+    return null;
+  }
+
+  deleteRow(jsonFile) {
+    this.db.run('DELETE FROM videos WHERE json_file = ?', [jsonFile]);
+    this.db.run('DELETE FROM video_terms WHERE json_file = ?', [jsonFile]);
+    this.db.run('DELETE FROM video_aliases WHERE json_file = ?', [jsonFile]);
+  }
+
+  /**
+   * Run a query and return the rows as objects
+   * @param {string} sql - SQL statement
+   * @param {Array} params - Bound parameters
+   * @returns {Array<Object>} - Rows
+   */
+  select(sql, params = []) {
+    // Requests can arrive before the catalog has been opened
+    if (!this.db) return [];
+
+    const statement = this.db.prepare(sql);
+    try {
+      statement.bind(params);
+      const rows = [];
+      while (statement.step()) {
+        rows.push(statement.getAsObject());
+      }
+      return rows;
+    } finally {
+      statement.free();
+    }
+  }
+
+  /**
+   * Build the WHERE clause for a filter
+   * @param {Object} filter
+   * @param {string} [filter.from] - Only entries processed at or after this ISO date
+   * @param {string} [filter.to] - Only entries processed at or before this ISO date
+   * @param {string} [filter.tag] - Only entries with this tag (case-insensitive)
+   * @param {string} [filter.topic] - Only entries with this topic (case-insensitive)
+   * @param {string} [filter.status] - ok or error
+   * @param {number} [filter.minDuration] - Only recordings at least this many seconds long
+   * @param {number} [filter.maxDuration] - Only recordings at most this many seconds long
+   * @param {number} [filter.minHeight] - Only recordings with at least this vertical resolution
+   * @param {string} [filter.codec] - Only recordings with this video codec (case-insensitive)
+   * @param {boolean} [filter.hasAudio] - Only recordings with (true) or without (false) audio
+   * @param {boolean} [filter.orphaned] - Only entries whose recording is missing (true) or present (false)
+   * @param {string} [filter.model] - Only entries analyzed with this model
+   * @param {string} [filter.promptVersion] - Only entries analyzed with this version of a prompt
+   * @returns {Object} - SQL clause and its parameters
+   */
+  buildWhere({ from, to, tag, topic, status, minDuration, maxDuration, minHeight, codec, hasAudio, orphaned, model, promptVersion } = {}) {
+    const clauses = [];
+    const params = [];
+
+    if (from) {
+      clauses.push('processed_at >= ?');
+      params.push(from);
+    }
+    if (to) {
+      clauses.push('processed_at <= ?');
+      params.push(to);
+    }
+    if (status) {
+      clauses.push('status = ?');
+      params.push(status);
+    }
+    if (minDuration !== undefined) {
+      clauses.push('duration >= ?');
+      params.push(minDuration);
+    }
+    if (maxDuration !== undefined) {
+      clauses.push('duration <= ?');
+      params.push(maxDuration);
+    }
+    if (minHeight !== undefined) {
+      clauses.push('height >= ?');
+      params.push(minHeight);
+    }
+    if (codec) {
+      clauses.push('video_codec = ?');
+      params.push(codec.toLowerCase());
+    }
+    if (hasAudio !== undefined) {
+      clauses.push(hasAudio ? 'audio_tracks > 0' : 'audio_tracks = 0');
+    }
+    if (orphaned !== undefined) {
+      clauses.push(orphaned ? 'orphaned_at IS NOT NULL' : 'orphaned_at IS NULL');
+    }
+    if (model) {
+      clauses.push('model = ?');
+      params.push(model);
+    }
+    for (const [kind, value] of [['tag', tag], ['topic', topic], ['prompt', promptVersion]]) {
+      if (value) {
+        clauses.push('json_file IN (SELECT json_file FROM video_terms WHERE kind = ? AND value = ?)');
+        params.push(kind, value.toLowerCase());
+      }
+    }
+
+    return {
+      where: clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '',
+      params
+    };
+  }
+
+  /**
+   * List dataset entries
+   * @param {Object} options - Filter fields (see buildWhere) plus:
+   * @param {string} [options.order] - asc or desc by processing time (default desc)
+   * @param {number} [options.limit] - Maximum number of entries
+   * @param {number} [options.offset] - Number of entries to skip
+   * @param {boolean} [options.full] - Return whole entries instead of the listing fields (see toListItem)
+   * @returns {Object} - { videos, total } where each video carries the name of its JSON file
+   *   as jsonFile, and total ignores limit/offset
+   */
+  query({ order = 'desc', limit, offset = 0, full = false, ...filter } = {}) {
+    const { where, params } = this.buildWhere(filter);
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+    const page = limit ? 'LIMIT ? OFFSET ?' : '';
+    const pageParams = limit ? [limit, offset] : [];
+
+    const rows = this.select(
+      `SELECT json_file, data FROM videos ${where} ORDER BY processed_at ${direction}, json_file ${direction} ${page}`,
+      [...params, ...pageParams]
+    );
+
+    return {
+      videos: rows.map(row => full
+        ? { ...JSON.parse(row.data), jsonFile: row.json_file }
+        : toListItem(JSON.parse(row.data), row.json_file)),
+      total: this.count(filter)
+    };
+  }
+
+  /**
+   * Count dataset entries matching a filter
+   * @param {Object} filter - See buildWhere
+   * @returns {number}
+   */
+  count(filter = {}) {
+    const { where, params } = this.buildWhere(filter);
+    return this.select(`SELECT COUNT(*) AS total FROM videos ${where}`, params)[0]?.total ?? 0;
+  }
+
+  /**
+   * Iterate over all entries with their JSON file names
+   * @returns {Array<Object>} - { jsonFile, entry } pairs
+   */
+  entries() {
+    return this.select('SELECT json_file, data FROM videos ORDER BY processed_at DESC')
+      .map(row => ({ jsonFile: row.json_file, entry: JSON.parse(row.data) }));
+  }
+
+  /**
+   * Where the recording of every entry is, read from the columns without parsing the entries
+   * @returns {Array<Object>} - { jsonFile, videoFileName, videoPath, orphanedAt }
+   */
+  locations() {
+    return this.select('SELECT json_file, video_file_name, video_path, orphaned_at FROM videos ORDER BY processed_at DESC')
+      .map(row => ({
+        jsonFile: row.json_file,
+        videoFileName: row.video_file_name,
+        videoPath: row.video_path,
+        orphanedAt: row.orphaned_at
+      }));
+  }
+
+  /**
+   * Text of every entry as search sees it (see describeEntryForSearch), without parsing the entries
+   * @returns {Array<Object>} - { jsonFile, videoFileName, videoPath, processedAt, text }
+   */
+  searchTexts() {
+    return this.select('SELECT json_file, video_file_name, video_path, processed_at, search_text FROM videos ORDER BY processed_at DESC')
+      .map(row => ({
+        jsonFile: row.json_file,
+        videoFileName: row.video_file_name,
+        videoPath: row.video_path,
+        processedAt: row.processed_at,
+        text: row.search_text || ''
+      }));
+  }
+
+  /**
+   * Entries with a recording on disk that lack a fingerprint or media metadata, or whose probe failed
+   * @returns {Array<Object>} - { jsonFile, entry } pairs
+   */
+  entriesNeedingMetadata() {
+    return this.select(
+      `SELECT json_file, data FROM videos
+       WHERE video_file_name IS NOT NULL AND orphaned_at IS NULL
+         AND (fingerprint IS NULL OR media_status IS NULL OR media_status = 'error')`
+    ).map(row => ({ jsonFile: row.json_file, entry: JSON.parse(row.data) }));
+  }
+
+  /**
+   * Get the entry for a JSON file
+   * @param {string} jsonFile - Name of the entry's JSON file
+   * @returns {Object|null} - The dataset entry
+   */
+  get(jsonFile) {
+    const [row] = this.select('SELECT data FROM videos WHERE json_file = ?', [jsonFile]);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  /**
+   * Get the entry with a dataset id
+   * @param {string} id - Dataset entry id
+   * @returns {Object|null} - { jsonFile, entry } or null
+   */
+  findById(id) {
+    const [row] = this.select('SELECT json_file, data FROM videos WHERE id = ?', [id]);
+    return row ? { jsonFile: row.json_file, entry: JSON.parse(row.data) } : null;
+  }
+
+  /**
+   * Get the entry of a video file
+   * @param {string} videoPath - Path the video was analyzed from, relative or absolute
+   * @returns {Object|null} - { jsonFile, entry } or null
+   */
+  findByVideoPath(videoPath) {
+    const [row] = this.select('SELECT json_file, data FROM videos WHERE video_path = ? LIMIT 1', [path.resolve(videoPath)]);
+    return row ? { jsonFile: row.json_file, entry: JSON.parse(row.data) } : null;
+  }
+
+  /**
+   * Get the entries that list a video file as a copy of their recording
+   * @param {string} videoPath - Path of the copy
+   * @returns {Array<Object>} - { jsonFile, entry } pairs
+   */
+  findByAlias(videoPath) {
+    return this.select(
+      'SELECT json_file, data FROM videos WHERE json_file IN (SELECT json_file FROM video_aliases WHERE path = ?)',
+      [path.resolve(videoPath)]
+    ).map(row => ({ jsonFile: row.json_file, entry: JSON.parse(row.data) }));
+  }
+
+  /**
+   * Get the most recent entry of a video file name
+   * @param {string} videoFileName - File name of the video
+   * @returns {Object|null} - { jsonFile, entry } or null
+   */
+  findByVideoFileName(videoFileName) {
+    const [row] = this.select(
+      'SELECT json_file, data FROM videos WHERE video_file_name = ? ORDER BY processed_at DESC LIMIT 1',
+      [videoFileName]
+    );
+    return row ? { jsonFile: row.json_file, entry: JSON.parse(row.data) } : null;
+  }
+
+  /**
+   * Get the entry analyzed from the same content
+   * @param {string} fingerprint - Content fingerprint
+   * @returns {Object|null} - { jsonFile, entry } of the most recent matching entry, or null
+   */
+  findByFingerprint(fingerprint) {
+    const [row] = this.select(
+      'SELECT json_file, data FROM videos WHERE fingerprint = ? ORDER BY processed_at DESC LIMIT 1',
+      [fingerprint]
+    );
+    return row ? { jsonFile: row.json_file, entry: JSON.parse(row.data) } : null;
+  }
+
+  /**
+   * @returns {Array<string>} - File names of all videos in the catalog
+   */
+  videoFileNames() {
+    return this.select('SELECT DISTINCT video_file_name FROM videos WHERE video_file_name IS NOT NULL')
+      .map(row => row.video_file_name);
+  }
+
+  /**
+   * Write the database once changes stop for PERSIST_DELAY_MS, or PERSIST_MAX_DELAY_MS
+   * after the first of them at the latest
+   */
+  schedulePersist() {
+    clearTimeout(this.persistTimer);
+    this.pendingSince ??= Date.now();
+    const delay = Math.min(PERSIST_DELAY_MS, Math.max(this.pendingSince + PERSIST_MAX_DELAY_MS - Date.now(), 0));
+    this.persistTimer = setTimeout(() => this.persist(), delay);
+  }
+
+  /**
+   * Write the database to disk through a temporary file, one write at a time
+   * @returns {Promise<void>}
+   */
+  persist() {
+    clearTimeout(this.persistTimer);
+    this.pendingSince = null;
+    this.persistChain = this.persistChain.then(async () => {
+      try {
+        const tmpPath = `${this.dbPath}.tmp`;
+        await fs.writeFile(tmpPath, Buffer.from(this.db.export()));
+        await fs.rename(tmpPath, this.dbPath);
+      } catch (error) {
+        console.error('Error persisting catalog:', error);
+      }
+    });
+    return this.persistChain;
+  }
+}
+
+// Export singleton instance
+const catalog = new DatasetCatalog();
+export default catalog;
@@ -0,0 +1,111 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { runFfmpeg, runFfprobe } from './ffmpeg.mjs';
+
+// Recordings longer than this (seconds) or larger than this (bytes) are split; 0 disables the limit
+const MAX_CHUNK_SECONDS = parseFloat(process.env.VIDEO_CHUNK_MAX_SECONDS || String(30 * 60));
+const MAX_CHUNK_BYTES = parseFloat(process.env.VIDEO_CHUNK_MAX_BYTES || String(1024 * 1024 * 1024));
+
+// Seconds shared by consecutive chunks, so nothing said across a cut is lost
+const CHUNK_OVERLAP_SECONDS = parseFloat(process.env.VIDEO_CHUNK_OVERLAP_SECONDS || '10');
+
+// Shortest chunk worth analyzing on its own
+const MIN_CHUNK_SECONDS = 30;
+
+/**
+ * Get the duration of a video
+ * @param {string} filePath - Path to the video file
+ * @returns {Promise<number>} - Duration in seconds
+ */
+export async function probeDuration(filePath) {
+  const { stdout } = await runFfprobe([
+    '-v', 'error',
+    '-show_entries', 'format=duration',
+    '-of', 'default=noprint_wrappers=1:nokey=1',
+    filePath
+  ]);
+  const duration = parseFloat(stdout.trim());
+  if (!Number.isFinite(duration) || duration <= 0) {
+    throw new Error(`Could not read the duration of ${path.basename(filePath)}`);
+  }
+  return duration;
+}
+
+/**
+ * Work out where to cut a recording
+ * @param {number} duration - Length of the video in seconds
+ * @param {number} size - Size of the file in bytes
+ * @param {Object} [limits]
+ * @param {number} [limits.maxSeconds] - Longest chunk (0 for no limit)
+ * @param {number} [limits.maxBytes] - Largest chunk, estimated from the average bitrate (0 for no limit)
+ * @param {number} [limits.overlap] - Seconds shared by consecutive chunks
+ * @returns {Array<Object>} - { index, start, end } in seconds; a single chunk when no split is needed
+ */
+export function planChunks(duration, size, {
+  maxSeconds = MAX_CHUNK_SECONDS,
+  maxBytes = MAX_CHUNK_BYTES,
+  overlap = CHUNK_OVERLAP_SECONDS
+} = {}) {
+  let chunkLength = duration;
+  if (maxSeconds > 0) {
+    chunkLength = Math.min(chunkLength, maxSeconds);
+  }
+  if (maxBytes > 0 && size > maxBytes) {
+    chunkLength = Math.min(chunkLength, duration * (maxBytes / size));
+  }
+  chunkLength = Math.max(chunkLength, MIN_CHUNK_SECONDS);
+
+  if (chunkLength >= duration) {
+    return [{ index: 0, start: 0, end: duration }];
+  }
+
+  const step = Math.max(chunkLength - overlap, MIN_CHUNK_SECONDS / 2);
+  const chunks = [];
+  for (let start = 0; start < duration; start += step) {
+    const end = Math.min(start + chunkLength, duration);
+    chunks.push({ index: chunks.length, start, end });
+    if (end >= duration) break;
+  }
+  return chunks;
+}
+
+/**
+ * Plan the chunks for a file on disk
+ * @param {string} filePath - Path to the video file
+ * @returns {Promise<Array<Object>>} - See planChunks
+ */
+export async function planChunksForFile(filePath) {
+  const [duration, stat] = await Promise.all([probeDuration(filePath), fs.stat(filePath)]);
+  return planChunks(duration, stat.size);
+}
+
+/**
+ * Cut one chunk out of a recording into a temporary MP4.
+ * Streams are copied, so the cut snaps to the keyframe before the start.
+ * @param {string} filePath - Source video
+ * @param {Object} chunk - { index, start, end }
+ * @returns {Promise<Object>} - chunkPath and a cleanup function
+ */
+export async function extractChunk(filePath, chunk) {
+  const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'video-watcher-chunk-'));
+  const chunkPath = path.join(tmpDir, `${path.parse(filePath).name}.part${chunk.index + 1}.mp4`);
+  const cut = ['-y', '-ss', String(chunk.start), '-i', filePath, '-t', String(chunk.end - chunk.start), '-map', '0:v?', '-map', '0:a?'];
+
+  try {
+    try {
+      await runFfmpeg([...cut, '-c', 'copy', '-avoid_negative_ts', 'make_zero', '-movflags', '+faststart', chunkPath]);
+    } catch {
+      // Audio codecs MP4 can't hold as-is are re-encoded to AAC
+      await runFfmpeg([...cut, '-c:v', 'copy', '-c:a', 'aac', '-avoid_negative_ts', 'make_zero', '-movflags', '+faststart', chunkPath]);
+    }
+  } catch (error) {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+    throw new Error(`Failed to cut part ${chunk.index + 1} of ${path.basename(filePath)}: ${error.message}`);
+  }
+
+  return {
+    chunkPath,
+    cleanup: () => fs.rm(tmpDir, { recursive: true, force: true })
+  };
+}
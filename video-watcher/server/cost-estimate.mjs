@@ -0,0 +1,126 @@
+/**
+ * Rough token and cost estimates for analyzing recordings again, so a bulk
+ * reprocess can be checked before anything is sent to the model.
+ */
+
+// Gemini counts about 258 tokens per second of video frames plus 32 for the audio
+const VIDEO_TOKENS_PER_SECOND = 290;
+
+// Prompt text sent with each recording, and the answer, per analysis mode
+const PROMPT_TOKENS = 600;
+const OUTPUT_TOKENS = { summary: 800, segments: 1600 };
+
+// The inference pass sends the analysis back as text and gets the insights
+const INFERENCE_INPUT_TOKENS = 2000;
+const INFERENCE_OUTPUT_TOKENS = 600;
+
+// USD per million tokens, matched by the longest model name prefix; MODEL_PRICES
+// (JSON, e.g. {"my-model": {"input": 0.1, "output": 0.4}}) adds or replaces entries
+const MODEL_PRICES = {
+  'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+  'gemini-1.5-pro': { input: 1.25, output: 5 },
+  'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+  'gemini-2.0-flash-lite': { input: 0.075, output: 0.3 },
+  'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+  'gemini-2.5-pro': { input: 1.25, output: 10 },
+  ...parsePrices(process.env.MODEL_PRICES)
+};
+
+/**
+ * @param {string} [json] - MODEL_PRICES from the environment
+ * @returns {Object} - Prices keyed by model name
+ */
+function parsePrices(json) {
+  if (!json) return {};
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    console.warn('Ignoring MODEL_PRICES, it is not valid JSON:', error.message);
+    return {};
+  }
+}
+
+/**
+ * @param {string} model - Model name
+ * @returns {Object|null} - { input, output } in USD per million tokens
+ */
+export function getModelPrice(model) {
+  const prefix = Object.keys(MODEL_PRICES)
+    .filter(name => model.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? MODEL_PRICES[prefix] : null;
+}
+
+/**
+ * Estimate the tokens and cost of analyzing one recording
+ * @param {Object} options
+ * @param {number} options.duration - Length of the recording in seconds
+ * @param {string} options.model - Analysis model
+ * @param {string} options.mode - summary or segments
+ * @param {boolean} options.inference - Whether the inference pass runs
+ * @returns {Object} - { inputTokens, outputTokens, cost } where cost is null for a model without a price
+ */
+export function estimateAnalysis({ duration, model, mode, inference }) {
+  let inputTokens = Math.ceil(duration * VIDEO_TOKENS_PER_SECOND) + PROMPT_TOKENS;
+  let outputTokens = OUTPUT_TOKENS[mode] || OUTPUT_TOKENS.summary;
+  if (inference) {
+    inputTokens += INFERENCE_INPUT_TOKENS;
+    outputTokens += INFERENCE_OUTPUT_TOKENS;
+  }
+
+  const price = getModelPrice(model);
+  const cost = price ? (inputTokens * price.input + outputTokens * price.output) / 1e6 : null;
+  return { inputTokens, outputTokens, cost };
+}
+
+/**
+ * Add up the estimates of a batch of recordings
+ * @param {Array<Object>} items - { duration, model, mode, inference } per recording;
+ *   recordings without a known duration are counted but not estimated
+ * @returns {Object} - { videos, seconds, withoutDuration, inputTokens, outputTokens, cost, currency,
+ *   byModel, unpricedModels }
+ */
+export function estimateBatch(items) {
+  const estimate = {
+    videos: items.length,
+    seconds: 0,
+    withoutDuration: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    cost: 0,
+    currency: 'USD',
+    byModel: {},
+    unpricedModels: []
+  };
+
+  for (const item of items) {
+    const byModel = estimate.byModel[item.model] ||= { videos: 0, inputTokens: 0, outputTokens: 0, cost: 0 };
+    byModel.videos++;
+    if (!Number.isFinite(item.duration)) {
+      estimate.withoutDuration++;
+      continue;
+    }
+
+    const { inputTokens, outputTokens, cost } = estimateAnalysis(item);
+    estimate.seconds += item.duration;
+    estimate.inputTokens += inputTokens;
+    estimate.outputTokens += outputTokens;
+    byModel.inputTokens += inputTokens;
+    byModel.outputTokens += outputTokens;
+    if (cost === null) {
+      byModel.cost = null;
+    } else {
+      estimate.cost += cost;
+      if (byModel.cost !== null) byModel.cost += cost;
+    }
+  }
+
+  estimate.unpricedModels = Object.keys(estimate.byModel).filter(model => estimate.byModel[model].cost === null);
+  // A single short recording costs a fraction of a cent
+  const round = cost => Math.round(cost * 1e4) / 1e4;
+  estimate.cost = round(estimate.cost);
+  for (const byModel of Object.values(estimate.byModel)) {
+    if (byModel.cost !== null) byModel.cost = round(byModel.cost);
+  }
+  return estimate;
+}
@@ -0,0 +1,260 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { getProvider, MODELS } from './providers/index.mjs';
+import { hashEmbed, HASH_EMBEDDING_DIMENSIONS } from './providers/hash-embedder.mjs';
+
+// Which embedder to use: provider (the configured model provider) or local (feature hashing, offline)
+const EMBEDDER = process.env.EMBEDDER || 'provider';
+
+// Longest text sent to the embedder for one entry
+const MAX_EMBED_CHARS = 8000;
+
+// Entries embedded per request while backfilling
+const EMBED_BATCH_SIZE = 20;
+
+/**
+ * Build the text that represents an entry for search
+ * @param {Object} entry - Dataset entry
+ * @returns {string} - Summary, transcript, topics and insights as plain text
+ */
+export function describeEntryForSearch(entry) {
+  const analysis = entry.analysis || {};
+  let textContent = '';
+
+  if (analysis.summary) {
+    textContent += `Summary: ${analysis.summary}\n\n`;
+  }
+
+  if (analysis.transcript) {
+    textContent += `Transcript: ${analysis.transcript}\n\n`;
+  }
+
+  if (analysis.topics && analysis.topics.length > 0) {
+    textContent += `Topics: ${analysis.topics.join(', ')}\n\n`;
+  }
+
+  if (analysis.segments && analysis.segments.length > 0) {
+    textContent += 'Segments:\n';
+    analysis.segments.forEach(segment => {
+      textContent += `- ${segment.summary}\n`;
+    });
+    textContent += '\n';
+  }
+
+  if (analysis.inferred_insights && analysis.inferred_insights.length > 0) {
+    textContent += 'Insights:\n';
+    analysis.inferred_insights.forEach(insight => {
+      textContent += `- ${insight.insight} (Basis: ${insight.basis})\n`;
+    });
+    textContent += '\n';
+  }
+
+  return textContent;
+}
+
+/**
+ * Create the configured embedder
+ * @returns {Object} - { id, embed(texts) } where id changes whenever vectors become incomparable
+ */
+function createEmbedder() {
+  if (EMBEDDER === 'local') {
+    return {
+      id: `local:hash-${HASH_EMBEDDING_DIMENSIONS}`,
+      embed: async texts => texts.map(text => hashEmbed(text))
+    };
+  }
+
+  if (EMBEDDER !== 'provider') {
+    throw new Error(`Unknown embedder: ${EMBEDDER}`);
+  }
+
+  const provider = getProvider();
+  return {
+    id: `${provider.name}:${MODELS.embedding}`,
+    embed: async texts => (await provider.embed({ model: MODELS.embedding, texts })).embeddings
+  };
+}
+
+/**
+ * Cosine similarity of two vectors
+ * @param {Array<number>} a
+ * @param {Array<number>} b
+ * @returns {number} - Between -1 and 1, 0 for mismatched or empty vectors
+ */
+function cosineSimilarity(a, b) {
+  if (a.length !== b.length) return 0;
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * @param {string} text
+ * @returns {string} - Content hash used to detect changed entries
+ */
+function hashText(text) {
+  return crypto.createHash('sha1').update(text).digest('hex');
+}
+
+/**
+ * Vector index of dataset entries for semantic search.
+ *
+ * One vector per entry, keyed by JSON file name and persisted as JSON. The
+ * hash of the embedded text is stored with each vector so unchanged entries
+ * aren't embedded again, and switching the embedder re-embeds everything.
+ */
+export class EmbeddingStore {
+  constructor() {
+    this.storePath = null;
+    this.embedder = null;
+    // jsonFile -> { textHash, vector }
+    this.vectors = new Map();
+    // Whether every entry has been embedded once since startup; until then search misses entries
+    this.ready = false;
+    // Serializes embedding work so entries aren't embedded twice concurrently
+    this.queue = Promise.resolve();
+    this.persistChain = Promise.resolve();
+  }
+
+  /**
+   * Load stored vectors
+   * @param {string} storePath - JSON file holding the vectors
+   */
+  async initialize(storePath) {
+    this.storePath = storePath;
+    this.embedder = createEmbedder();
+    await fs.mkdir(path.dirname(storePath), { recursive: true });
+
+    try {
+      const saved = JSON.parse(await fs.readFile(storePath, 'utf-8'));
+      if (saved.embedder === this.embedder.id) {
+        this.vectors = new Map(Object.entries(saved.vectors || {}));
+      } else {
+        console.log(`Embedder changed from ${saved.embedder} to ${this.embedder.id}, re-embedding all entries`);
+      }
+    } catch {
+      console.log('No existing embedding store found, starting fresh');
+    }
+  }
+
+  /**
+   * Run embedding work one job at a time
+   * @param {Function} task - Async function
+   * @returns {Promise<*>}
+   */
+  enqueue(task) {
+    const run = this.queue.then(task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Embed every entry that is missing or changed and drop vectors of entries that are gone
+   * @param {Array<Object>} items - All { jsonFile, entry } pairs
+   * @returns {Promise<number>} - Number of entries embedded
+   */
+  sync(items) {
+    return this.enqueue(async () => {
+      const present = new Set(items.map(item => item.jsonFile));
+      let removed = 0;
+      for (const jsonFile of this.vectors.keys()) {
+        if (!present.has(jsonFile) && this.vectors.delete(jsonFile)) removed++;
+      }
+
+      const stale = items
+        .map(({ jsonFile, entry }) => ({ jsonFile, text: describeEntryForSearch(entry).slice(0, MAX_EMBED_CHARS) }))
+        .filter(({ jsonFile, text }) => text && this.vectors.get(jsonFile)?.textHash !== hashText(text));
+
+      for (let i = 0; i < stale.length; i += EMBED_BATCH_SIZE) {
+        const batch = stale.slice(i, i + EMBED_BATCH_SIZE);
+        const vectors = await this.embedder.embed(batch.map(item => item.text));
+        batch.forEach((item, index) => {
+          this.vectors.set(item.jsonFile, { textHash: hashText(item.text), vector: vectors[index] });
+        });
+      }
+
+      if (removed > 0 || stale.length > 0) {
+        await this.persist();
+      }
+      this.ready = true;
+      return stale.length;
+    });
+  }
+
+  /**
+   * Embed a single entry, e.g. right after it was saved
+   * @param {string} jsonFile - Entry key
+   * @param {Object} entry - Dataset entry
+   */
+  index(jsonFile, entry) {
+    return this.enqueue(async () => {
+      const text = describeEntryForSearch(entry).slice(0, MAX_EMBED_CHARS);
+      // Saving an entry without changing its text, e.g. a new thumbnail, doesn't touch the store
+      if (!text) {
+        if (this.vectors.delete(jsonFile)) await this.persist();
+      } else if (this.vectors.get(jsonFile)?.textHash !== hashText(text)) {
+        const [vector] = await this.embedder.embed([text]);
+        this.vectors.set(jsonFile, { textHash: hashText(text), vector });
+        await this.persist();
+      }
+    });
+  }
+
+  /**
+   * Forget an entry
+   * @param {string} jsonFile - Entry key
+   */
+  remove(jsonFile) {
+    return this.enqueue(async () => {
+      if (this.vectors.delete(jsonFile)) {
+        await this.persist();
+      }
+    });
+  }
+
+  /**
+   * Find the entries closest to a query
+   * @param {string} query - Free text query
+   * @param {Object} options
+   * @param {number} [options.limit] - Number of candidates to return
+   * @returns {Promise<Array<Object>>} - { jsonFile, similarity } ordered by similarity
+   */
+  async search(query, { limit = 20 } = {}) {
+    if (this.vectors.size === 0) return [];
+
+    const [queryVector] = await this.embedder.embed([query]);
+    return [...this.vectors.entries()]
+      .map(([jsonFile, { vector }]) => ({ jsonFile, similarity: cosineSimilarity(queryVector, vector) }))
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, limit);
+  }
+
+  /**
+   * Write the vectors to disk (serialized, through a temporary file)
+   */
+  persist() {
+    this.persistChain = this.persistChain.then(async () => {
+      const tmpPath = `${this.storePath}.tmp`;
+      const data = {
+        embedder: this.embedder.id,
+        vectors: Object.fromEntries(this.vectors)
+      };
+      await fs.writeFile(tmpPath, JSON.stringify(data), 'utf-8');
+      await fs.rename(tmpPath, this.storePath);
+    }).catch(error => {
+      console.error('Error persisting embedding store:', error);
+    });
+    return this.persistChain;
+  }
+}
+
+// Export singleton instance
+const embeddingStore = new EmbeddingStore();
+export default embeddingStore;
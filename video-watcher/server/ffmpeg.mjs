@@ -0,0 +1,45 @@
+import { execFile } from 'child_process';
+
+// ffmpeg and ffprobe binaries, overridable when they are not on the PATH
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+
+// Large enough for the stderr of long ffmpeg runs
+const MAX_BUFFER = 64 * 1024 * 1024;
+
+/**
+ * Run a binary with arguments (no shell, so paths never need quoting)
+ * @param {string} binary - Executable to run
+ * @param {Array<string>} args - Command line arguments
+ * @returns {Promise<Object>} - stdout and stderr of the process
+ */
+function run(binary, args) {
+  return new Promise((resolve, reject) => {
+    execFile(binary, args, { maxBuffer: MAX_BUFFER }, (error, stdout, stderr) => {
+      if (error) {
+        error.stderr = stderr;
+        reject(error);
+      } else {
+        resolve({ stdout, stderr });
+      }
+    });
+  });
+}
+
+/**
+ * Run ffmpeg
+ * @param {Array<string>} args - ffmpeg arguments
+ * @returns {Promise<Object>} - stdout and stderr of the process
+ */
+export function runFfmpeg(args) {
+  return run(FFMPEG_PATH, ['-hide_banner', ...args]);
+}
+
+/**
+ * Run ffprobe
+ * @param {Array<string>} args - ffprobe arguments
+ * @returns {Promise<Object>} - stdout and stderr of the process
+ */
+export function runFfprobe(args) {
+  return run(FFPROBE_PATH, args);
+}
@@ -1,26 +1,413 @@
 import express from 'express';
 import ViteExpress from 'vite-express';
 import fs from 'fs/promises';
-import { createReadStream } from 'fs';
 import path from 'path';
 import chokidar from 'chokidar';
+import multer from 'multer';
 import { fileURLToPath } from 'url';
-import { analyzeVideo, saveToDataset, genAI, generateThumbnail } from './video-processor.mjs';
+import { analyzeVideo, saveToDataset, updateDatasetEntry, readRuns, setActiveRun, ANALYSIS_MODES, ANALYSIS_MODE } from './video-processor.mjs';
 import memoryManager from './memory-manager.mjs';
+import catalog from './catalog.mjs';
+import keywordIndex from './keyword-index.mjs';
+import embeddingStore, { describeEntryForSearch } from './embedding-store.mjs';
+import { JobQueue } from './job-queue.mjs';
+import reprocessBatches from './reprocess-batches.mjs';
+import { estimateBatch } from './cost-estimate.mjs';
+import processingEvents, { emitStage } from './processing-events.mjs';
+import { getProvider, MODELS } from './providers/index.mjs';
+import { isVideoFile, getContentType, VIDEO_EXTENSIONS } from './media.mjs';
+import { resolveSafePath, PathSecurityError } from './safe-path.mjs';
+import { reserveUploadName } from './uploads.mjs';
+import { sendFileWithRanges } from './range-serving.mjs';
+import { formatTimestamp } from './segments.mjs';
+import { generateKeyframes, readKeyframes, getKeyframeDirName } from './keyframes.mjs';
+import { generateThumbnail, THUMBNAIL_STRATEGIES } from './thumbnails.mjs';
+import { generatePreviewSprite, getPreviewDirName } from './previews.mjs';
+import { probeMedia } from './media-info.mjs';
+import { computeFingerprint } from './fingerprint.mjs';
+import { generateStructured } from './structured-output.mjs';
+import promptRegistry from './prompt-registry.mjs';
+import {
+  loadWatchFolders,
+  createFolder,
+  findWatchFolder,
+  matchesWatchFolder,
+  listWatchFolderVideos,
+  DEFAULT_FOLDER_SETTINGS
+} from './watch-folders.mjs';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
+// Model provider used for search and chat
+const provider = getProvider();
+
 // Configuration
 const WATCH_FOLDER = process.env.VIDEO_WATCH_FOLDER || 'Q:\\';
 const DATASET_FOLDER = process.env.VIDEO_DATASET_FOLDER || path.join(process.env.HOME || process.env.USERPROFILE, 'video-dataset');
 
 const THUMBNAIL_FOLDER = path.join(DATASET_FOLDER, 'thumbnails');
+const INGEST_FOLDER = process.env.VIDEO_INGEST_FOLDER || path.join(DATASET_FOLDER, 'ingest');
+const MAX_UPLOAD_BYTES = parseInt(process.env.MAX_UPLOAD_BYTES || String(20 * 1024 * 1024 * 1024), 10);
+const JOB_STORE_PATH = path.join(DATASET_FOLDER, 'jobs', 'queue.json');
+const REPROCESS_STORE_PATH = path.join(DATASET_FOLDER, 'jobs', 'reprocess.json');
+// Archived entries are moved out of the dataset folder so the catalog no longer lists them
+const ARCHIVE_FOLDER = path.join(DATASET_FOLDER, 'archive');
+const PROCESSING_CONCURRENCY = parseInt(process.env.VIDEO_PROCESSING_CONCURRENCY || '1', 10) || 1;
+
+// Page size of GET /api/videos when only a page is given, and the largest allowed
+const DEFAULT_PAGE_SIZE = 12;
+const MAX_PAGE_SIZE = 100;
+
+// Candidates retrieved by vector similarity and passed to the model for re-ranking
+const SEARCH_TOP_K = parseInt(process.env.SEARCH_TOP_K || '20', 10) || 20;
+
+// Watch folders with their analysis settings; replaced by the config file when the watcher starts
+let watchFolders = [createFolder(WATCH_FOLDER, 'default')];
+
+// Uploads are written to the ingest folder and analyzed with the default settings
+const uploadFolder = createFolder(INGEST_FOLDER, 'upload');
+
+/**
+ * Get the folder settings that apply to a video
+ * @param {string} videoPath - Path to the video file
+ * @returns {Object} - Settings of its watch folder, the upload folder, or the defaults
+ */
+function getSourceFolder(videoPath) {
+  return findWatchFolder([...watchFolders, uploadFolder], videoPath) ||
+    { ...DEFAULT_FOLDER_SETTINGS, name: null, path: path.dirname(path.resolve(videoPath)) };
+}
+
+/**
+ * @param {Object} folder - Folder settings
+ * @returns {string} - Id of the folder's prompt in the prompt registry
+ */
+function getFolderPromptId(folder) {
+  return `folder:${folder.name}`;
+}
+
+/**
+ * Get the path of the video an entry was analyzed from
+ * @param {Object} entry - Dataset entry
+ * @returns {string} - videoPath, or the file name in the first watch folder for entries without one
+ */
+function getEntryVideoPath(entry) {
+  return entry.videoPath || path.join(watchFolders[0].path, entry.videoFileName);
+}
+
+/**
+ * Find a video by file name directly inside one of the given folders
+ * @param {string} filename - File name from the request
+ * @param {Array<Object>} folders - Folder settings
+ * @returns {Promise<string|null>} - Path of the first existing match
+ * @throws {PathSecurityError}
+ */
+async function findVideoFile(filename, folders) {
+  for (const folder of folders) {
+    const candidate = await resolveSafePath(folder.path, filename, { extensions: VIDEO_EXTENSIONS });
+    if (await fs.access(candidate).then(() => true, () => false)) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+/**
+ * Whether a recording belongs to the watch folders or the ingest folder, both at the
+ * path it is known by and with symlinks resolved, so a link can't point elsewhere
+ * @param {string} videoPath - Path of the recording
+ * @param {string} realPath - The same path with symlinks resolved
+ * @returns {Promise<boolean>}
+ */
+async function isInWatchFolders(videoPath, realPath) {
+  const folders = [...watchFolders, uploadFolder];
+  if (!folders.some(folder => matchesWatchFolder(folder, videoPath))) return false;
+  const realFolders = await Promise.all(folders.map(async folder => ({
+    ...folder,
+    path: await fs.realpath(folder.path).catch(() => path.resolve(folder.path))
+  })));
+  return realFolders.some(folder => matchesWatchFolder(folder, realPath));
+}
 
-// Keep track of processed videos to avoid reprocessing
+// Keep track of processed videos to avoid reprocessing, by absolute path
 const processedVideos = new Set();
 
-// Track files that are being processed to avoid duplicate processing
-const processingFiles = new Set();
+/**
+ * @param {string} filePath - Path to a video file
+ * @returns {boolean} - Whether the file (at this path) has been analyzed
+ */
+function isProcessed(filePath) {
+  return processedVideos.has(path.resolve(filePath));
+}
+
+/**
+ * @param {string} filePath - Path to a video file that has been analyzed
+ */
+function markProcessed(filePath) {
+  processedVideos.add(path.resolve(filePath));
+}
+
+// Track files whose recording is still being checked for completion, so they
+// are not picked up twice before they reach the job queue
+const pendingFiles = new Set();
+
+/**
+ * Run a video through the full pipeline: analysis, dataset entry, memory, thumbnail, keyframes and preview
+ * @param {Object} job - Job from the processing queue; reanalysis jobs carry `reanalyze`
+ *   with the mode, model and inference settings that override the folder's
+ * @returns {Promise<Object>} - Job result
+ */
+async function processVideoJob(job) {
+  const { videoPath, videoFileName, reanalyze } = job;
+
+  // The file may have been removed while the job was waiting or interrupted
+  await fs.access(videoPath);
+
+  // Content that was analyzed before under another name or path is relinked, not uploaded again
+  const fingerprint = await computeFingerprint(videoPath);
+  const previous = catalog.findByFingerprint(fingerprint);
+  if (!reanalyze && previous && !previous.entry.analysis?.error &&
+      (previous.entry.orphanedAt || path.resolve(previous.entry.videoPath || '') !== path.resolve(videoPath))) {
+    return relinkEntry(previous, videoPath);
+  }
+
+  emitStage('video', 'probing', { videoPath });
+  const media = await probeMedia(videoPath);
+
+  // Prompt, mode, model and passes come from the folder the video was recorded to,
+  // unless the reanalysis asks for others
+  const folder = getSourceFolder(videoPath);
+  const settings = { ...folder, ...reanalyze };
+  const promptId = folder.prompt || folder.promptFile ? getFolderPromptId(folder) : null;
+  const result = await analyzeVideo(videoPath, promptId, {
+    mode: settings.mode || undefined,
+    model: settings.model || undefined,
+    inference: settings.inference
+  });
+  const source = { name: folder.name, path: folder.path };
+  // A reanalysis doesn't add the recording to memory again, unless its earlier analysis failed
+  const earlier = reanalyze ? catalog.findByVideoPath(videoPath)?.entry : null;
+  const inMemory = Boolean(earlier?.analysis && !earlier.analysis.error);
+  const saveResult = await saveToDataset(videoPath, result, DATASET_FOLDER, { media, fingerprint, source });
+  console.log(`Processed and saved analysis for: ${videoPath}`);
+
+  // Process analysis results with memory manager
+  if (!result.error && folder.memory && !inMemory) {
+    emitStage('video', 'updating_memory', { videoPath });
+    await memoryManager.processNewAnalysis(result);
+  }
+
+  // Mark as processed
+  markProcessed(videoPath);
+
+  // A reanalysis keeps the images of the recording, including a thumbnail picked by hand
+  if (!reanalyze) {
+    // Generate thumbnail
+    await ensureThumbnailFolder();
+    try {
+      await generateEntryThumbnail(videoPath, saveResult.datasetPath, saveResult.id);
+    } catch (error) {
+      console.warn(`Could not generate thumbnail for ${videoFileName}:`, error.message);
+    }
+
+    // Extract keyframes at scene changes for the filmstrip
+    try {
+      await generateKeyframes(videoPath, THUMBNAIL_FOLDER, saveResult.id);
+    } catch (error) {
+      console.warn(`Could not generate keyframes for ${videoFileName}:`, error.message);
+    }
+
+    // Sprite sheet for hover previews in the video grid
+    try {
+      await generateEntryPreview(videoPath, saveResult.datasetPath, saveResult.id);
+    } catch (error) {
+      console.warn(`Could not generate preview for ${videoFileName}:`, error.message);
+    }
+  }
+
+  // The error entry is kept in the dataset so the scan can retry it later
+  if (result.error) {
+    throw new Error(result.error);
+  }
+
+  return { datasetPath: saveResult.datasetPath, runId: saveResult.runId, active: saveResult.active };
+}
+
+/**
+ * @param {string} videoId - Id of the video's dataset entry
+ * @returns {string} - File name of its thumbnail in the thumbnail folder
+ */
+function getThumbnailName(videoId) {
+  return `${videoId}.jpg`;
+}
+
+/**
+ * Names of the images generated for a video, relative to the thumbnail folder.
+ * They are named after the dataset entry, so they survive renames and recordings
+ * with the same file name in different folders don't share them.
+ * @param {string} videoId - Id of the video's dataset entry
+ * @returns {Array<string>} - Thumbnail, keyframe folder and preview folder
+ */
+function getVideoAssetNames(videoId) {
+  return [getThumbnailName(videoId), getKeyframeDirName(videoId), getPreviewDirName(videoId)];
+}
+
+/**
+ * Point an existing analysis at a recording with the same content instead of analyzing it again.
+ * If the analyzed file is gone the recording was renamed or moved and the entry follows it;
+ * otherwise it is a copy and is recorded as an alias of the entry. A missing recording that
+ * reappears at its old path only clears the orphaned mark.
+ * @param {Object} previous - { jsonFile, entry } with the same fingerprint
+ * @param {string} videoPath - Path of the recording
+ * @returns {Promise<Object>} - Job result
+ */
+async function relinkEntry({ jsonFile, entry }, videoPath) {
+  const jsonPath = path.join(DATASET_FOLDER, jsonFile);
+  const videoFileName = path.basename(videoPath);
+  const oldPath = getEntryVideoPath(entry);
+  const oldExists = await fs.access(oldPath).then(() => true, () => false);
+
+  if (path.resolve(oldPath) === path.resolve(videoPath)) {
+    await updateDatasetEntry(jsonPath, { orphanedAt: null });
+    console.log(`${videoPath} is back, restored its analysis`);
+  } else if (oldExists) {
+    const aliases = [...new Set([...(entry.aliases || []), videoPath])];
+    await updateDatasetEntry(jsonPath, { aliases });
+    console.log(`${videoPath} has the same content as ${oldPath}, linked to its analysis`);
+  } else {
+    const changes = {
+      videoPath,
+      videoFileName,
+      previousPaths: [...(entry.previousPaths || []), oldPath],
+      relinkedAt: new Date().toISOString(),
+      orphanedAt: null
+    };
+    if (entry.aliases) {
+      // A copy that takes over from the missing original is no longer an alias
+      changes.aliases = entry.aliases.filter(alias => path.resolve(alias) !== path.resolve(videoPath));
+    }
+    const folder = getSourceFolder(videoPath);
+    changes.source = { name: folder.name, path: folder.path };
+    await updateDatasetEntry(jsonPath, changes);
+    processedVideos.delete(path.resolve(oldPath));
+    console.log(`${oldPath} was renamed or moved to ${videoPath}, relinked its analysis`);
+  }
+
+  markProcessed(videoPath);
+  emitStage('video', 'relinked', { videoPath, datasetPath: jsonPath });
+  return { datasetPath: jsonPath, relinked: true };
+}
+
+/**
+ * Handle a recording that disappeared from disk. Copies linked to an entry are
+ * dropped from its aliases; an entry whose own recording is gone is moved over
+ * to a remaining copy, or marked as orphaned until it is relinked, archived or purged.
+ * @param {string} videoPath - Path of the missing recording
+ */
+async function handleMissingVideo(videoPath) {
+  const missing = path.resolve(videoPath);
+  processedVideos.delete(missing);
+
+  for (const { jsonFile, entry } of catalog.findByAlias(missing)) {
+    await updateDatasetEntry(path.join(DATASET_FOLDER, jsonFile), {
+      aliases: entry.aliases.filter(alias => path.resolve(alias) !== missing)
+    });
+    console.log(`Copy ${videoPath} of ${entry.videoFileName} was removed`);
+  }
+
+  const found = catalog.findByVideoPath(missing);
+  if (!found || !found.entry.videoFileName || found.entry.orphanedAt) return;
+
+  const { jsonFile, entry } = found;
+  const jsonPath = path.join(DATASET_FOLDER, jsonFile);
+  const fileExists = filePath => fs.access(filePath).then(() => true, () => false);
+  let copy = null;
+  for (const alias of entry.aliases || []) {
+    if (path.resolve(alias) !== missing && await fileExists(alias)) {
+      copy = alias;
+      break;
+    }
+  }
+
+  if (copy) {
+    await relinkEntry({ jsonFile, entry }, copy);
+  } else {
+    await updateDatasetEntry(jsonPath, { orphanedAt: new Date().toISOString() });
+    console.log(`Recording of ${entry.videoFileName} is missing, marked its analysis as orphaned`);
+    emitStage('video', 'orphaned', { videoPath, datasetPath: jsonPath });
+  }
+}
+
+/**
+ * Compare the catalog with the disk: entries whose recording disappeared while the
+ * server was not watching are handled like a deleted file, and orphaned entries
+ * whose recording is back are restored
+ */
+async function checkEntryFiles() {
+  // Only the path columns are read; an entry is loaded when something has to change
+  for (const location of catalog.locations()) {
+    if (!location.videoFileName) continue;
+    const videoPath = getEntryVideoPath(location);
+    const exists = await fs.access(videoPath).then(() => true, () => false);
+    try {
+      if (!exists && !location.orphanedAt) {
+        await handleMissingVideo(videoPath);
+      } else if (exists && location.orphanedAt) {
+        const entry = catalog.get(location.jsonFile);
+        if (entry) await relinkEntry({ jsonFile: location.jsonFile, entry }, videoPath);
+      }
+    } catch (error) {
+      console.error(`Error checking the recording of ${location.videoFileName}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Move or delete the thumbnail, keyframes and preview of a video
+ * @param {string} videoId - Id of the video's dataset entry
+ * @param {string|null} targetFolder - Folder to move them to, or null to delete them
+ */
+async function removeVideoAssets(videoId, targetFolder) {
+  if (targetFolder) {
+    await fs.mkdir(targetFolder, { recursive: true });
+  }
+  for (const name of getVideoAssetNames(videoId)) {
+    const assetPath = path.join(THUMBNAIL_FOLDER, name);
+    try {
+      if (targetFolder) {
+        await fs.rename(assetPath, path.join(targetFolder, name));
+      } else {
+        await fs.rm(assetPath, { recursive: true, force: true });
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Could not remove ${name}:`, error.message);
+      }
+    }
+  }
+}
+
+// Single queue that every entry point submits videos to
+const jobQueue = new JobQueue({
+  storePath: JOB_STORE_PATH,
+  concurrency: PROCESSING_CONCURRENCY,
+  handler: processVideoJob
+});
+
+// Attach per-video stage events to the job that is processing that video
+processingEvents.on('stage', (event) => {
+  if (event.videoPath) {
+    jobQueue.updateStage(event);
+  }
+});
+
+/**
+ * Check whether a video is already queued, running or waiting to be queued
+ * @param {string} filePath - Path to the video file
+ * @returns {boolean}
+ */
+function isVideoInFlight(filePath) {
+  return pendingFiles.has(filePath) || Boolean(jobQueue.findActive(filePath));
+}
 
 // Function to check if file size has stabilized (recording has stopped)
 async function isFileStable(filePath) {
@@ -49,30 +436,13 @@ async function isFileStable(filePath) {
 // Load already processed videos
 async function loadProcessedVideos() {
   try {
-    // Check if dataset folder exists
-    try {
-      await fs.access(DATASET_FOLDER);
-    } catch (error) {
-      return; // If folder doesn't exist yet, there are no processed videos
-    }
-    
-    // Get all json files from dataset folder
-    const files = await fs.readdir(DATASET_FOLDER);
-    
-    for (const file of files) {
-      if (file.endsWith('.json')) {
-        try {
-          const data = await fs.readFile(path.join(DATASET_FOLDER, file), 'utf-8');
-          const videoData = JSON.parse(data);
-          
-          // Add the video filename to the processed set
-          if (videoData && videoData.videoFileName) {
-            processedVideos.add(videoData.videoFileName);
-            console.log(`Marked as already processed: ${videoData.videoFileName}`);
-          }
-        } catch (error) {
-          console.error(`Error reading processed video data: ${file}`, error);
-        }
+    // Every path in the catalog, including copies linked to an entry, has been processed before
+    for (const { entry } of catalog.entries()) {
+      if (!entry.videoFileName) continue;
+      // A recording that reappears at the path of an orphaned entry goes through the queue to restore it
+      if (!entry.orphanedAt) markProcessed(getEntryVideoPath(entry));
+      for (const alias of entry.aliases || []) {
+        markProcessed(alias);
       }
     }
     
@@ -97,37 +467,175 @@ async function ensureThumbnailFolder() {
   await ensureDirectoryExists(THUMBNAIL_FOLDER);
 }
 
-// Check all videos for missing thumbnails and generate them if needed
+/**
+ * Generate the thumbnail of a video and record which frame was used in its dataset entry
+ * @param {string} videoPath - Path to the video file
+ * @param {string} jsonPath - Path of the dataset entry
+ * @param {string} videoId - Id of the dataset entry
+ * @param {Object} [options] - strategy or time, see generateThumbnail
+ * @returns {Promise<Object>} - { time, strategy, generatedAt }
+ */
+async function generateEntryThumbnail(videoPath, jsonPath, videoId, options) {
+  const thumbPath = path.join(THUMBNAIL_FOLDER, getThumbnailName(videoId));
+  const frame = await generateThumbnail(videoPath, thumbPath, options);
+  const thumbnail = { ...frame, generatedAt: new Date().toISOString() };
+  await updateDatasetEntry(jsonPath, { thumbnail });
+  return thumbnail;
+}
+
+/**
+ * Generate the hover preview sprite of a video and record it in its dataset entry
+ * @param {string} videoPath - Path to the video file
+ * @param {string} jsonPath - Path of the dataset entry
+ * @param {string} videoId - Id of the dataset entry
+ * @returns {Promise<Object>} - Sprite layout, with the sprite path relative to the thumbnail folder
+ */
+async function generateEntryPreview(videoPath, jsonPath, videoId) {
+  const layout = await generatePreviewSprite(videoPath, THUMBNAIL_FOLDER, videoId);
+  const preview = {
+    sprite: `${getPreviewDirName(videoId)}/sprite.jpg`,
+    ...layout,
+    generatedAt: new Date().toISOString()
+  };
+  await updateDatasetEntry(jsonPath, { preview });
+  return preview;
+}
+
+// Fill in fingerprints and media metadata missing from older entries, or whose probe failed
+async function backfillEntryMetadata() {
+  for (const { jsonFile, entry } of catalog.entriesNeedingMetadata()) {
+    const needsMedia = !entry.media || Boolean(entry.media.error);
+    const videoPath = getEntryVideoPath(entry);
+    try {
+      const changes = {};
+      if (!entry.fingerprint) {
+        changes.fingerprint = await computeFingerprint(videoPath);
+      }
+      if (needsMedia) {
+        const media = await probeMedia(videoPath);
+        // Don't rewrite the entry on every start while ffprobe keeps failing
+        if (!(media.error && entry.media)) changes.media = media;
+      }
+      if (Object.keys(changes).length === 0) continue;
+      await updateDatasetEntry(path.join(DATASET_FOLDER, jsonFile), changes);
+      console.log(`Filled in ${Object.keys(changes).join(' and ')} for ${entry.videoFileName}`);
+    } catch (err) {
+      console.warn(`Could not read metadata of ${entry.videoFileName}:`, err.message);
+    }
+  }
+}
+
+/**
+ * Move images generated under the video's file name, before they were named after the
+ * dataset entry, to their new names. Images of a file name shared by several entries
+ * can't be told apart and are generated again instead.
+ */
+async function migrateVideoAssets() {
+  const entries = catalog.entries().filter(({ entry }) => entry.id && entry.videoFileName);
+  const namesInUse = new Map();
+  for (const { entry } of entries) {
+    const name = path.parse(entry.videoFileName).name;
+    namesInUse.set(name, (namesInUse.get(name) || 0) + 1);
+  }
+
+  for (const { jsonFile, entry } of entries) {
+    const oldName = path.parse(entry.videoFileName).name;
+    if (namesInUse.get(oldName) > 1) continue;
+    const from = [`${oldName}.jpg`, `${oldName}.keyframes`, `${oldName}.preview`];
+    const to = getVideoAssetNames(entry.id);
+
+    for (let i = 0; i < from.length; i++) {
+      const target = path.join(THUMBNAIL_FOLDER, to[i]);
+      if (await fs.access(target).then(() => true, () => false)) continue;
+      try {
+        await fs.rename(path.join(THUMBNAIL_FOLDER, from[i]), target);
+        console.log(`Renamed ${from[i]} to ${to[i]}`);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.warn(`Could not rename ${from[i]} to ${to[i]}:`, error.message);
+        }
+      }
+    }
+
+    const sprite = `${getPreviewDirName(entry.id)}/sprite.jpg`;
+    if (entry.preview && entry.preview.sprite !== sprite &&
+        await fs.access(path.join(THUMBNAIL_FOLDER, sprite)).then(() => true, () => false)) {
+      await updateDatasetEntry(path.join(DATASET_FOLDER, jsonFile), { preview: { ...entry.preview, sprite } });
+    }
+  }
+}
+
+// Check all videos for missing thumbnails, keyframes and previews and generate them if needed
 async function generateMissingThumbnails() {
   await ensureThumbnailFolder();
-  const files = await fs.readdir(DATASET_FOLDER);
-  const videoFiles = files.filter(f => f.endsWith('.json'));
-  for (const jsonFile of videoFiles) {
+  await migrateVideoAssets();
+  for (const { jsonFile, entry: data } of catalog.entries()) {
     try {
-      const data = JSON.parse(await fs.readFile(path.join(DATASET_FOLDER, jsonFile), 'utf-8'));
-      const videoFileName = data.videoFileName;
-      if (!videoFileName) continue;
-      const videoPath = path.join(WATCH_FOLDER, videoFileName);
-      const thumbName = path.parse(videoFileName).name + '.jpg';
-      const thumbPath = path.join(THUMBNAIL_FOLDER, thumbName);
+      const { id, videoFileName } = data;
+      // Nothing can be generated without the recording
+      if (!id || !videoFileName || data.orphanedAt) continue;
+      const videoPath = getEntryVideoPath(data);
+      const jsonPath = path.join(DATASET_FOLDER, jsonFile);
+      const thumbPath = path.join(THUMBNAIL_FOLDER, getThumbnailName(id));
       try {
         await fs.access(thumbPath);
         // Thumbnail exists
       } catch {
         // Thumbnail missing, try to generate
         try {
-          await generateThumbnail(videoPath, thumbPath);
+          await generateEntryThumbnail(videoPath, jsonPath, id);
           console.log(`Generated missing thumbnail for ${videoFileName}`);
         } catch (err) {
           console.warn(`Could not generate thumbnail for ${videoFileName}:`, err.message);
         }
       }
+      if (!(await readKeyframes(THUMBNAIL_FOLDER, id))) {
+        try {
+          await generateKeyframes(videoPath, THUMBNAIL_FOLDER, id);
+          console.log(`Generated missing keyframes for ${videoFileName}`);
+        } catch (err) {
+          console.warn(`Could not generate keyframes for ${videoFileName}:`, err.message);
+        }
+      }
+      // A sprite still under the video's file name was shared with another recording
+      if (!data.preview || path.dirname(data.preview.sprite) !== getPreviewDirName(id)) {
+        try {
+          await generateEntryPreview(videoPath, jsonPath, id);
+          console.log(`Generated missing preview for ${videoFileName}`);
+        } catch (err) {
+          console.warn(`Could not generate preview for ${videoFileName}:`, err.message);
+        }
+      }
     } catch (err) {
       console.warn(`Could not process dataset entry ${jsonFile}:`, err.message);
     }
   }
 }
 
+// Uploads are written straight into the managed ingest folder
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      fs.mkdir(INGEST_FOLDER, { recursive: true }).then(() => cb(null, INGEST_FOLDER), cb);
+    },
+    filename: (req, file, cb) => {
+      // Dataset entries are named after the file, so avoid names already analyzed
+      const takenNames = new Set(catalog.videoFileNames());
+      reserveUploadName(INGEST_FOLDER, file.originalname, takenNames).then(name => cb(null, name), cb);
+    }
+  }),
+  limits: { fileSize: MAX_UPLOAD_BYTES },
+  fileFilter: (req, file, cb) => {
+    if (isVideoFile(file.originalname)) {
+      cb(null, true);
+    } else {
+      const error = new Error(`Unsupported video format: ${file.originalname}`);
+      error.status = 400;
+      cb(error);
+    }
+  }
+});
+
 // Set up Express
 const app = express();
 app.use(express.json());
@@ -136,9 +644,64 @@ app.use(express.json());
 app.get('/api/status', (req, res) => {
   res.json({
     status: 'active',
-    watchFolder: WATCH_FOLDER,
+    watchFolder: watchFolders[0].path,
+    watchFolders: watchFolders.map(({ name, path: folderPath, patterns, depth, mode, model, inference, memory }) => ({
+      name, path: folderPath, patterns, depth, mode, model, inference, memory
+    })),
     datasetFolder: DATASET_FOLDER,
-    processedCount: processedVideos.size
+    ingestFolder: INGEST_FOLDER,
+    processedCount: processedVideos.size,
+    jobs: jobQueue.counts()
+  });
+});
+
+// List the prompt templates with their current versions
+app.get('/api/prompts', (req, res) => {
+  res.json({ folder: promptRegistry.folder, prompts: promptRegistry.list() });
+});
+
+// List processing jobs, optionally filtered by state
+app.get('/api/jobs', (req, res) => {
+  const jobs = jobQueue.list({ status: req.query.status });
+  res.json({ jobs, counts: jobQueue.counts() });
+});
+
+// Get a single processing job
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json({ job });
+});
+
+// Live processing events over Server-Sent Events
+app.get('/api/events', (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  
+  // Start with the current queue so the client doesn't need a separate request
+  send('snapshot', { jobs: jobQueue.list(), counts: jobQueue.counts() });
+  
+  const onJob = (job) => send('job', { job, counts: jobQueue.counts() });
+  const onStage = (event) => send('stage', event);
+  jobQueue.on('job', onJob);
+  processingEvents.on('stage', onStage);
+  
+  // Keep proxies from closing an idle connection
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 25000);
+  
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    jobQueue.off('job', onJob);
+    processingEvents.off('stage', onStage);
   });
 });
 
@@ -149,7 +712,8 @@ app.get('/api/memory', (req, res) => {
     res.json({
       shortTermMemory: memoryState.shortTermMemory,
       longTermMemory: memoryState.longTermMemory,
-      workingMemory: memoryState.workingMemory
+      workingMemory: memoryState.workingMemory,
+      updates: memoryState.updates
     });
   } catch (error) {
     console.error('Error fetching memory state:', error);
@@ -176,98 +740,242 @@ app.post('/api/memory/query', async (req, res) => {
 app.get('/api/process/:filename', async (req, res) => {
   try {
     const filename = req.params.filename;
-    const filePath = path.join(WATCH_FOLDER, filename);
-    
-    console.log(`Manually processing video: ${filePath}`);
-    
-    // Check if file exists
-    try {
-      await fs.access(filePath);
-    } catch (error) {
-      return res.status(404).json({ error: `File not found: ${filePath}` });
+    const filePath = await findVideoFile(filename, watchFolders);
+    if (!filePath) {
+      return res.status(404).json({ error: `File not found in the watch folders: ${filename}` });
     }
     
-    // Process the video
-    const result = await analyzeVideo(filePath);
-    const saveResult = await saveToDataset(filePath, result, DATASET_FOLDER);
-    console.log(`Manually processed and saved analysis for: ${filePath}`);
-    
-    // Process analysis results with memory manager
-    await memoryManager.processNewAnalysis(result);
-    
-    // Mark as processed
-    processedVideos.add(filename);
+    console.log(`Manually processing video: ${filePath}`);
     
-    // Generate thumbnail
-    await ensureThumbnailFolder();
-    const thumbName = path.parse(filename).name + '.jpg';
-    const thumbPath = path.join(THUMBNAIL_FOLDER, thumbName);
-    await generateThumbnail(filePath, thumbPath);
+    // Queue the video for processing
+    const job = await jobQueue.submit(filePath, { source: 'manual' });
     
-    res.json({ 
+    res.status(202).json({ 
       success: true, 
       videoPath: filePath,
-      datasetPath: saveResult.datasetPath 
+      jobId: job.id,
+      status: job.status
     });
   } catch (error) {
+    if (error instanceof PathSecurityError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Error processing video:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
+// Upload a video from the browser and queue it for processing
+app.post('/api/videos/upload', (req, res) => {
+  upload.single('video')(req, res, async (error) => {
+    if (error instanceof multer.MulterError) {
+      const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).json({ error: error.message });
+    }
+    if (error?.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    if (error) {
+      console.error('Error receiving upload:', error);
+      return res.status(500).json({ error: 'Failed to store uploaded video' });
+    }
+    if (!req.file) {
+      return res.status(400).json({ error: 'A video file is required in the "video" field' });
+    }
+    
+    try {
+      console.log(`Received upload: ${req.file.path} (${req.file.size} bytes)`);
+      const job = await jobQueue.submit(req.file.path, { source: 'upload' });
+      
+      res.status(202).json({
+        success: true,
+        videoFileName: req.file.filename,
+        jobId: job.id,
+        status: job.status
+      });
+    } catch (err) {
+      console.error('Error queueing upload:', err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+});
+
+/**
+ * Parse the listing parameters of GET /api/videos
+ * @param {Object} query - Request query string
+ * @returns {Object} - Catalog query options, or { error } for invalid input
+ */
+function parseVideoListQuery(query) {
+  const options = {};
+
+  if (query.sort !== undefined) {
+    if (query.sort !== 'asc' && query.sort !== 'desc') {
+      return { error: 'sort must be "asc" or "desc"' };
+    }
+    options.order = query.sort;
+  }
+
+  if (query.status !== undefined) {
+    if (query.status !== 'ok' && query.status !== 'error') {
+      return { error: 'status must be "ok" or "error"' };
+    }
+    options.status = query.status;
+  }
+
+  for (const key of ['from', 'to']) {
+    if (!query[key]) continue;
+    const date = new Date(query[key]);
+    if (Number.isNaN(date.getTime())) {
+      return { error: `${key} must be a valid date` };
+    }
+    // A bare date as the upper bound includes that whole day
+    if (key === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(query[key])) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCMilliseconds(-1);
+    }
+    options[key] = date.toISOString();
+  }
+
+  if (query.tag) options.tag = String(query.tag);
+  if (query.topic) options.topic = String(query.topic);
+  if (query.codec) options.codec = String(query.codec);
+  if (query.model) options.model = String(query.model);
+  if (query.promptVersion) options.promptVersion = String(query.promptVersion);
+
+  for (const key of ['minDuration', 'maxDuration', 'minHeight']) {
+    if (query[key] === undefined || query[key] === '') continue;
+    const value = Number(query[key]);
+    if (!Number.isFinite(value) || value < 0) {
+      return { error: `${key} must be a non-negative number` };
+    }
+    options[key] = value;
+  }
+
+  if (query.hasAudio !== undefined) {
+    if (query.hasAudio !== 'true' && query.hasAudio !== 'false') {
+      return { error: 'hasAudio must be "true" or "false"' };
+    }
+    options.hasAudio = query.hasAudio === 'true';
+  }
+
+  if (query.orphaned !== undefined) {
+    if (query.orphaned !== 'true' && query.orphaned !== 'false') {
+      return { error: 'orphaned must be "true" or "false"' };
+    }
+    options.orphaned = query.orphaned === 'true';
+  }
+
+  // Without page or limit the whole (filtered) list is returned
+  if (query.page !== undefined || query.limit !== undefined) {
+    const page = query.page === undefined ? 1 : Number(query.page);
+    const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+    if (!Number.isInteger(page) || page < 1) {
+      return { error: 'page must be a positive integer' };
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return { error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}` };
+    }
+    options.page = page;
+    options.limit = limit;
+    options.offset = (page - 1) * limit;
+  }
+
+  return options;
+}
+
+// List processed videos with optional sorting, filtering and pagination
 app.get('/api/videos', async (req, res) => {
   try {
-    const files = await fs.readdir(DATASET_FOLDER);
-    const videos = [];
-    
-    for (const file of files) {
-      if (file.endsWith('.json')) {
-        const data = await fs.readFile(path.join(DATASET_FOLDER, file), 'utf-8');
-        videos.push(JSON.parse(data));
-      }
+    const { error, page, ...options } = parseVideoListQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error });
     }
-    
-    res.json({ videos });
+
+    const { videos, total } = catalog.query(options);
+    const limit = options.limit || total;
+    res.json({
+      videos,
+      total,
+      page: page || 1,
+      limit,
+      totalPages: limit > 0 ? Math.ceil(total / limit) : 0
+    });
   } catch (error) {
     console.error('Error reading videos:', error);
     res.status(500).json({ error: 'Failed to read videos' });
   }
 });
 
+// One dataset entry with everything its JSON file holds
+app.get('/api/videos/:id', async (req, res) => {
+  try {
+    const found = catalog.findById(req.params.id);
+    if (!found) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    const entry = JSON.parse(await fs.readFile(path.join(DATASET_FOLDER, found.jsonFile), 'utf-8'));
+    res.json({ ...entry, jsonFile: found.jsonFile });
+  } catch (error) {
+    console.error('Error reading video:', error);
+    res.status(500).json({ error: 'Failed to read video' });
+  }
+});
+
+// Analysis failures the scan retries: the provider never got the uploaded file ready in time
+const RETRYABLE_ERROR_CODES = ['FILE_NOT_READY'];
+
+// Codes of failures stored before analyses carried one, by their error message
+const LEGACY_ERROR_CODES = {
+  'File never reached ACTIVE state after multiple attempts': 'FILE_NOT_READY'
+};
+
+/**
+ * Whether a failed analysis is worth retrying on the next scan
+ * @param {Object} [analysis] - Analysis of a dataset entry
+ * @returns {boolean}
+ */
+function isRetryableFailure(analysis) {
+  const code = analysis?.errorCode || LEGACY_ERROR_CODES[analysis?.error];
+  return RETRYABLE_ERROR_CODES.includes(code);
+}
+
 // Function to find unprocessed videos
 async function scanForMissedVideos() {
   try {
     console.log('Scanning for missed videos...');
     
-    // Get all mp4 files in the watch folder
-    const files = await fs.readdir(WATCH_FOLDER);
-    const videoFiles = files.filter(file => file.endsWith('.mp4'));
+    // Get all video files in the watch folders
+    const videoFiles = [];
+    for (const folder of watchFolders) {
+      try {
+        videoFiles.push(...await listWatchFolderVideos(folder));
+      } catch (error) {
+        console.error(`Error reading watch folder ${folder.path}:`, error.message);
+      }
+    }
     
     let missedCount = 0;
     let reprocessedCount = 0;
     
     // First, check for failed processing attempts in the dataset
     try {
-      const datasetFiles = await fs.readdir(DATASET_FOLDER);
-      const jsonFiles = datasetFiles.filter(file => file.endsWith('.json'));
+      const { videos: failedEntries } = catalog.query({ status: 'error' });
       
-      for (const jsonFile of jsonFiles) {
+      for (const data of failedEntries) {
         try {
-          const content = await fs.readFile(path.join(DATASET_FOLDER, jsonFile), 'utf-8');
-          const data = JSON.parse(content);
-          
-          // Check if this is a failed processing attempt
-          if (data.analysis?.error === 'File never reached ACTIVE state after multiple attempts') {
-            const videoPath = data.videoPath;
+          // Check if this is a failed processing attempt worth retrying
+          if (isRetryableFailure(data.analysis)) {
+            const videoPath = getEntryVideoPath(data);
             const videoFileName = data.videoFileName;
             
-            // Skip if this file is currently being processed
-            if (processingFiles.has(videoPath)) {
+            // Skip if this file is already queued or being processed
+            if (isVideoInFlight(videoPath)) {
               console.log(`File ${videoFileName} is already being processed, skipping.`);
               continue;
             }
             
-            processingFiles.add(videoPath);
+            pendingFiles.add(videoPath);
             
             try {
               // Check if file is stable before processing
@@ -275,34 +983,20 @@ async function scanForMissedVideos() {
               let stable = await isFileStable(videoPath);
               
               if (stable) {
-                console.log(`Reprocessing previously failed video: ${videoPath}`);
-                const result = await analyzeVideo(videoPath);
-                await saveToDataset(videoPath, result, DATASET_FOLDER);
-                console.log(`Successfully reprocessed and updated analysis for: ${videoPath}`);
-                
-                // Process analysis results with memory manager
-                await memoryManager.processNewAnalysis(result);
-                
-                // Mark as processed
-                processedVideos.add(videoFileName);
+                console.log(`Queueing previously failed video for reprocessing: ${videoPath}`);
+                await jobQueue.submit(videoPath, { source: 'scan' });
                 reprocessedCount++;
-                
-                // Generate thumbnail
-                await ensureThumbnailFolder();
-                const thumbName = path.parse(videoFileName).name + '.jpg';
-                const thumbPath = path.join(THUMBNAIL_FOLDER, thumbName);
-                await generateThumbnail(videoPath, thumbPath);
               } else {
                 console.log(`Failed video ${videoFileName} is still being written, will try again later.`);
               }
             } catch (error) {
               console.error(`Error reprocessing failed video ${videoPath}:`, error);
             } finally {
-              processingFiles.delete(videoPath);
+              pendingFiles.delete(videoPath);
             }
           }
         } catch (error) {
-          console.error(`Error reading/parsing dataset file ${jsonFile}:`, error);
+          console.error(`Error checking failed dataset entry ${data.videoFileName}:`, error);
         }
       }
     } catch (error) {
@@ -310,21 +1004,21 @@ async function scanForMissedVideos() {
     }
     
     // Then check for completely unprocessed videos
-    for (const videoFile of videoFiles) {
-      if (!processedVideos.has(videoFile)) {
+    for (const filePath of videoFiles) {
+      const videoFile = path.basename(filePath);
+      if (!isProcessed(filePath)) {
         missedCount++;
         console.log(`Found missed video: ${videoFile}`);
         
         // Process the video if it's stable (not currently being recorded)
-        const filePath = path.join(WATCH_FOLDER, videoFile);
         
-        // Skip if this file is currently being processed
-        if (processingFiles.has(filePath)) {
+        // Skip if this file is already queued or being processed
+        if (isVideoInFlight(filePath)) {
           console.log(`File ${videoFile} is already being processed, skipping.`);
           continue;
         }
         
-        processingFiles.add(filePath);
+        pendingFiles.add(filePath);
         
         try {
           // Check if file is stable before processing
@@ -332,34 +1026,20 @@ async function scanForMissedVideos() {
           let stable = await isFileStable(filePath);
           
           if (stable) {
-            console.log(`Processing missed video: ${filePath}`);
-            const result = await analyzeVideo(filePath);
-            await saveToDataset(filePath, result, DATASET_FOLDER);
-            console.log(`Processed and saved analysis for missed video: ${filePath}`);
-            
-            // Process analysis results with memory manager
-            await memoryManager.processNewAnalysis(result);
-            
-            // Mark as processed
-            processedVideos.add(videoFile);
-            
-            // Generate thumbnail
-            await ensureThumbnailFolder();
-            const thumbName = path.parse(videoFile).name + '.jpg';
-            const thumbPath = path.join(THUMBNAIL_FOLDER, thumbName);
-            await generateThumbnail(filePath, thumbPath);
+            console.log(`Queueing missed video: ${filePath}`);
+            await jobQueue.submit(filePath, { source: 'scan' });
           } else {
             console.log(`Missed video ${videoFile} is still being written, will try again later.`);
           }
         } catch (error) {
-          console.error(`Error processing missed video ${filePath}:`, error);
+          console.error(`Error queueing missed video ${filePath}:`, error);
         } finally {
-          processingFiles.delete(filePath);
+          pendingFiles.delete(filePath);
         }
       }
     }
     
-    console.log(`Scan complete. Found ${missedCount} missed videos and reprocessed ${reprocessedCount} failed videos.`);
+    console.log(`Scan complete. Found ${missedCount} missed videos and queued ${reprocessedCount} failed videos for reprocessing.`);
   } catch (error) {
     console.error('Error scanning for missed videos:', error);
   }
@@ -367,6 +1047,24 @@ async function scanForMissedVideos() {
 
 // Set up file watcher
 async function setupWatcher() {
+  // Load the watch folders and their analysis settings
+  watchFolders = await loadWatchFolders(WATCH_FOLDER);
+  for (const folder of watchFolders) {
+    console.log(`Watching folder: ${folder.path} (${folder.name})`);
+  }
+  
+  // Load the prompt templates and reload them when they are edited;
+  // watch folder prompts are versioned and reloaded the same way
+  await promptRegistry.load();
+  for (const folder of watchFolders) {
+    if (folder.promptFile) {
+      await promptRegistry.register(getFolderPromptId(folder), { file: folder.promptFile });
+    } else if (folder.prompt) {
+      await promptRegistry.register(getFolderPromptId(folder), { text: folder.prompt });
+    }
+  }
+  promptRegistry.watch();
+  
   // Initialize memory manager
   try {
     await memoryManager.initialize();
@@ -376,11 +1074,50 @@ async function setupWatcher() {
   }
   
   await ensureDirectoryExists(DATASET_FOLDER);
+  await ensureDirectoryExists(INGEST_FOLDER);
+  
+  // Build or refresh the dataset catalog from the JSON files
+  try {
+    // Entries saved without a videoPath point at the first watch folder
+    await catalog.initialize(DATASET_FOLDER, { videoFolder: watchFolders[0].path });
+  } catch (error) {
+    console.error('Error initializing dataset catalog:', error);
+  }
+  
+  // Build the keyword index from the catalog and keep it updated as entries change
+  keywordIndex.rebuild(catalog.entries());
+  catalog.on('upsert', ({ jsonFile, entry }) => keywordIndex.add(jsonFile, entry));
+  catalog.on('remove', ({ jsonFile }) => keywordIndex.remove(jsonFile));
+  
+  // Same for the embedding store; embedding may need the network, so it runs in the background
+  try {
+    await embeddingStore.initialize(path.join(DATASET_FOLDER, 'catalog', 'embeddings.json'));
+    embeddingStore.sync(catalog.entries())
+      .then(count => console.log(`Embedding store synced, ${count} entries embedded`))
+      .catch(error => console.error('Error syncing embedding store:', error));
+    catalog.on('upsert', ({ jsonFile, entry }) => {
+      embeddingStore.index(jsonFile, entry).catch(error => console.error(`Error embedding ${jsonFile}:`, error));
+    });
+    catalog.on('remove', ({ jsonFile }) => {
+      embeddingStore.remove(jsonFile).catch(error => console.error(`Error removing embedding of ${jsonFile}:`, error));
+    });
+  } catch (error) {
+    console.error('Error initializing embedding store:', error);
+  }
+  
+  // Mark entries whose recording was deleted or moved while the server was stopped
+  await checkEntryFiles();
   await loadProcessedVideos();
   await ensureThumbnailFolder();
-  // Run thumbnail generation in the background
+  
+  // Restore the job queue, requeue jobs interrupted by the last shutdown and start the workers
+  await jobQueue.initialize();
+  await reprocessBatches.initialize(REPROCESS_STORE_PATH);
+  jobQueue.start();
+  console.log(`Job queue started with ${PROCESSING_CONCURRENCY} worker(s)`);
+  // Fill in metadata missing from older entries, then generate missing thumbnails, in the background
   console.log('Starting background thumbnail generation for missing thumbnails...');
-  generateMissingThumbnails().then(() => {
+  backfillEntryMetadata().then(generateMissingThumbnails).then(() => {
     console.log('Background thumbnail generation complete.');
   }).catch(err => {
     console.warn('Background thumbnail generation failed:', err.message);
@@ -389,76 +1126,73 @@ async function setupWatcher() {
   // Scan for missed videos on startup
   await scanForMissedVideos();
   
-  const watcher = chokidar.watch(WATCH_FOLDER, {
-    ignored: /(^|[\/\\])\../, // Ignore hidden files
-    persistent: true,
-    awaitWriteFinish: {
-      stabilityThreshold: 5000,
-      pollInterval: 1000
-    }
-  });
-  
-  watcher
-    .on('add', async (filePath) => {
-      const fileName = path.basename(filePath);
-      
-      // Skip if this file has already been processed or is currently being processed
-      if (!filePath.endsWith('.mp4') || processedVideos.has(fileName) || processingFiles.has(filePath)) {
-        return;
+  for (const folder of watchFolders) {
+    const watcher = chokidar.watch(folder.path, {
+      ignored: /(^|[/\\])\../, // Ignore hidden files
+      persistent: true,
+      depth: folder.depth,
+      awaitWriteFinish: {
+        stabilityThreshold: 5000,
+        pollInterval: 1000
       }
-      
-      console.log(`New video detected: ${filePath}`);
-      processingFiles.add(filePath);
-      
-      try {
-        // First wait for chokidar's stabilityThreshold
-        await new Promise(resolve => setTimeout(resolve, 6000));
+    });
+    
+    watcher
+      .on('add', async (filePath) => {
+        // Skip files the folder doesn't take, and ones already processed or being processed
+        if (!matchesWatchFolder(folder, filePath) || isProcessed(filePath) || isVideoInFlight(filePath)) {
+          return;
+        }
         
-        // Then do our own check to make sure recording has stopped
-        console.log(`Checking if recording has completed for: ${filePath}`);
-        let stable = false;
-        let attempts = 0;
+        console.log(`New video detected: ${filePath}`);
+        pendingFiles.add(filePath);
         
-        // Keep checking until file size stabilizes (up to 5 attempts)
-        while (!stable && attempts < 5) {
-          stable = await isFileStable(filePath);
-          if (!stable) {
-            console.log(`File ${path.basename(filePath)} is still being written, waiting...`);
-            await new Promise(resolve => setTimeout(resolve, 3000));
-            attempts++;
+        try {
+          // First wait for chokidar's stabilityThreshold
+          await new Promise(resolve => setTimeout(resolve, 6000));
+        
+          // Then do our own check to make sure recording has stopped
+          console.log(`Checking if recording has completed for: ${filePath}`);
+          let stable = false;
+          let attempts = 0;
+        
+          // Keep checking until file size stabilizes (up to 5 attempts)
+          while (!stable && attempts < 5) {
+            stable = await isFileStable(filePath);
+            if (!stable) {
+              console.log(`File ${path.basename(filePath)} is still being written, waiting...`);
+              await new Promise(resolve => setTimeout(resolve, 3000));
+              attempts++;
+            }
           }
-        }
         
-        if (stable) {
-          console.log(`Recording complete, processing: ${filePath}`);
-          const result = await analyzeVideo(filePath);
-          await saveToDataset(filePath, result, DATASET_FOLDER);
-          console.log(`Processed and saved analysis for: ${filePath}`);
-          
-          // Process analysis results with memory manager
-          await memoryManager.processNewAnalysis(result);
-          
-          // Mark as processed
-          processedVideos.add(fileName);
-          
-          // Generate thumbnail
-          await ensureThumbnailFolder();
-          const thumbName = path.parse(fileName).name + '.jpg';
-          const thumbPath = path.join(THUMBNAIL_FOLDER, thumbName);
-          await generateThumbnail(filePath, thumbPath);
-        } else {
-          console.log(`File ${path.basename(filePath)} never stabilized, skipping processing`);
+          if (stable) {
+            console.log(`Recording complete, queueing: ${filePath}`);
+            await jobQueue.submit(filePath, { source: 'watcher' });
+          } else {
+            console.log(`File ${path.basename(filePath)} never stabilized, skipping processing`);
+          }
+        } catch (error) {
+          console.error(`Error queueing video ${filePath}:`, error);
+        } finally {
+          pendingFiles.delete(filePath);
         }
-      } catch (error) {
-        console.error(`Error processing video ${filePath}:`, error);
-      } finally {
-        processingFiles.delete(filePath);
-      }
-    });
-    
-  // Setup periodic scan for missed videos (every 2 minutes)
-  const scanInterval = setInterval(() => {
-    scanForMissedVideos();
+      })
+      .on('unlink', async (filePath) => {
+        // A rename or move shows up as unlink followed by add; the add relinks the entry
+        if (!matchesWatchFolder(folder, filePath)) return;
+        try {
+          await handleMissingVideo(filePath);
+        } catch (error) {
+          console.error(`Error handling removed video ${filePath}:`, error);
+        }
+      });
+  }
+  
+  // Setup periodic scan for missed videos and recordings that went missing unnoticed (every 2 minutes)
+  const scanInterval = setInterval(async () => {
+    await scanForMissedVideos();
+    await checkEntryFiles();
   }, 2 * 60 * 1000);
   
   // Cleanup interval on process exit
@@ -470,138 +1204,120 @@ async function setupWatcher() {
   console.log('File watcher initialized.');
 }
 
+/**
+ * Build the information about an entry that search results and prompts need
+ * @param {string} jsonFile - Name of the entry's JSON file
+ * @param {Object} data - Dataset entry
+ * @returns {Object}
+ */
+function toVideoInfo(jsonFile, data) {
+  return {
+    filename: jsonFile,
+    videoPath: data.videoPath,
+    videoFileName: data.videoFileName,
+    processedAt: data.processedAt,
+    textContent: describeEntryForSearch(data)
+  };
+}
+
+/**
+ * Ask the search model which videos are relevant to a query
+ * @param {string} query - The user's question
+ * @param {Array<Object>} videoInfos - Candidates (see toVideoInfo), optionally with a similarity
+ * @returns {Promise<Array<Object>>} - Relevant videos ordered by relevance score
+ */
+async function rankWithModel(query, videoInfos) {
+  const relevantVideos = [];
+  
+  // Process videos in batches of 10
+  const BATCH_SIZE = 10;
+  for (let i = 0; i < videoInfos.length; i += BATCH_SIZE) {
+    const batch = videoInfos.slice(i, i + BATCH_SIZE);
+    
+    // Create a combined prompt for the batch
+    const { text: batchPrompt } = promptRegistry.render('batch-video-relevance', {
+      query,
+      videoAnalyses: batch.map((info, index) => `Video ${index + 1} (${info.videoFileName}):\n---\n${info.textContent}\n---`).join('\n\n')
+    });
+    
+    try {
+      const { data: parsedResponses } = await generateStructured({
+        task: 'batch-video-relevance',
+        model: MODELS.search,
+        prompt: batchPrompt,
+        context: { items: batch.map(info => ({ filename: info.videoFileName })) }
+      });
+      
+      // Add relevant videos to results
+      parsedResponses.forEach((response, index) => {
+        if (response.is_relevant && response.relevance_score > 0.5) {
+          const videoInfo = batch[index];
+          relevantVideos.push({
+            filename: videoInfo.filename,
+            videoPath: videoInfo.videoPath,
+            videoFileName: videoInfo.videoFileName,
+            processedAt: videoInfo.processedAt,
+            score: response.relevance_score,
+            relevanceScore: response.relevance_score,
+            similarity: videoInfo.similarity,
+            justification: response.justification
+          });
+        }
+      });
+    } catch (error) {
+      console.error(`Error evaluating batch ${i / BATCH_SIZE + 1}:`, error);
+    }
+  }
+  
+  // Sort by relevance score (descending)
+  return relevantVideos.sort((a, b) => b.score - a.score);
+}
+
 // Function to search video analyses based on a natural language query
 async function searchVideoAnalyses(query) {
   console.log(`Received search query: ${query}`);
   try {
-    // Read all analysis files from the dataset folder
-    const files = await fs.readdir(DATASET_FOLDER);
-    const jsonFiles = files.filter(file => file.endsWith('.json'));
+    // Every analysis in the catalog goes to the model, as the text stored with its row
+    const videoInfos = catalog.searchTexts().map(({ jsonFile, videoPath, videoFileName, processedAt, text }) => ({
+      filename: jsonFile,
+      videoPath,
+      videoFileName,
+      processedAt,
+      textContent: text
+    }));
     
-    if (jsonFiles.length === 0) {
+    if (videoInfos.length === 0) {
       return [];
     }
     
-    // Read and parse each JSON file
-    const analysesData = [];
-    for (const file of jsonFiles) {
-      try {
-        const content = await fs.readFile(path.join(DATASET_FOLDER, file), 'utf-8');
-        const data = JSON.parse(content);
-        analysesData.push({ filename: file, data });
-      } catch (error) {
-        console.error(`Error parsing JSON file ${file}:`, error);
-      }
-    }
+    return await rankWithModel(query, videoInfos);
+  } catch (error) {
+    console.error('Error searching video analyses:', error);
+    throw error;
+  }
+}
+
+// Search by meaning: nearest entries from the embedding store, re-ranked by the model
+async function hybridSearch(query) {
+  console.log(`Received hybrid search query: ${query}`);
+  try {
+    const candidates = await embeddingStore.search(query, { limit: SEARCH_TOP_K });
     
-    // Prepare data for relevance check
     const videoInfos = [];
-    for (const item of analysesData) {
-      const { data } = item;
-      
-      // Extract key text content from the analysis
-      let textContent = '';
-      
-      // Include summary if available
-      if (data.analysis?.summary) {
-        textContent += `Summary: ${data.analysis.summary}\n\n`;
-      }
-      
-      // Include transcript if available
-      if (data.analysis?.transcript) {
-        textContent += `Transcript: ${data.analysis.transcript}\n\n`;
+    for (const { jsonFile, similarity } of candidates) {
+      const entry = catalog.get(jsonFile);
+      if (entry) {
+        videoInfos.push({ ...toVideoInfo(jsonFile, entry), similarity });
       }
-      
-      // Include topics if available
-      if (data.analysis?.topics && data.analysis.topics.length > 0) {
-        textContent += `Topics: ${data.analysis.topics.join(', ')}\n\n`;
-      }
-      
-      // Include inferred insights if available
-      if (data.analysis?.inferred_insights && data.analysis.inferred_insights.length > 0) {
-        textContent += 'Insights:\n';
-        data.analysis.inferred_insights.forEach(insight => {
-          textContent += `- ${insight.insight} (Basis: ${insight.basis})\n`;
-        });
-        textContent += '\n';
-      }
-      
-      videoInfos.push({
-        filename: item.filename,
-        videoPath: data.videoPath,
-        videoFileName: data.videoFileName,
-        processedAt: data.processedAt,
-        textContent
-      });
     }
     
-    // Use Gemini to evaluate relevance in batches
-    const model = genAI.getGenerativeModel({ model: 'gemini-1.5-flash' });
-    const relevantVideos = [];
-    
-    // Process videos in batches of 10
-    const BATCH_SIZE = 10;
-    for (let i = 0; i < videoInfos.length; i += BATCH_SIZE) {
-      const batch = videoInfos.slice(i, i + BATCH_SIZE);
-      
-      // Create a combined prompt for the batch
-      const batchPrompt = `
-        Analyze the following video analyses and determine their relevance to the user's question: "${query}"
-
-        For each video analysis below, determine if it is relevant and provide a relevance score and justification.
-        Respond with a JSON array where each element contains:
-        {
-          "filename": "The filename of the video",
-          "is_relevant": boolean,
-          "relevance_score": number (0.0 to 1.0),
-          "justification": "Brief explanation (1-2 sentences)"
-        }
-
-        Video Analyses:
-        ${batch.map((info, index) => `
-          Video ${index + 1} (${info.videoFileName}):
-          ---
-          ${info.textContent}
-          ---
-        `).join('\n\n')}
-      `;
-      
-      try {
-        const result = await model.generateContent(batchPrompt);
-        const responseText = result.response.text();
-        
-        // Parse the response
-        let jsonStr = responseText;
-        const jsonMatch = responseText.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
-        if (jsonMatch && jsonMatch[1]) {
-          jsonStr = jsonMatch[1];
-        }
-        
-        const parsedResponses = JSON.parse(jsonStr);
-        
-        // Add relevant videos to results
-        parsedResponses.forEach((response, index) => {
-          if (response.is_relevant && response.relevance_score > 0.5) {
-            const videoInfo = batch[index];
-            relevantVideos.push({
-              filename: videoInfo.filename,
-              videoPath: videoInfo.videoPath,
-              videoFileName: videoInfo.videoFileName,
-              processedAt: videoInfo.processedAt,
-              score: response.relevance_score,
-              justification: response.justification
-            });
-          }
-        });
-      } catch (error) {
-        console.error(`Error evaluating batch ${i / BATCH_SIZE + 1}:`, error);
-      }
+    if (videoInfos.length === 0) {
+      return [];
     }
     
-    // Sort by relevance score (descending)
-    return relevantVideos.sort((a, b) => b.score - a.score);
+    return await rankWithModel(query, videoInfos);
   } catch (error) {
-    console.error('Error searching video analyses:', error);
+    console.error('Error in hybrid search:', error);
     throw error;
   }
 }
@@ -611,18 +1327,14 @@ async function handleChatConversation(message, history, videoContext, memoryCont
   console.log('Handling chat conversation with message:', message);
   
   try {
-    // Create a Gemini model instance
-    const model = genAI.getGenerativeModel({ 
-      model: 'gemini-1.5-flash',
-      generationConfig: {
-        temperature: 1,
-        topP: 0.95,
-        topK: 40,
-        maxOutputTokens: 8192,
-      }
-    });
+    const generationConfig = {
+      temperature: 1,
+      topP: 0.95,
+      topK: 40,
+      maxOutputTokens: 8192,
+    };
     
-    // Format conversation history for Gemini
+    // Format conversation history in the provider's chat format
     const formattedHistory = history.map(msg => ({
       role: msg.type === 'user' ? 'user' : 'model',
       parts: [{ text: msg.content }]
@@ -636,33 +1348,30 @@ async function handleChatConversation(message, history, videoContext, memoryCont
       filteredHistory = [];
     }
     
-    // Start chat session with history if it exists
-    const chatSession = model.startChat({
-      history: filteredHistory.length >= 2 ? filteredHistory.slice(0, -1) : [],
-    });
-    
     // Prepare context information
-    const contextInfo = `
-You are an AI assistant helping a user discuss a video they've previously recorded. You have access to the following context:
-
-VIDEO CONTEXT:
-- Title: ${videoContext.videoFileName}
-- Summary: ${videoContext.summary}
-${videoContext.topics && videoContext.topics.length > 0 ? `- Topics: ${videoContext.topics.join(', ')}` : ''}
-${videoContext.transcript ? '- Full transcript is available' : '- No transcript available'}
-
-MEMORY CONTEXT:
-- Working Memory: ${memoryContext.workingMemory?.established_facts?.length || 0} established facts and ${memoryContext.workingMemory?.untested_hypotheses?.length || 0} hypotheses
-- Short-Term Memory: ${memoryContext.shortTermMemory?.length || 0} recent items
-- Long-Term Memory: Profile information and knowledge base available
-
-Use this context to provide informed, helpful responses about the video content and the user's memories related to it.
-The user's message is: ${message}
-`;
+    const { text: contextInfo } = promptRegistry.render('video-chat-context', {
+      videoFileName: videoContext.videoFileName,
+      summary: videoContext.summary || '',
+      topics: videoContext.topics && videoContext.topics.length > 0 ? `- Topics: ${videoContext.topics.join(', ')}` : '',
+      transcript: videoContext.transcript ? '- Full transcript is available' : '- No transcript available',
+      timeline: videoContext.segments && videoContext.segments.length > 0
+        ? `- Timeline (refer to moments as m:ss):\n${videoContext.segments.map(segment => `  [${formatTimestamp(segment.start)}-${formatTimestamp(segment.end)}] ${segment.summary}`).join('\n')}`
+        : '',
+      establishedFacts: memoryContext.workingMemory?.established_facts?.length || 0,
+      hypotheses: memoryContext.workingMemory?.untested_hypotheses?.length || 0,
+      recentItems: memoryContext.shortTermMemory?.length || 0,
+      message
+    });
 
-    // Send message with context
-    const result = await chatSession.sendMessage(contextInfo);
-    const response = result.response.text();
+    // Send message with context, continuing from the history if it exists
+    const { text: response } = await provider.chat({
+      task: 'video-chat-context',
+      model: MODELS.chat,
+      history: filteredHistory.length >= 2 ? filteredHistory.slice(0, -1) : [],
+      message: contextInfo,
+      generationConfig,
+      context: { videoFileName: videoContext.videoFileName }
+    });
     
     console.log('Generated response:', response);
     return { response };
@@ -681,9 +1390,36 @@ app.post('/api/search', async (req, res) => {
     }
     
     const query = req.body.query;
-    const results = await searchVideoAnalyses(query);
+    let mode = req.body.mode || req.query.mode || 'hybrid';
     
-    res.json({ results });
+    if (mode === 'keyword') {
+      // Offline ranking from the local index, no model calls
+      const limit = Math.min(Math.max(parseInt(req.body.limit, 10) || 20, 1), MAX_PAGE_SIZE);
+      const results = keywordIndex.search(query, { limit });
+      return res.json({ mode, results });
+    }
+    
+    if (mode !== 'hybrid' && mode !== 'llm') {
+      return res.status(400).json({ error: 'mode must be "hybrid", "llm" or "keyword"' });
+    }
+    
+    // Until the embedding store has caught up with the catalog it would miss entries,
+    // so the model judges every analysis instead
+    if (mode === 'hybrid' && !embeddingStore.ready) {
+      console.log('Embedding store is not ready yet, searching with the model instead');
+      mode = 'llm';
+    }
+    
+    const results = mode === 'hybrid'
+      ? await hybridSearch(query)
+      : await searchVideoAnalyses(query);
+    
+    // Point each hit at the segment that matches the query best, if the entry has segments
+    for (const result of results) {
+      result.moment = keywordIndex.locate(result.filename, query);
+    }
+    
+    res.json({ mode, results });
   } catch (error) {
     console.error('Error searching videos:', error);
     res.status(500).json({ error: error.message || 'Failed to search videos' });
@@ -728,12 +1464,12 @@ app.post('/api/videos/continue-discussion', async (req, res) => {
     }
     
     // Read the video file data
-    const videoPath = path.join(DATASET_FOLDER, filename);
+    const videoPath = await resolveSafePath(DATASET_FOLDER, filename, { extensions: ['.json'] });
     
     // Check if file exists using fs.access instead of fs.existsSync
     try {
       await fs.access(videoPath);
-    } catch (error) {
+    } catch {
       return res.status(404).json({ error: 'Video data not found' });
     }
     
@@ -746,12 +1482,16 @@ app.post('/api/videos/continue-discussion', async (req, res) => {
     const responseData = {
       success: true,
       videoContext: {
+        id: videoData.id,
         videoFileName: videoData.videoFileName,
+        media: videoData.media || null,
+        orphanedAt: videoData.orphanedAt || null,
         processedAt: videoData.processedAt,
         summary: videoData.analysis?.summary || 'No summary available',
         transcript: videoData.analysis?.transcript || null,
         topics: videoData.analysis?.topics || [],
-        insights: videoData.analysis?.inferred_insights || []
+        insights: videoData.analysis?.inferred_insights || [],
+        segments: videoData.analysis?.segments || []
       },
       memoryContext: {
         workingMemory: memoryState.workingMemory,
@@ -763,80 +1503,577 @@ app.post('/api/videos/continue-discussion', async (req, res) => {
     
     res.json(responseData);
   } catch (error) {
+    if (error instanceof PathSecurityError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Error continuing discussion:', error);
     res.status(500).json({ error: error.message || 'Failed to continue discussion' });
   }
 });
 
-// Endpoint to serve video files
-app.get('/videos/:filename', async (req, res) => {
+/**
+ * Find the recording a /videos request names
+ * @param {string} name - Id of a dataset entry, or the file name links used before recordings were served by id
+ * @returns {Promise<string|null>} - Path of the recording
+ * @throws {PathSecurityError}
+ */
+async function findRequestedVideo(name) {
+  const found = catalog.findById(name);
+  if (found) {
+    return found.entry.videoFileName && !found.entry.orphanedAt ? getEntryVideoPath(found.entry) : null;
+  }
+  if (!isVideoFile(name)) return null;
+
+  // Files directly in a folder are found by name; ones in sub folders through their dataset entry
+  const filePath = await findVideoFile(name, [...watchFolders, uploadFolder]);
+  if (filePath) return filePath;
+  const byName = catalog.findByVideoFileName(name);
+  return byName && !byName.entry.orphanedAt ? getEntryVideoPath(byName.entry) : null;
+}
+
+// Serve the recording of a dataset entry, by its id or its file name
+app.get('/videos/:name', async (req, res) => {
   try {
-    const filename = req.params.filename;
-    const sourceVideoPath = path.join(WATCH_FOLDER, filename);
-    
-    // Check if file exists
-    try {
-      await fs.access(sourceVideoPath);
-    } catch (error) {
+    const videoPath = await findRequestedVideo(req.params.name);
+    if (!videoPath) {
       return res.status(404).send('Video file not found');
     }
-    
-    // Get file stats to determine size
-    const stat = await fs.stat(sourceVideoPath);
-    const fileSize = stat.size;
-    const range = req.headers.range;
-    
-    // Handle range requests for video streaming
-    if (range) {
-      const parts = range.replace(/bytes=/, '').split('-');
-      const start = parseInt(parts[0], 10);
-      const end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
-      const chunkSize = (end - start) + 1;
-      
-      const fileStream = createReadStream(sourceVideoPath, { start, end });
-      const head = {
-        'Content-Range': `bytes ${start}-${end}/${fileSize}`,
-        'Accept-Ranges': 'bytes',
-        'Content-Length': chunkSize,
-        'Content-Type': 'video/mp4',
-      };
-      
-      res.writeHead(206, head);
-      fileStream.pipe(res);
-    } else {
-      // No range requested, send entire file
-      const head = {
-        'Content-Length': fileSize,
-        'Content-Type': 'video/mp4',
-      };
-      
-      res.writeHead(200, head);
-      createReadStream(sourceVideoPath).pipe(res);
+
+    // Only recordings in the watch folders or the ingest folder are served,
+    // whatever path the entry holds
+    const realPath = await fs.realpath(videoPath).catch(() => null);
+    if (!realPath || !(await isInWatchFolders(videoPath, realPath))) {
+      return res.status(404).send('Video file not found');
     }
+    
+    // Serve with range, conditional request and caching support
+    await sendFileWithRanges(req, res, realPath, getContentType(videoPath));
   } catch (error) {
+    if (error instanceof PathSecurityError) {
+      return res.status(error.status).send(error.message);
+    }
     console.error('Error serving video:', error);
+    if (res.headersSent) {
+      return res.destroy();
+    }
     res.status(500).send('Error serving video file');
   }
 });
 
+// Regenerate the thumbnail of a video, at a chosen time or with a strategy
+app.post('/api/videos/:id/thumbnail', async (req, res) => {
+  try {
+    const found = catalog.findById(req.params.id);
+    if (!found) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    const { time, strategy } = req.body || {};
+    if (time !== undefined && (typeof time !== 'number' || !Number.isFinite(time) || time < 0)) {
+      return res.status(400).json({ error: 'time must be a number of seconds, 0 or more' });
+    }
+    if (strategy !== undefined && !THUMBNAIL_STRATEGIES.includes(strategy)) {
+      return res.status(400).json({ error: `strategy must be one of: ${THUMBNAIL_STRATEGIES.join(', ')}` });
+    }
+
+    const { id } = found.entry;
+    const sourcePath = getEntryVideoPath(found.entry);
+    try {
+      await fs.access(sourcePath);
+    } catch {
+      return res.status(404).json({ error: 'Video file not found' });
+    }
+
+    await ensureThumbnailFolder();
+    const options = time !== undefined ? { time } : strategy ? { strategy } : {};
+    const thumbnail = await generateEntryThumbnail(sourcePath, path.join(DATASET_FOLDER, found.jsonFile), id, options);
+    res.json({
+      id,
+      thumbnail,
+      url: `/thumbnails/${encodeURIComponent(getThumbnailName(id))}`
+    });
+  } catch (error) {
+    console.error('Error regenerating thumbnail:', error);
+    res.status(500).json({ error: 'Failed to generate thumbnail' });
+  }
+});
+
+// Keyframes extracted at scene changes, with their timestamps
+app.get('/api/videos/:id/keyframes', async (req, res) => {
+  try {
+    const found = catalog.findById(req.params.id);
+    if (!found) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    const { id, videoFileName } = found.entry;
+    const manifest = await readKeyframes(THUMBNAIL_FOLDER, id);
+    const dirName = encodeURIComponent(getKeyframeDirName(id));
+
+    res.json({
+      id: req.params.id,
+      videoFileName,
+      generatedAt: manifest?.generatedAt || null,
+      keyframes: (manifest?.keyframes || []).map(({ file, time }) => ({
+        time,
+        url: `/thumbnails/${dirName}/${encodeURIComponent(file)}`
+      }))
+    });
+  } catch (error) {
+    console.error('Error reading keyframes:', error);
+    res.status(500).json({ error: 'Failed to read keyframes' });
+  }
+});
+
+/**
+ * List the entries marked as orphaned in the catalog
+ * @returns {Object} - { orphans, total }
+ */
+function listOrphans() {
+  const { videos } = catalog.query({ orphaned: true, full: true });
+  return {
+    orphans: videos.map(entry => ({
+      id: entry.id,
+      videoFileName: entry.videoFileName,
+      videoPath: entry.videoPath,
+      processedAt: entry.processedAt,
+      orphanedAt: entry.orphanedAt,
+      source: entry.source || null,
+      fingerprint: entry.fingerprint || null
+    })),
+    total: videos.length
+  };
+}
+
+// Report of the orphaned entries; read-only, the disk is checked by the periodic scan and the POST below
+app.get('/api/maintenance/orphans', (req, res) => {
+  try {
+    res.json(listOrphans());
+  } catch (error) {
+    console.error('Error listing orphaned entries:', error);
+    res.status(500).json({ error: 'Failed to list orphaned entries' });
+  }
+});
+
+// Check every entry against the disk now, then report the orphaned ones
+app.post('/api/maintenance/orphans/check', async (req, res) => {
+  try {
+    await checkEntryFiles();
+    res.json(listOrphans());
+  } catch (error) {
+    console.error('Error checking orphaned entries:', error);
+    res.status(500).json({ error: 'Failed to check orphaned entries' });
+  }
+});
+
+// Point an orphaned entry at the recording's new location
+app.post('/api/videos/:id/relink', async (req, res) => {
+  try {
+    const found = catalog.findById(req.params.id);
+    if (!found) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+    if (!found.entry.orphanedAt) {
+      return res.status(409).json({ error: 'The recording of this analysis is not missing' });
+    }
+
+    const { videoPath, force = false } = req.body || {};
+    if (typeof videoPath !== 'string' || !videoPath || videoPath.includes('\0')) {
+      return res.status(400).json({ error: 'videoPath is required' });
+    }
+    if (typeof force !== 'boolean') {
+      return res.status(400).json({ error: 'force must be true or false' });
+    }
+
+    // Only files the server would pick up itself can be linked, so no other file can be served
+    const newPath = path.resolve(videoPath);
+    let realPath;
+    try {
+      realPath = await fs.realpath(newPath);
+    } catch {
+      realPath = null;
+    }
+    if (!(await isInWatchFolders(newPath, realPath || newPath))) {
+      return res.status(400).json({ error: 'videoPath must be a video file in one of the watch folders' });
+    }
+    if (!realPath) {
+      return res.status(404).json({ error: 'Video file not found' });
+    }
+    if (!(await fs.stat(realPath)).isFile()) {
+      return res.status(400).json({ error: 'videoPath is not a file' });
+    }
+
+    const other = catalog.findByVideoPath(newPath);
+    if (other && other.jsonFile !== found.jsonFile) {
+      return res.status(409).json({ error: `${path.basename(newPath)} already has its own analysis` });
+    }
+
+    // A different fingerprint means different content; linking it anyway needs force
+    const fingerprint = await computeFingerprint(newPath);
+    const sameContent = !found.entry.fingerprint || found.entry.fingerprint === fingerprint;
+    if (!sameContent && !force) {
+      return res.status(409).json({
+        error: 'The file has different content than the analyzed recording; send force to link it anyway'
+      });
+    }
+
+    const jsonPath = path.join(DATASET_FOLDER, found.jsonFile);
+    await relinkEntry(found, newPath);
+    if (!sameContent || !found.entry.fingerprint) {
+      await updateDatasetEntry(jsonPath, { fingerprint, media: await probeMedia(newPath) });
+    }
+
+    res.json({ id: req.params.id, video: catalog.get(found.jsonFile) });
+  } catch (error) {
+    console.error('Error relinking video:', error);
+    res.status(500).json({ error: 'Failed to relink video' });
+  }
+});
+
+/**
+ * Strip the results from a run for listings
+ * @param {Object} run - Analysis run
+ * @returns {Object} - Id, time, model, mode, prompts, status and error
+ */
+function summarizeRun(run) {
+  const { id, createdAt, model, mode, prompts, status, error } = run;
+  return { id, createdAt, model, mode, prompts, status, error };
+}
+
+// Analysis history of a video, without the results of each run
+app.get('/api/videos/:id/runs', async (req, res) => {
+  try {
+    const found = catalog.findById(req.params.id);
+    if (!found) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    const { activeRunId, runs } = await readRuns(path.join(DATASET_FOLDER, found.jsonFile));
+    res.json({ id: req.params.id, activeRunId, runs: runs.map(summarizeRun).reverse() });
+  } catch (error) {
+    console.error('Error reading analysis runs:', error);
+    res.status(500).json({ error: 'Failed to read analysis runs' });
+  }
+});
+
+// One analysis run with its results
+app.get('/api/videos/:id/runs/:runId', async (req, res) => {
+  try {
+    const found = catalog.findById(req.params.id);
+    if (!found) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    const { activeRunId, runs } = await readRuns(path.join(DATASET_FOLDER, found.jsonFile));
+    const run = runs.find(r => r.id === req.params.runId);
+    if (!run) {
+      return res.status(404).json({ error: 'Analysis run not found' });
+    }
+    res.json({ id: req.params.id, active: run.id === activeRunId, run });
+  } catch (error) {
+    console.error('Error reading analysis run:', error);
+    res.status(500).json({ error: 'Failed to read analysis run' });
+  }
+});
+
+// Make an earlier (or later) analysis run the one the entry shows
+app.post('/api/videos/:id/runs/:runId/activate', async (req, res) => {
+  try {
+    const found = catalog.findById(req.params.id);
+    if (!found) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    const entry = await setActiveRun(path.join(DATASET_FOLDER, found.jsonFile), req.params.runId);
+    if (!entry) {
+      return res.status(404).json({ error: 'Analysis run not found' });
+    }
+    console.log(`Analysis run ${entry.activeRunId} is now active for ${entry.videoFileName}`);
+    res.json({ id: req.params.id, activeRunId: entry.activeRunId, video: catalog.get(found.jsonFile) });
+  } catch (error) {
+    console.error('Error activating analysis run:', error);
+    res.status(500).json({ error: 'Failed to activate analysis run' });
+  }
+});
+
+/**
+ * Validate the settings a reanalysis overrides
+ * @param {Object} options - Request body
+ * @param {string} [options.mode] - Analysis mode
+ * @param {string} [options.model] - Analysis model
+ * @param {boolean} [options.inference] - Whether the inference pass runs
+ * @returns {Object} - { reanalyze } with the given settings, or { error }
+ */
+function parseReanalyzeOptions({ mode, model, inference }) {
+  if (mode !== undefined && !ANALYSIS_MODES.includes(mode)) {
+    return { error: `mode must be one of: ${ANALYSIS_MODES.join(', ')}` };
+  }
+  if (model !== undefined && (typeof model !== 'string' || !model)) {
+    return { error: 'model must be a model name' };
+  }
+  if (inference !== undefined && typeof inference !== 'boolean') {
+    return { error: 'inference must be true or false' };
+  }
+  return {
+    reanalyze: {
+      ...(mode !== undefined && { mode }),
+      ...(model !== undefined && { model }),
+      ...(inference !== undefined && { inference })
+    }
+  };
+}
+
+// Analyze a video again; the results are added as a new run of its entry
+app.post('/api/videos/:id/reanalyze', async (req, res) => {
+  try {
+    const found = catalog.findById(req.params.id);
+    if (!found) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+    if (found.entry.orphanedAt) {
+      return res.status(409).json({ error: 'The recording of this analysis is missing; relink it first' });
+    }
+
+    const { error, reanalyze } = parseReanalyzeOptions(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const videoPath = getEntryVideoPath(found.entry);
+    try {
+      await fs.access(videoPath);
+    } catch {
+      return res.status(404).json({ error: 'Video file not found' });
+    }
+    if (isVideoInFlight(videoPath)) {
+      return res.status(409).json({ error: 'The video is already being processed' });
+    }
+    // The new run is saved to the entry with the same videoPath
+    if (!found.entry.videoPath) {
+      await updateDatasetEntry(path.join(DATASET_FOLDER, found.jsonFile), { videoPath });
+    }
+
+    const job = await jobQueue.submit(videoPath, { source: 'reanalyze', reanalyze });
+    res.status(202).json({ id: req.params.id, jobId: job.id, status: job.status });
+  } catch (error) {
+    console.error('Error queueing reanalysis:', error);
+    res.status(500).json({ error: 'Failed to queue reanalysis' });
+  }
+});
+
+// Analyze every video matching a filter again, e.g. after the model or a prompt changed.
+// With dryRun the matching videos and the cost estimate are returned without queueing anything.
+app.post('/api/reprocess', async (req, res) => {
+  try {
+    const { filter = {}, dryRun = false, ...options } = req.body || {};
+    if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+      return res.status(400).json({ error: 'filter must be an object' });
+    }
+    if (typeof dryRun !== 'boolean') {
+      return res.status(400).json({ error: 'dryRun must be true or false' });
+    }
+    const { error: optionsError, reanalyze } = parseReanalyzeOptions(options);
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError });
+    }
+
+    // The filter takes the listing's query parameters; paging doesn't apply
+    const filterQuery = Object.entries(filter)
+      .filter(([key]) => !['page', 'limit', 'sort'].includes(key))
+      .map(([key, value]) => [key, String(value)]);
+    const { error: filterError, ...query } = parseVideoListQuery(Object.fromEntries(filterQuery));
+    if (filterError) {
+      return res.status(400).json({ error: `filter: ${filterError}` });
+    }
+
+    const { videos: entries } = catalog.query({ ...query, order: 'asc', full: true });
+    const matches = [];
+    const skipped = [];
+    for (const entry of entries) {
+      const skip = reason => skipped.push({ id: entry.id, videoFileName: entry.videoFileName, reason });
+      if (entry.orphanedAt) {
+        skip('The recording is missing');
+        continue;
+      }
+      const videoPath = getEntryVideoPath(entry);
+      if (isVideoInFlight(videoPath)) {
+        skip('The video is already being processed');
+        continue;
+      }
+      try {
+        await fs.access(videoPath);
+      } catch {
+        skip('Video file not found');
+        continue;
+      }
+
+      const settings = { ...getSourceFolder(videoPath), ...reanalyze };
+      matches.push({
+        entry,
+        videoPath,
+        work: {
+          duration: entry.media?.duration,
+          model: settings.model || MODELS.analysis,
+          mode: settings.mode || ANALYSIS_MODE,
+          inference: settings.inference
+        }
+      });
+    }
+    const estimate = estimateBatch(matches.map(match => match.work));
+
+    if (dryRun) {
+      return res.json({
+        dryRun: true,
+        matched: entries.length,
+        estimate,
+        videos: matches.map(({ entry, work }) => ({
+          id: entry.id,
+          videoFileName: entry.videoFileName,
+          status: entry.analysis?.error ? 'error' : 'ok',
+          analyzedWith: {
+            model: entry.analysis?.model || null,
+            promptVersion: entry.analysis?.prompts?.analysis?.version || null
+          },
+          ...work
+        })),
+        skipped
+      });
+    }
+
+    // Videos are added to the batch as they are queued, so its jobs carry its id
+    const batch = await reprocessBatches.create({ filter, settings: reanalyze, estimate, videos: [], skipped });
+    try {
+      for (const { entry, videoPath } of matches) {
+        // The new run is saved to the entry with the same videoPath
+        if (!entry.videoPath) {
+          const found = catalog.findById(entry.id);
+          await updateDatasetEntry(path.join(DATASET_FOLDER, found.jsonFile), { videoPath });
+        }
+        const job = await jobQueue.submit(videoPath, { source: 'reprocess', reanalyze, batchId: batch.id });
+        batch.videos.push({ id: entry.id, videoFileName: entry.videoFileName, jobId: job.id });
+      }
+    } finally {
+      await reprocessBatches.persist();
+    }
+
+    console.log(`Reprocess ${batch.id}: queued ${batch.videos.length} videos, skipped ${skipped.length}, estimated $${estimate.cost}`);
+    res.status(202).json({ ...batch, progress: reprocessBatches.progress(batch, jobQueue) });
+  } catch (error) {
+    console.error('Error queueing reprocess:', error);
+    res.status(500).json({ error: 'Failed to queue reprocess' });
+  }
+});
+
+// Reprocess batches, newest first, with their progress; the video lists are replaced by counts
+app.get('/api/reprocess', (req, res) => {
+  const batches = reprocessBatches.list().map(({ videos, skipped, ...batch }) => ({
+    ...batch,
+    skipped: skipped.length,
+    progress: reprocessBatches.progress({ videos }, jobQueue)
+  }));
+  res.json({ batches });
+});
+
+// One reprocess batch with its videos and progress
+app.get('/api/reprocess/:id', (req, res) => {
+  const batch = reprocessBatches.get(req.params.id);
+  if (!batch) {
+    return res.status(404).json({ error: 'Reprocess batch not found' });
+  }
+  res.json({ ...batch, progress: reprocessBatches.progress(batch, jobQueue) });
+});
+
+// Move an orphaned entry and its images to the archive folder
+app.post('/api/videos/:id/archive', async (req, res) => {
+  try {
+    const found = catalog.findById(req.params.id);
+    if (!found) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+    if (!found.entry.orphanedAt) {
+      return res.status(409).json({ error: 'Only analyses whose recording is missing can be archived' });
+    }
+
+    await fs.mkdir(ARCHIVE_FOLDER, { recursive: true });
+    const parsed = path.parse(found.jsonFile);
+    let archiveName = found.jsonFile;
+    for (let i = 2; await fs.access(path.join(ARCHIVE_FOLDER, archiveName)).then(() => true, () => false); i++) {
+      archiveName = `${parsed.name}-${i}${parsed.ext}`;
+    }
+    await fs.rename(path.join(DATASET_FOLDER, found.jsonFile), path.join(ARCHIVE_FOLDER, archiveName));
+    await removeVideoAssets(found.entry.id, path.join(ARCHIVE_FOLDER, 'thumbnails'));
+    catalog.removeEntry(found.jsonFile);
+    console.log(`Archived the analysis of ${found.entry.videoFileName} to ${archiveName}`);
+
+    res.json({ id: req.params.id, archived: archiveName });
+  } catch (error) {
+    console.error('Error archiving video:', error);
+    res.status(500).json({ error: 'Failed to archive video' });
+  }
+});
+
+// Delete an orphaned entry and its images
+app.delete('/api/videos/:id', async (req, res) => {
+  try {
+    const found = catalog.findById(req.params.id);
+    if (!found) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+    if (!found.entry.orphanedAt) {
+      return res.status(409).json({ error: 'Only analyses whose recording is missing can be purged' });
+    }
+
+    await fs.rm(path.join(DATASET_FOLDER, found.jsonFile), { force: true });
+    await removeVideoAssets(found.entry.id, null);
+    catalog.removeEntry(found.jsonFile);
+    console.log(`Purged the analysis of ${found.entry.videoFileName}`);
+
+    res.json({ id: req.params.id, purged: true });
+  } catch (error) {
+    console.error('Error purging video:', error);
+    res.status(500).json({ error: 'Failed to purge video' });
+  }
+});
+
+// Serve keyframe images stored in a sub folder of the thumbnail folder
+app.get('/thumbnails/:folder/:filename', async (req, res) => {
+  try {
+    const { folder, filename } = req.params;
+    const imagePath = await resolveSafePath(THUMBNAIL_FOLDER, `${folder}/${filename}`, {
+      extensions: ['.jpg'],
+      allowSubdirectories: true
+    });
+    await fs.access(imagePath);
+    res.sendFile(imagePath);
+  } catch (error) {
+    if (error instanceof PathSecurityError) {
+      return res.status(error.status).send(error.message);
+    }
+    res.status(404).send('Image not found');
+  }
+});
+
 // New endpoint to serve thumbnails
 app.get('/thumbnails/:filename', async (req, res) => {
   try {
     const filename = req.params.filename;
-    const thumbnailPath = path.join(THUMBNAIL_FOLDER, filename);
+    const thumbnailPath = await resolveSafePath(THUMBNAIL_FOLDER, filename, { extensions: ['.jpg'] });
     await fs.access(thumbnailPath);
     res.sendFile(thumbnailPath);
   } catch (error) {
+    if (error instanceof PathSecurityError) {
+      return res.status(error.status).send(error.message);
+    }
     res.status(404).send('Thumbnail not found');
   }
 });
 
 // Initialize server
 const port = process.env.PORT || 8001;
-const server = ViteExpress.listen(app, port, () => {
+ViteExpress.listen(app, port, () => {
   console.log(`Server listening on port ${port}`);
-  console.log(`Watching folder: ${WATCH_FOLDER}`);
   console.log(`Dataset folder: ${DATASET_FOLDER}`);
+  console.log(`Ingest folder: ${INGEST_FOLDER}`);
 });
 
 setupWatcher().catch(error => {
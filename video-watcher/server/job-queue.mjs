@@ -0,0 +1,258 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { EventEmitter } from 'events';
+
+// Job states
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed'
+};
+
+// Number of finished jobs kept in the store for inspection
+const FINISHED_JOB_LIMIT = 500;
+
+/**
+ * Persistent processing queue backed by a JSON file.
+ *
+ * Jobs survive restarts: anything still marked as running when the queue is
+ * loaded was interrupted and is put back in the queue.
+ */
+export class JobQueue extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {string} options.storePath - Path of the JSON file holding the jobs
+   * @param {number} options.concurrency - Maximum number of jobs running at once
+   * @param {Function} options.handler - Async function called with each job; its return value is stored as the job result
+   */
+  constructor({ storePath, concurrency = 1, handler }) {
+    super();
+    this.storePath = storePath;
+    this.concurrency = Math.max(1, concurrency);
+    this.handler = handler;
+    this.jobs = [];
+    this.running = 0;
+    this.started = false;
+    this.persistChain = Promise.resolve();
+  }
+
+  /**
+   * Load persisted jobs and requeue the ones interrupted by a restart
+   */
+  async initialize() {
+    await fs.mkdir(path.dirname(this.storePath), { recursive: true });
+
+    try {
+      const content = await fs.readFile(this.storePath, 'utf-8');
+      this.jobs = JSON.parse(content).jobs || [];
+      console.log(`Loaded ${this.jobs.length} jobs from ${this.storePath}`);
+    } catch {
+      console.log('No existing job store found, starting with an empty queue');
+      this.jobs = [];
+    }
+
+    let resumed = 0;
+    for (const job of this.jobs) {
+      if (job.status === JOB_STATUS.RUNNING) {
+        job.status = JOB_STATUS.QUEUED;
+        job.startedAt = null;
+        job.stage = null;
+        resumed++;
+      }
+    }
+
+    if (resumed > 0) {
+      console.log(`Resuming ${resumed} interrupted jobs`);
+    }
+
+    await this.persist();
+  }
+
+  /**
+   * Start processing queued jobs
+   */
+  start() {
+    this.started = true;
+    this.pump();
+  }
+
+  /**
+   * Find the queued or running job for a video, if any
+   * @param {string} videoPath - Path to the video file
+   * @returns {Object|undefined} - The active job
+   */
+  findActive(videoPath) {
+    return this.jobs.find(job =>
+      job.videoPath === videoPath &&
+      (job.status === JOB_STATUS.QUEUED || job.status === JOB_STATUS.RUNNING)
+    );
+  }
+
+  /**
+   * Add a video to the queue. A video that already has an active job is not queued twice.
+   * @param {string} videoPath - Path to the video file
+   * @param {Object} options - Extra job fields
+   * @param {string} options.source - What submitted the job (watcher, scan, manual)
+   * @returns {Promise<Object>} - The queued job, or the already active one
+   */
+  async submit(videoPath, { source = 'manual', ...options } = {}) {
+    const existing = this.findActive(videoPath);
+    if (existing) {
+      console.log(`Job ${existing.id} already ${existing.status} for ${path.basename(videoPath)}`);
+      return existing;
+    }
+
+    const job = {
+      id: `job_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      videoPath,
+      videoFileName: path.basename(videoPath),
+      source,
+      ...options,
+      status: JOB_STATUS.QUEUED,
+      stage: null,
+      stageAt: null,
+      attempts: 0,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      error: null,
+      result: null
+    };
+
+    this.jobs.push(job);
+    console.log(`Queued job ${job.id} (${source}) for ${job.videoFileName}`);
+    await this.persist();
+    this.emit('job', job);
+    this.pump();
+
+    return job;
+  }
+
+  /**
+   * Get a job by id
+   * @param {string} id - Job id
+   * @returns {Object|undefined} - The job
+   */
+  get(id) {
+    return this.jobs.find(job => job.id === id);
+  }
+
+  /**
+   * List jobs, newest first
+   * @param {Object} filter
+   * @param {string} filter.status - Only return jobs in this state
+   * @returns {Array} - Matching jobs
+   */
+  list({ status } = {}) {
+    return this.jobs
+      .filter(job => !status || job.status === status)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  /**
+   * Record the pipeline stage a running job has reached
+   * @param {Object} event - Stage event carrying the videoPath it belongs to
+   * @returns {Object|undefined} - The updated job
+   */
+  updateStage(event) {
+    const job = this.jobs.find(j => j.videoPath === event.videoPath && j.status === JOB_STATUS.RUNNING);
+    if (!job) return undefined;
+
+    job.stage = `${event.scope}:${event.stage}`;
+    job.stageAt = event.timestamp;
+    this.emit('job', job);
+    return job;
+  }
+
+  /**
+   * Count jobs per state
+   * @returns {Object} - Counts keyed by state
+   */
+  counts() {
+    const counts = { queued: 0, running: 0, succeeded: 0, failed: 0 };
+    for (const job of this.jobs) {
+      counts[job.status] = (counts[job.status] || 0) + 1;
+    }
+    return counts;
+  }
+
+  /**
+   * Start as many queued jobs as the concurrency limit allows
+   */
+  pump() {
+    if (!this.started) return;
+
+    while (this.running < this.concurrency) {
+      const job = this.jobs.find(j => j.status === JOB_STATUS.QUEUED);
+      if (!job) break;
+
+      this.running++;
+      this.run(job).finally(() => {
+        this.running--;
+        this.pump();
+      });
+    }
+  }
+
+  /**
+   * Run a single job through the handler and record the outcome
+   * @param {Object} job - The job to run
+   */
+  async run(job) {
+    job.status = JOB_STATUS.RUNNING;
+    job.startedAt = new Date().toISOString();
+    job.attempts++;
+    await this.persist();
+    this.emit('job', job);
+
+    console.log(`Starting job ${job.id} for ${job.videoFileName} (attempt ${job.attempts})`);
+
+    try {
+      job.result = await this.handler(job);
+      job.status = JOB_STATUS.SUCCEEDED;
+      job.error = null;
+      console.log(`Job ${job.id} succeeded`);
+    } catch (error) {
+      job.status = JOB_STATUS.FAILED;
+      job.error = error.message;
+      console.error(`Job ${job.id} failed:`, error);
+    }
+
+    job.finishedAt = new Date().toISOString();
+    this.pruneFinished();
+    await this.persist();
+    this.emit('job', job);
+  }
+
+  /**
+   * Drop the oldest finished jobs beyond the retention limit
+   */
+  pruneFinished() {
+    const finished = this.jobs
+      .filter(job => job.status === JOB_STATUS.SUCCEEDED || job.status === JOB_STATUS.FAILED)
+      .sort((a, b) => new Date(b.finishedAt) - new Date(a.finishedAt));
+
+    if (finished.length <= FINISHED_JOB_LIMIT) return;
+
+    const dropped = new Set(finished.slice(FINISHED_JOB_LIMIT));
+    this.jobs = this.jobs.filter(job => !dropped.has(job));
+  }
+
+  /**
+   * Write the job list to disk. Writes are serialized and go through a
+   * temporary file so a crash never leaves a half-written store behind.
+   */
+  persist() {
+    this.persistChain = this.persistChain.then(async () => {
+      try {
+        const tmpPath = `${this.storePath}.tmp`;
+        await fs.writeFile(tmpPath, JSON.stringify({ jobs: this.jobs }, null, 2), 'utf-8');
+        await fs.rename(tmpPath, this.storePath);
+      } catch (error) {
+        console.error('Error persisting job queue:', error);
+      }
+    });
+    return this.persistChain;
+  }
+}
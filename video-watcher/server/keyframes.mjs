@@ -0,0 +1,117 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { runFfmpeg } from './ffmpeg.mjs';
+import { probeDuration } from './chunker.mjs';
+import { emitStage } from './processing-events.mjs';
+
+// Scene change score (0-1) above which a frame starts a new scene
+const SCENE_THRESHOLD = parseFloat(process.env.KEYFRAME_SCENE_THRESHOLD || '0.3');
+
+// Most keyframes kept per recording
+const MAX_KEYFRAMES = parseInt(process.env.KEYFRAME_MAX_COUNT || '24', 10) || 24;
+
+// Frames taken at even intervals when no scene change is detected (e.g. a static screen)
+const FALLBACK_FRAME_COUNT = 8;
+
+const MANIFEST_FILE = 'keyframes.json';
+
+/**
+ * Folder holding the keyframes of a recording, next to its thumbnail.
+ * Named after the dataset entry, as recordings in different folders can share a file name.
+ * @param {string} videoId - Id of the recording's dataset entry
+ * @returns {string} - Folder name relative to the thumbnail folder
+ */
+export function getKeyframeDirName(videoId) {
+  return `${videoId}.keyframes`;
+}
+
+/**
+ * Read the timestamps of the frames ffmpeg's showinfo filter reported
+ * @param {string} stderr - ffmpeg output
+ * @returns {Array<number>} - Presentation time of each output frame in seconds
+ */
+function parseShowinfoTimes(stderr) {
+  return [...stderr.matchAll(/Parsed_showinfo.*?pts_time:\s*([\d.]+)/g)].map(match => parseFloat(match[1]));
+}
+
+/**
+ * Run one extraction pass and pair the written files with their timestamps
+ * @param {string} videoPath - Source video
+ * @param {string} outputDir - Folder to write the frames to
+ * @param {Array<string>} inputArgs - Arguments before -i
+ * @param {string} filter - Video filter selecting the frames
+ * @returns {Promise<Array<Object>>} - { file, time } for each frame
+ */
+async function extractFrames(videoPath, outputDir, inputArgs, filter) {
+  const { stderr } = await runFfmpeg([
+    '-y', ...inputArgs, '-i', videoPath,
+    '-vf', `${filter},showinfo,scale=320:-2`,
+    '-vsync', 'vfr',
+    '-frames:v', String(MAX_KEYFRAMES),
+    path.join(outputDir, 'frame_%04d.jpg')
+  ]);
+
+  return parseShowinfoTimes(stderr).slice(0, MAX_KEYFRAMES).map((time, i) => ({
+    file: `frame_${String(i + 1).padStart(4, '0')}.jpg`,
+    time
+  }));
+}
+
+/**
+ * Extract keyframes at scene changes and store them with a manifest.
+ * Only the video's own keyframes are decoded, which keeps the pass fast
+ * on long recordings; screen recorders write one every few seconds.
+ * @param {string} videoPath - Source video
+ * @param {string} thumbnailFolder - Thumbnail folder; frames go to a sub folder named after the entry
+ * @param {string} videoId - Id of the recording's dataset entry
+ * @returns {Promise<Array<Object>>} - { file, time } of each keyframe, time in seconds
+ */
+export async function generateKeyframes(videoPath, thumbnailFolder, videoId) {
+  const outputDir = path.join(thumbnailFolder, getKeyframeDirName(videoId));
+  emitStage('keyframes', 'generating', { videoPath });
+
+  try {
+    await fs.rm(outputDir, { recursive: true, force: true });
+    await fs.mkdir(outputDir, { recursive: true });
+
+    let keyframes = await extractFrames(
+      videoPath, outputDir, ['-skip_frame', 'nokey'], `select='gt(scene,${SCENE_THRESHOLD})'`);
+
+    if (keyframes.length === 0) {
+      // No scene changes: sample frames evenly instead
+      const duration = await probeDuration(videoPath);
+      const interval = Math.max(duration / (FALLBACK_FRAME_COUNT + 1), 1);
+      keyframes = await extractFrames(videoPath, outputDir, [], `fps=1/${interval}`);
+    }
+
+    const manifest = {
+      videoFileName: path.basename(videoPath),
+      generatedAt: new Date().toISOString(),
+      keyframes
+    };
+    await fs.writeFile(path.join(outputDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2), 'utf-8');
+
+    emitStage('keyframes', 'complete', { videoPath, count: keyframes.length });
+    return keyframes;
+  } catch (error) {
+    await fs.rm(outputDir, { recursive: true, force: true });
+    emitStage('keyframes', 'failed', { videoPath, error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Read the stored keyframes of a recording
+ * @param {string} thumbnailFolder - Thumbnail folder
+ * @param {string} videoId - Id of the recording's dataset entry
+ * @returns {Promise<Object|null>} - The manifest, or null if no keyframes were generated yet
+ */
+export async function readKeyframes(thumbnailFolder, videoId) {
+  const manifestPath = path.join(thumbnailFolder, getKeyframeDirName(videoId), MANIFEST_FILE);
+  try {
+    return JSON.parse(await fs.readFile(manifestPath, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
@@ -0,0 +1,287 @@
+// BM25 tuning: term frequency saturation and document length normalization
+const K1 = 1.2;
+const B = 0.75;
+
+// Characters of context shown around the first match in a snippet
+const SNIPPET_RADIUS = 80;
+
+// Snippets returned per hit
+const MAX_SNIPPETS = 3;
+
+/**
+ * Indexed fields of a dataset entry and how much a match in each counts.
+ * A term found in the summary weighs more than one buried in a long transcript.
+ */
+const FIELDS = {
+  summary: { weight: 3, extract: entry => entry.analysis?.summary },
+  topics: { weight: 3, extract: entry => entry.analysis?.topics },
+  tags: { weight: 2, extract: entry => entry.analysis?.tags },
+  transcript: { weight: 1, extract: entry => entry.analysis?.transcript },
+  screenContent: { weight: 1, extract: entry => entry.analysis?.screenContent },
+  inferred_insights: {
+    weight: 2,
+    extract: entry => {
+      const insights = entry.inferred_insights?.length ? entry.inferred_insights : entry.analysis?.inferred_insights;
+      return Array.isArray(insights) ? insights.map(item => item?.insight || '') : null;
+    }
+  }
+};
+
+// Weight of a match inside one timestamped segment
+const SEGMENT_WEIGHT = 1;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'how', 'i', 'in', 'is', 'it',
+  'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'what', 'when', 'where', 'which', 'with'
+]);
+
+/**
+ * Reduce a word to the form stored in the index
+ * @param {string} word - Lowercase word
+ * @returns {string}
+ */
+function normalizeTerm(word) {
+  // Fold simple plurals so "tests" finds "test"
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) {
+    return word.slice(0, -1);
+  }
+  return word;
+}
+
+/**
+ * Split text into index terms, keeping the position of every word
+ * @param {string} text - Text to tokenize
+ * @returns {Array<Object>} - { term, start, end } for each indexed word
+ */
+export function tokenize(text) {
+  const tokens = [];
+  for (const match of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+    const word = match[0].toLowerCase();
+    if (STOP_WORDS.has(word)) continue;
+    tokens.push({ term: normalizeTerm(word), start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+/**
+ * Get the text of every indexed field of an entry.
+ * Each timestamped segment becomes its own field ("segment:<index>").
+ * @param {Object} entry - Dataset entry
+ * @returns {Object} - Field name to text
+ */
+function extractFields(entry) {
+  const fields = {};
+  for (const [name, { extract }] of Object.entries(FIELDS)) {
+    const value = extract(entry);
+    const text = Array.isArray(value) ? value.filter(item => typeof item === 'string').join(', ') : value;
+    if (typeof text === 'string' && text.trim()) {
+      fields[name] = text;
+    }
+  }
+
+  (entry.analysis?.segments || []).forEach((segment, index) => {
+    const text = [segment.summary, segment.transcript, segment.actions].filter(Boolean).join(' — ');
+    if (text.trim()) {
+      fields[`segment:${index}`] = text;
+    }
+  });
+
+  return fields;
+}
+
+/**
+ * @param {string} name - Field name
+ * @returns {number} - Weight of a match in the field
+ */
+function fieldWeight(name) {
+  return FIELDS[name]?.weight ?? SEGMENT_WEIGHT;
+}
+
+/**
+ * Cut a snippet around the matches in a field and mark the matched words
+ * @param {string} text - Field text
+ * @param {Array<Object>} tokens - Tokens of the field
+ * @param {Set<string>} terms - Query terms
+ * @returns {Object|null} - { text, highlights } with [start, end] offsets into the snippet text
+ */
+function buildSnippet(text, tokens, terms) {
+  const matches = tokens.filter(token => terms.has(token.term));
+  if (matches.length === 0) return null;
+
+  const start = Math.max(0, matches[0].start - SNIPPET_RADIUS);
+  const end = Math.min(text.length, matches[0].end + SNIPPET_RADIUS);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  const offset = prefix.length - start;
+
+  return {
+    text: `${prefix}${text.slice(start, end)}${suffix}`,
+    highlights: matches
+      .filter(match => match.start >= start && match.end <= end)
+      .map(match => [match.start + offset, match.end + offset])
+  };
+}
+
+/**
+ * In-memory BM25 inverted index over the text of dataset entries
+ */
+export class KeywordIndex {
+  constructor() {
+    // term -> Map(docId -> weighted term frequency)
+    this.postings = new Map();
+    // docId -> { entry, fields, tokens, segments, length, terms }
+    this.documents = new Map();
+    this.totalLength = 0;
+  }
+
+  /**
+   * Replace the whole index
+   * @param {Array<Object>} items - { jsonFile, entry } pairs
+   */
+  rebuild(items) {
+    this.postings.clear();
+    this.documents.clear();
+    this.totalLength = 0;
+    for (const { jsonFile, entry } of items) {
+      this.add(jsonFile, entry);
+    }
+    console.log(`Keyword index built with ${this.documents.size} entries`);
+  }
+
+  /**
+   * Index an entry, replacing any previous version
+   * @param {string} docId - Entry key (the JSON file name)
+   * @param {Object} entry - Dataset entry
+   */
+  add(docId, entry) {
+    this.remove(docId);
+
+    const fields = extractFields(entry);
+    const tokens = {};
+    const frequencies = new Map();
+    let length = 0;
+
+    for (const [name, text] of Object.entries(fields)) {
+      tokens[name] = tokenize(text);
+      for (const { term } of tokens[name]) {
+        frequencies.set(term, (frequencies.get(term) || 0) + fieldWeight(name));
+      }
+      length += tokens[name].length * fieldWeight(name);
+    }
+
+    for (const [term, frequency] of frequencies) {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Map());
+      }
+      this.postings.get(term).set(docId, frequency);
+    }
+
+    const segments = (entry.analysis?.segments || []).map(({ start, end }) => ({ start, end }));
+    this.documents.set(docId, { entry, fields, tokens, segments, length, terms: [...frequencies.keys()] });
+    this.totalLength += length;
+  }
+
+  /**
+   * Drop an entry from the index
+   * @param {string} docId - Entry key
+   */
+  remove(docId) {
+    const document = this.documents.get(docId);
+    if (!document) return;
+
+    for (const term of document.terms) {
+      const posting = this.postings.get(term);
+      posting.delete(docId);
+      if (posting.size === 0) {
+        this.postings.delete(term);
+      }
+    }
+    this.documents.delete(docId);
+    this.totalLength -= document.length;
+  }
+
+  /**
+   * Find the segment of an entry that best matches a query
+   * @param {string} docId - Entry key
+   * @param {string} query - Free text query
+   * @returns {Object|null} - { start, end } of the segment with the most matching words
+   */
+  locate(docId, query) {
+    const document = this.documents.get(docId);
+    if (!document || document.segments.length === 0) return null;
+
+    const terms = new Set(tokenize(query).map(token => token.term));
+    let best = null;
+    let bestCount = 0;
+    document.segments.forEach((segment, index) => {
+      const count = (document.tokens[`segment:${index}`] || []).filter(token => terms.has(token.term)).length;
+      if (count > bestCount) {
+        best = segment;
+        bestCount = count;
+      }
+    });
+    return best;
+  }
+
+  /**
+   * Rank entries against a query
+   * @param {string} query - Free text query
+   * @param {Object} options
+   * @param {number} [options.limit] - Maximum number of hits
+   * @returns {Array<Object>} - Hits ordered by score, with snippets and matched terms
+   */
+  search(query, { limit = 20 } = {}) {
+    const terms = new Set(tokenize(query).map(token => token.term));
+    const documentCount = this.documents.size;
+    if (terms.size === 0 || documentCount === 0) return [];
+
+    const averageLength = this.totalLength / documentCount || 1;
+    const scores = new Map();
+
+    for (const term of terms) {
+      const posting = this.postings.get(term);
+      if (!posting) continue;
+
+      const idf = Math.log(1 + (documentCount - posting.size + 0.5) / (posting.size + 0.5));
+      for (const [docId, frequency] of posting) {
+        const { length } = this.documents.get(docId);
+        const score = idf * (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * length / averageLength));
+        scores.set(docId, (scores.get(docId) || 0) + score);
+      }
+    }
+
+    return [...scores.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+      .map(([docId, score]) => {
+        const { entry, fields, tokens, segments, terms: documentTerms } = this.documents.get(docId);
+        const snippets = Object.keys(fields)
+          .map(field => {
+            const snippet = { field, ...buildSnippet(fields[field], tokens[field], terms) };
+            // Snippets from a segment point to its position in the video
+            if (field.startsWith('segment:')) {
+              const { start, end } = segments[Number(field.slice('segment:'.length))];
+              return { ...snippet, field: 'segment', start, end };
+            }
+            return snippet;
+          })
+          .filter(snippet => snippet.text)
+          .slice(0, MAX_SNIPPETS);
+
+        return {
+          filename: docId,
+          videoPath: entry.videoPath,
+          videoFileName: entry.videoFileName,
+          processedAt: entry.processedAt,
+          score,
+          matchedTerms: documentTerms.filter(term => terms.has(term)),
+          moment: this.locate(docId, query),
+          snippets
+        };
+      });
+  }
+}
+
+// Export singleton instance
+const keywordIndex = new KeywordIndex();
+export default keywordIndex;
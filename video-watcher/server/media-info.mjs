@@ -0,0 +1,107 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { runFfprobe } from './ffmpeg.mjs';
+import { detectContainer } from './media.mjs';
+
+// OBS default file names: "2025-04-15 17-38-12.mp4" (local time of the recording start)
+const OBS_FILE_NAME = /(\d{4})-(\d{2})-(\d{2})[ _](\d{2})-(\d{2})-(\d{2})/;
+
+/**
+ * @param {*} value - Number or numeric string from ffprobe
+ * @returns {number|null}
+ */
+function toNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Parse an ffprobe frame rate such as "30000/1001"
+ * @param {string} rate - Rational frame rate
+ * @returns {number|null} - Frames per second, rounded to two decimals
+ */
+function parseFrameRate(rate) {
+  const [numerator, denominator = '1'] = String(rate || '').split('/');
+  const fps = parseFloat(numerator) / parseFloat(denominator);
+  return Number.isFinite(fps) && fps > 0 ? Math.round(fps * 100) / 100 : null;
+}
+
+/**
+ * Work out when a recording started
+ * @param {string} filePath - Path to the video file
+ * @param {Object} format - ffprobe format section
+ * @param {Object} stat - File stats
+ * @param {number|null} duration - Length in seconds
+ * @returns {string|null} - ISO timestamp
+ */
+function findRecordingStart(filePath, format, stat, duration) {
+  const creationTime = format.tags?.creation_time;
+  if (creationTime && !Number.isNaN(new Date(creationTime).getTime())) {
+    return new Date(creationTime).toISOString();
+  }
+
+  const match = path.basename(filePath).match(OBS_FILE_NAME);
+  if (match) {
+    const [, year, month, day, hours, minutes, seconds] = match.map(Number);
+    return new Date(year, month - 1, day, hours, minutes, seconds).toISOString();
+  }
+
+  // The file was last written when the recording stopped
+  return duration !== null ? new Date(stat.mtimeMs - duration * 1000).toISOString() : null;
+}
+
+/**
+ * Read the technical metadata of a video with ffprobe
+ * @param {string} filePath - Path to the video file
+ * @returns {Promise<Object>} - The media block stored in dataset entries: container, duration,
+ *   size, bitRate, video { codec, width, height, frameRate }, audioTracks and recordedAt.
+ *   When ffprobe fails only size and error are set.
+ */
+export async function probeMedia(filePath) {
+  const stat = await fs.stat(filePath);
+  const probedAt = new Date().toISOString();
+
+  let probe;
+  try {
+    const { stdout } = await runFfprobe([
+      '-v', 'error',
+      '-print_format', 'json',
+      '-show_format',
+      '-show_streams',
+      filePath
+    ]);
+    probe = JSON.parse(stdout);
+  } catch (error) {
+    return { size: stat.size, error: `ffprobe failed: ${error.message}`, probedAt };
+  }
+
+  const format = probe.format || {};
+  const streams = probe.streams || [];
+  // Cover art is stored as a video stream too
+  const video = streams.find(stream => stream.codec_type === 'video' && !stream.disposition?.attached_pic);
+  const duration = toNumber(format.duration);
+
+  return {
+    container: await detectContainer(filePath),
+    duration,
+    size: stat.size,
+    bitRate: toNumber(format.bit_rate),
+    video: video ? {
+      codec: video.codec_name || null,
+      width: video.width || null,
+      height: video.height || null,
+      frameRate: parseFrameRate(video.avg_frame_rate) ?? parseFrameRate(video.r_frame_rate)
+    } : null,
+    audioTracks: streams
+      .filter(stream => stream.codec_type === 'audio')
+      .map(stream => ({
+        codec: stream.codec_name || null,
+        channels: stream.channels || null,
+        sampleRate: toNumber(stream.sample_rate),
+        language: stream.tags?.language || null,
+        title: stream.tags?.title || null
+      })),
+    recordedAt: findRecordingStart(filePath, format, stat, duration),
+    probedAt
+  };
+}
@@ -0,0 +1,161 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { runFfmpeg } from './ffmpeg.mjs';
+
+/**
+ * Container formats OBS and similar tools record to.
+ * `contentType` is used when serving the file to browsers, `uploadMimeType`
+ * when sending it to the model. Containers without an upload type are not
+ * accepted by Gemini and are remuxed to MP4 first.
+ */
+const CONTAINERS = {
+  mp4: { extensions: ['.mp4', '.m4v'], contentType: 'video/mp4', uploadMimeType: 'video/mp4' },
+  mov: { extensions: ['.mov'], contentType: 'video/quicktime', uploadMimeType: 'video/mov' },
+  mkv: { extensions: ['.mkv'], contentType: 'video/x-matroska', uploadMimeType: null },
+  webm: { extensions: ['.webm'], contentType: 'video/webm', uploadMimeType: 'video/webm' },
+  flv: { extensions: ['.flv'], contentType: 'video/x-flv', uploadMimeType: 'video/x-flv' },
+  ts: { extensions: ['.ts', '.m2ts'], contentType: 'video/mp2t', uploadMimeType: null },
+  avi: { extensions: ['.avi'], contentType: 'video/x-msvideo', uploadMimeType: 'video/avi' }
+};
+
+// When to remux before upload: auto (only unsupported containers), always or never
+const REMUX_MODE = process.env.VIDEO_REMUX || 'auto';
+
+/**
+ * All file extensions recognized as videos
+ */
+export const VIDEO_EXTENSIONS = Object.values(CONTAINERS).flatMap(container => container.extensions);
+
+/**
+ * Get the container name for a file from its extension
+ * @param {string} filePath - Path or file name
+ * @returns {string|null} - Container name (mp4, mkv, ...) or null if it isn't a video
+ */
+export function getContainerFromExtension(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  const entry = Object.entries(CONTAINERS).find(([, container]) => container.extensions.includes(ext));
+  return entry ? entry[0] : null;
+}
+
+/**
+ * Check whether a file has a recognized video extension
+ * @param {string} filePath - Path or file name
+ * @returns {boolean}
+ */
+export function isVideoFile(filePath) {
+  return getContainerFromExtension(filePath) !== null;
+}
+
+/**
+ * Detect the container of a file from its first bytes, falling back to the extension
+ * @param {string} filePath - Path to the video file
+ * @returns {Promise<string|null>} - Container name
+ */
+export async function detectContainer(filePath) {
+  let header;
+  let handle;
+  try {
+    handle = await fs.open(filePath, 'r');
+    const buffer = Buffer.alloc(256);
+    const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+    header = buffer.subarray(0, bytesRead);
+  } catch {
+    return getContainerFromExtension(filePath);
+  } finally {
+    await handle?.close();
+  }
+
+  // ISO base media (MP4/MOV): "ftyp" box at offset 4, brand tells them apart
+  if (header.subarray(4, 8).toString('latin1') === 'ftyp') {
+    return header.subarray(8, 12).toString('latin1') === 'qt  ' ? 'mov' : 'mp4';
+  }
+
+  // EBML header shared by Matroska and WebM; the doctype names the variant
+  if (header.length >= 4 && header.readUInt32BE(0) === 0x1a45dfa3) {
+    return header.includes('webm') ? 'webm' : 'mkv';
+  }
+
+  if (header.subarray(0, 3).toString('latin1') === 'FLV') {
+    return 'flv';
+  }
+
+  if (header.subarray(0, 4).toString('latin1') === 'RIFF' && header.subarray(8, 12).toString('latin1') === 'AVI ') {
+    return 'avi';
+  }
+
+  // MPEG transport stream: sync byte every 188 bytes
+  if (header.length > 188 && header[0] === 0x47 && header[188] === 0x47) {
+    return 'ts';
+  }
+
+  return getContainerFromExtension(filePath);
+}
+
+/**
+ * Get the Content-Type to serve a video with
+ * @param {string} filePath - Path or file name
+ * @returns {string} - MIME type
+ */
+export function getContentType(filePath) {
+  const container = getContainerFromExtension(filePath);
+  return container ? CONTAINERS[container].contentType : 'application/octet-stream';
+}
+
+/**
+ * Remux a video into an MP4 container without re-encoding the video stream
+ * @param {string} inputPath - Source video
+ * @param {string} outputPath - MP4 file to write
+ * @returns {Promise<void>}
+ */
+export async function remuxToMp4(inputPath, outputPath) {
+  try {
+    await runFfmpeg(['-y', '-i', inputPath, '-map', '0:v?', '-map', '0:a?', '-c', 'copy', '-movflags', '+faststart', outputPath]);
+  } catch {
+    // Some audio codecs can't be stored in MP4 as-is; re-encode only the audio
+    console.warn(`Stream copy into MP4 failed for ${path.basename(inputPath)}, re-encoding audio to AAC`);
+    await runFfmpeg(['-y', '-i', inputPath, '-map', '0:v?', '-map', '0:a?', '-c:v', 'copy', '-c:a', 'aac', '-movflags', '+faststart', outputPath]);
+  }
+}
+
+/**
+ * Get the file to upload for a video, remuxing it to MP4 when needed
+ * @param {string} filePath - Path to the video file
+ * @returns {Promise<Object>} - uploadPath, mimeType, container, remuxed flag and a cleanup function
+ */
+export async function prepareForUpload(filePath) {
+  const container = await detectContainer(filePath) || 'mp4';
+  const uploadMimeType = CONTAINERS[container]?.uploadMimeType;
+  const needsRemux = REMUX_MODE === 'always'
+    ? container !== 'mp4'
+    : REMUX_MODE !== 'never' && !uploadMimeType;
+
+  if (!needsRemux) {
+    return {
+      uploadPath: filePath,
+      mimeType: uploadMimeType || 'video/mp4',
+      container,
+      remuxed: false,
+      cleanup: async () => {}
+    };
+  }
+
+  const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'video-watcher-'));
+  const uploadPath = path.join(tmpDir, `${path.parse(filePath).name}.mp4`);
+  console.log(`Remuxing ${path.basename(filePath)} (${container}) to MP4 for upload...`);
+
+  try {
+    await remuxToMp4(filePath, uploadPath);
+  } catch (error) {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+    throw new Error(`Failed to remux ${path.basename(filePath)} to MP4: ${error.message}`);
+  }
+
+  return {
+    uploadPath,
+    mimeType: 'video/mp4',
+    container,
+    remuxed: true,
+    cleanup: () => fs.rm(tmpDir, { recursive: true, force: true })
+  };
+}
@@ -1,18 +1,24 @@
 import fs from 'fs/promises';
 import path from 'path';
-import { GoogleGenerativeAI } from '@google/generative-ai';
+import { emitStage } from './processing-events.mjs';
+import { getProvider, MODELS } from './providers/index.mjs';
+import { generateStructured, StructuredOutputError } from './structured-output.mjs';
+import promptRegistry from './prompt-registry.mjs';
 
 // Constants for memory management
 const MEMORY_DIR = path.join(process.cwd(), 'memory');
 const STM_TOKEN_LIMIT = 8000;
 const LTM_TOKEN_LIMIT = 8000;
 const WM_TOKEN_LIMIT = 8000;
-const DEFAULT_MODEL = 'gemini-2.0-flash';
-const SUMMARY_MODEL = 'gemini-2.5-pro-exp-03-25'
+const DEFAULT_MODEL = MODELS.memory;
+const SUMMARY_MODEL = MODELS.summary;
 const MEMORY_STATE_FILE = path.join(MEMORY_DIR, 'memory-state.json');
 
-// Initialize Gemini AI
-const genAI = new GoogleGenerativeAI(process.env.VITE_GEMINI_API_KEY);
+// Most recent LTM and WM updates kept in the memory state, with the prompt version of each
+const MAX_RECORDED_UPDATES = 100;
+
+// Model provider shared by all memory prompts
+const provider = getProvider();
 
 /**
  * Multi-tiered memory system manager
@@ -26,6 +32,7 @@ export class MemoryManager {
       corroborated_hypotheses: [],
       established_facts: []
     };
+    this.updates = []; // { tier, prompt: { id, version }, at } of each LTM and WM update
     this.initialized = false;
   }
 
@@ -50,9 +57,10 @@ export class MemoryManager {
           corroborated_hypotheses: [],
           established_facts: []
         };
+        this.updates = savedState.updates || [];
         
         console.log('Loaded complete memory state from memory-state.json');
-      } catch (error) {
+      } catch {
         console.log('No existing complete memory state found, trying individual memory files');
         
         // Fall back to loading individual memory files if complete state isn't available
@@ -60,7 +68,7 @@ export class MemoryManager {
           const ltmContent = await fs.readFile(path.join(MEMORY_DIR, 'ltm.json'), 'utf-8');
           this.longTermMemory = JSON.parse(ltmContent);
           console.log('Loaded long-term memory');
-        } catch (error) {
+        } catch {
           console.log('No existing LTM found, initializing empty LTM');
           this.longTermMemory = {};
         }
@@ -69,7 +77,7 @@ export class MemoryManager {
           const wmContent = await fs.readFile(path.join(MEMORY_DIR, 'wm.json'), 'utf-8');
           this.workingMemory = JSON.parse(wmContent);
           console.log('Loaded working memory');
-        } catch (error) {
+        } catch {
           console.log('No existing WM found, initializing empty WM');
         }
         
@@ -77,7 +85,7 @@ export class MemoryManager {
           const stmContent = await fs.readFile(path.join(MEMORY_DIR, 'stm.json'), 'utf-8');
           this.shortTermMemory = JSON.parse(stmContent);
           console.log('Loaded short-term memory');
-        } catch (error) {
+        } catch {
           console.log('No existing STM found, initializing empty STM');
         }
         
@@ -117,7 +125,7 @@ export class MemoryManager {
       timestamp,
       type: 'video_analysis_summary',
       data: {
-        summary: analysisResult.relevantContextSummary || analysisResult.summary || "No summary available"
+        summary: analysisResult.relevant_context_summary || analysisResult.summary || "No summary available"
       }
     };
     
@@ -167,6 +175,7 @@ export class MemoryManager {
     
     // Save complete memory state
     await this.persistCompleteState();
+    emitStage('memory', 'stm_updated', { entries: this.shortTermMemory.length });
     
     // Check if STM needs consolidation
     await this.checkSTMSize();
@@ -221,6 +230,7 @@ export class MemoryManager {
       }
       
       console.log(`Consolidating ${oldestEntries.length} oldest entries (${tokenCount} tokens) to LTM`);
+      emitStage('memory', 'consolidating_ltm', { entries: oldestEntries.length });
       
       // Create LTM summary using Gemini
       const updatedLTM = await this.createLTMSummary(oldestEntries);
@@ -244,8 +254,10 @@ export class MemoryManager {
       await this.persistCompleteState();
       
       console.log(`STM consolidated. ${this.shortTermMemory.length} entries remaining.`);
+      emitStage('memory', 'ltm_updated', { entries: this.shortTermMemory.length });
     } catch (error) {
       console.error('Error consolidating to LTM:', error);
+      emitStage('memory', 'ltm_failed', { error: error.message });
     }
   }
 
@@ -274,37 +286,19 @@ export class MemoryManager {
   async trimLTM(currentTokenCount) {
     try {
       // Use Gemini to create a more concise summary
-      const prompt = `
-The following is the current long-term memory for a user assistant that exceeds our token limit of ${LTM_TOKEN_LIMIT}.
-Current size: approximately ${currentTokenCount} tokens.
-
-Please condense this information to a more concise representation while preserving the most important insights.
-Focus on:
-1. Core user preferences and established patterns
-2. Most relevant skills, knowledge, and workflows
-3. Highest confidence insights and explicitly stated facts
-
-Current LTM:
----
-${JSON.stringify(this.longTermMemory, null, 2)}
----
-
-Return a condensed version in the same JSON structure, but more concise and within our ${LTM_TOKEN_LIMIT} token limit.
-Ensure the output is a valid JSON object with the same structure.`;
+      const { text: prompt, ...promptVersion } = promptRegistry.render('memory-ltm-trim', {
+        ltmTokenLimit: LTM_TOKEN_LIMIT,
+        currentTokenCount,
+        longTermMemory: this.longTermMemory
+      });
 
-      const model = genAI.getGenerativeModel({ model: SUMMARY_MODEL });
-      const result = await model.generateContent(prompt);
-      const responseText = result.response.text();
-      
       try {
-        // Extract JSON from response
-        let jsonStr = responseText;
-        const jsonMatch = responseText.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
-        if (jsonMatch && jsonMatch[1]) {
-          jsonStr = jsonMatch[1];
-        }
-        
-        const trimmedLTM = JSON.parse(jsonStr);
+        const { data: trimmedLTM } = await generateStructured({
+          task: 'memory-ltm-trim',
+          model: SUMMARY_MODEL,
+          prompt
+        });
+        this.recordUpdate('ltm', promptVersion);
         const newTokenCount = this.estimateTokens(JSON.stringify(trimmedLTM));
         
         if (newTokenCount <= LTM_TOKEN_LIMIT) {
@@ -326,6 +320,7 @@ Ensure the output is a valid JSON object with the same structure.`;
           this.longTermMemory = this.forceTrimByPriority(trimmedLTM, priorityOrder);
         }
       } catch (parseError) {
+        if (!(parseError instanceof StructuredOutputError)) throw parseError;
         console.error('Error parsing trimmed LTM JSON:', parseError);
         // If parsing fails, we'll do a manual basic trimming
         this.longTermMemory = this.basicTrimLTM();
@@ -395,6 +390,7 @@ Ensure the output is a valid JSON object with the same structure.`;
       }
       
       console.log('Updating working memory...');
+      emitStage('memory', 'updating_wm');
       
       // Format STM entries for the prompt
       const recentSTM = this.shortTermMemory.slice(-20); // Take most recent entries for context
@@ -403,71 +399,22 @@ Ensure the output is a valid JSON object with the same structure.`;
       }).join('\n');
       
       // Improved working memory reasoning prompt
-      const prompt = `
-You are an advanced cognitive model that builds a coherent user mental model by analyzing recent activity, long-term patterns, and current context.
-
-Your task is to update the Working Memory (WM) to reflect the user's current state, goals, needs, and context.
-
-Current WM:
----
-${JSON.stringify(this.workingMemory, null, 2)}
----
-
-STM (Recent Activity & Inferences):
----
-${formattedSTM}
----
-
-LTM (Long-Term Profile):
----
-${JSON.stringify(this.longTermMemory, null, 2)}
----
-
-INSTRUCTIONS:
-
-1. ANALYZE recent STM entries through the lens of existing LTM and current WM.
-
-2. Maintain these three categories in WM:
-   a) UNTESTED HYPOTHESES: Fresh observations that seem plausible but need more evidence
-   b) CORROBORATED HYPOTHESES: Observations with moderate support across multiple interactions
-   c) ESTABLISHED FACTS: Consistently supported observations or explicitly stated information
-
-3. For each hypothesis/fact, include:
-   - The specific insight written concisely but precisely
-   - The evidence basis in [brackets]
-   - Relevance to the user's current context/goals
-   
-4. Focus on what would help understand and assist the user RIGHT NOW.
-
-5. Maintain cognitive hierarchy:
-   - PROMOTE untested hypotheses to corroborated when additional evidence appears
-   - PROMOTE corroborated hypotheses to facts when consistently supported
-   - DEMOTE or REMOVE when evidence contradicts
-
-The updated WM should prioritize insights that are:
-- Actionable (can inform immediate recommendations)
-- Context-aware (relevant to current session)
-- Specific (detailed enough to guide decisions)
-- Evidence-based (clearly linked to observations)
-
-Output the updated WM as a JSON object with these three arrays. Ensure the total response stays within ${WM_TOKEN_LIMIT} tokens.
-`;
+      const { text: prompt, ...promptVersion } = promptRegistry.render('memory-wm-update', {
+        workingMemory: this.workingMemory,
+        shortTermMemory: formattedSTM,
+        longTermMemory: this.longTermMemory,
+        wmTokenLimit: WM_TOKEN_LIMIT
+      });
 
       // Generate updated working memory using Gemini
-      const model = genAI.getGenerativeModel({ model: DEFAULT_MODEL });
-      const result = await model.generateContent(prompt);
-      const responseText = result.response.text();
-      
       try {
-        // Extract JSON from response (handles both raw JSON or markdown-wrapped JSON)
-        let jsonStr = responseText;
-        const jsonMatch = responseText.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
-        if (jsonMatch && jsonMatch[1]) {
-          jsonStr = jsonMatch[1];
-        }
-        
-        const updatedWM = JSON.parse(jsonStr);
+        const { data: updatedWM } = await generateStructured({
+          task: 'memory-wm-update',
+          model: DEFAULT_MODEL,
+          prompt
+        });
         this.workingMemory = updatedWM;
+        this.recordUpdate('wm', promptVersion);
         console.log('Successfully updated working memory');
         
         // Check WM size and trim if needed
@@ -478,12 +425,16 @@ Output the updated WM as a JSON object with these three arrays. Ensure the total
         
         // Save complete memory state
         await this.persistCompleteState();
+        emitStage('memory', 'wm_updated');
       } catch (parseError) {
+        if (!(parseError instanceof StructuredOutputError)) throw parseError;
         console.error('Error parsing working memory JSON:', parseError);
-        console.log('Raw WM response:', responseText);
+        console.log('Raw WM response:', parseError.text);
+        emitStage('memory', 'wm_failed', { error: 'Error parsing working memory JSON' });
       }
     } catch (error) {
       console.error('Error updating working memory:', error);
+      emitStage('memory', 'wm_failed', { error: error.message });
     }
   }
 
@@ -533,40 +484,22 @@ Output the updated WM as a JSON object with these three arrays. Ensure the total
       }
       
       // If still too large, use Gemini to create a more concise version
-      const prompt = `
-The following working memory for a user assistant exceeds our token limit of ${WM_TOKEN_LIMIT}.
+      const { text: prompt, ...promptVersion } = promptRegistry.render('memory-wm-trim', {
+        wmTokenLimit: WM_TOKEN_LIMIT,
+        workingMemory: this.workingMemory
+      });
 
-Please condense this working memory while preserving the most important insights.
-Focus on:
-1. All established facts
-2. Most relevant corroborated hypotheses
-3. Only the most recent and actionable untested hypotheses
-
-Current WM:
----
-${JSON.stringify(this.workingMemory, null, 2)}
----
-
-Return a condensed version with the same structure but more concise entries.
-Make sure to maintain the three categories: untested_hypotheses, corroborated_hypotheses, and established_facts.
-Ensure the output is a valid JSON object and stays within ${WM_TOKEN_LIMIT} tokens.`;
-
-      const model = genAI.getGenerativeModel({ model: DEFAULT_MODEL });
-      const result = await model.generateContent(prompt);
-      const responseText = result.response.text();
-      
       try {
-        // Extract JSON from response
-        let jsonStr = responseText;
-        const jsonMatch = responseText.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
-        if (jsonMatch && jsonMatch[1]) {
-          jsonStr = jsonMatch[1];
-        }
-        
-        const trimmedWM = JSON.parse(jsonStr);
+        const { data: trimmedWM } = await generateStructured({
+          task: 'memory-wm-trim',
+          model: DEFAULT_MODEL,
+          prompt
+        });
         this.workingMemory = trimmedWM;
+        this.recordUpdate('wm', promptVersion);
         console.log('Successfully trimmed WM using Gemini');
       } catch (parseError) {
+        if (!(parseError instanceof StructuredOutputError)) throw parseError;
         console.error('Error parsing trimmed WM JSON:', parseError);
         // If parsing fails, revert to the basic trimming we tried earlier
         this.workingMemory = trimmed;
@@ -633,6 +566,7 @@ Ensure the output is a valid JSON object and stays within ${WM_TOKEN_LIMIT} toke
         shortTermMemory: this.shortTermMemory,
         longTermMemory: this.longTermMemory,
         workingMemory: this.workingMemory,
+        updates: this.updates,
         lastUpdated: new Date().toISOString()
       };
       
@@ -647,6 +581,16 @@ Ensure the output is a valid JSON object and stays within ${WM_TOKEN_LIMIT} toke
     }
   }
 
+  /**
+   * Record which prompt version produced an update of LTM or WM
+   * @param {string} tier - ltm or wm
+   * @param {Object} prompt - { id, version } from the prompt registry
+   */
+  recordUpdate(tier, prompt) {
+    this.updates.push({ tier, prompt: { id: prompt.id, version: prompt.version }, at: new Date().toISOString() });
+    this.updates = this.updates.slice(-MAX_RECORDED_UPDATES);
+  }
+
   /**
    * Get the current memory state
    * @returns {Object} - Current memory state
@@ -655,7 +599,8 @@ Ensure the output is a valid JSON object and stays within ${WM_TOKEN_LIMIT} toke
     return {
       shortTermMemory: this.shortTermMemory,
       longTermMemory: this.longTermMemory,
-      workingMemory: this.workingMemory
+      workingMemory: this.workingMemory,
+      updates: this.updates
     };
   }
 
@@ -672,94 +617,27 @@ Ensure the output is a valid JSON object and stays within ${WM_TOKEN_LIMIT} toke
       }).join("\n");
       
       // Improved LTM summarization prompt
-      const prompt = `
-You are an advanced cognitive system that builds and maintains a rich user profile from interaction history.
-
-Your task: Synthesize new observations into the user's Long-Term Memory (LTM) profile, integrating them with existing knowledge.
-
-EXISTING LTM:
----
-${JSON.stringify(this.longTermMemory, null, 2)}
----
-
-NEW OBSERVATIONS TO INTEGRATE:
----
-${formattedSTMEntries}
----
-
-Follow these guidelines:
-
-1. MERGE observations with the existing LTM, REFINING understanding rather than just adding items
-2. PRIORITIZE explicit statements over inferences when they conflict
-3. INDICATE confidence levels for inferred traits (high/medium/low)
-4. FOCUS on patterns that reveal:
-   - Skill proficiency and knowledge areas
-   - UI/UX preferences and workflow habits
-   - Recurring frustrations and challenges
-   - Goals and motivations driving behavior
-   - Communication and learning style
-
-5. CONDENSE redundant or similar entries to maintain a clean profile
-6. REMOVE outdated information when new evidence suggests a change
-7. STRUCTURE the profile hierarchically using the template below
-
-Output the ENTIRE UPDATED LTM as a valid JSON object with this structure:
-{
-  "profile_summary": "Brief overview of user's primary traits and patterns",
-  "skills_and_knowledge": {
-    "confirmed_skills": [...],
-    "inferred_skills": [...],
-    "knowledge_gaps": [...]
-  },
-  "preferences_and_habits": {
-    "ui_preferences": [...],
-    "workflow_habits": [...],
-    "tool_preferences": [...]
-  },
-  "workflows": {
-    "common_tasks": [...],
-    "approaches": [...],
-    "frequency_patterns": [...]
-  },
-  "challenges": {
-    "recurring_frustrations": [...],
-    "difficulties": [...],
-    "blockers": [...]
-  },
-  "goals_and_motivations": {
-    "stated_goals": [...],
-    "inferred_goals": [...],
-    "motivations": [...]
-  },
-  "traits_and_attitudes": {
-    "communication_style": [...],
-    "decision_making": [...],
-    "learning_approach": [...]
-  }
-}
-
-Ensure the output stays within approximately ${LTM_TOKEN_LIMIT} tokens and is valid JSON without trailing commas.`;
+      const { text: prompt, ...promptVersion } = promptRegistry.render('memory-ltm-summary', {
+        longTermMemory: this.longTermMemory,
+        observations: formattedSTMEntries,
+        ltmTokenLimit: LTM_TOKEN_LIMIT
+      });
 
       // Generate LTM summary using Gemini
-      const model = genAI.getGenerativeModel({ model: SUMMARY_MODEL });
-      const result = await model.generateContent(prompt);
-      const responseText = result.response.text();
-      
       try {
-        // Extract JSON from response (handles both raw JSON or markdown-wrapped JSON)
-        let jsonStr = responseText;
-        const jsonMatch = responseText.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
-        if (jsonMatch && jsonMatch[1]) {
-          jsonStr = jsonMatch[1];
-        }
-        
-        const updatedLTM = JSON.parse(jsonStr);
+        const { data: updatedLTM } = await generateStructured({
+          task: 'memory-ltm-summary',
+          model: SUMMARY_MODEL,
+          prompt
+        });
         console.log('Successfully created LTM summary');
+        this.recordUpdate('ltm', promptVersion);
         return updatedLTM;
       } catch (parseError) {
+        if (!(parseError instanceof StructuredOutputError)) throw parseError;
         console.error('Error parsing LTM summary JSON:', parseError);
         // If parsing fails, keep existing LTM and log the error
-        console.log('Raw LTM response:', responseText);
+        console.log('Raw LTM response:', parseError.text);
         return this.longTermMemory;
       }
     } catch (error) {
@@ -788,37 +666,14 @@ Ensure the output stays within approximately ${LTM_TOKEN_LIMIT} tokens and is va
         wm: this.workingMemory
       };
       
-      const prompt = `
-You are the Memory Portal, an interface to a multi-tiered memory system for an AI assistant.
-The system includes:
-
-1. Short-Term Memory (STM): Recent observations and inferences
-2. Long-Term Memory (LTM): Persistent user profile and patterns
-3. Working Memory (WM): Current hypotheses and established facts
-
-The user is asking about this memory system. Respond helpfully, transparently, and concisely.
-
-Current Memory State:
----
-${JSON.stringify(memoryState, null, 2)}
----
-
-User Query: "${query}"
-
-Guidelines:
-- If the query is about the CONTENT of memories, answer based on the data shown above
-- If the query is about EDITING memories, explain how memories are processed and consolidated
-- If the query is about HOW THE SYSTEM WORKS, explain the relevant components
-- If the query is a COMMAND to update memory, respond as if you've made the change (the actual implementation will happen elsewhere)
-- Keep your response concise but informative
-- Be transparent about confidence levels when discussing inferences vs. explicit observations
-
-Remember your role as a Memory Portal - you provide access to the system's knowledge about the user, not general knowledge.`;
+      const { text: prompt } = promptRegistry.render('memory-portal', { memoryState, query });
 
-      // Generate response using Gemini
-      const model = genAI.getGenerativeModel({ model: SUMMARY_MODEL });
-      const result = await model.generateContent(prompt);
-      const responseText = result.response.text();
+      // Generate response using the model provider
+      const { text: responseText } = await provider.generateText({
+        task: 'memory-portal',
+        model: SUMMARY_MODEL,
+        prompt
+      });
       
       console.log('Generated memory portal response');
       return responseText;
@@ -0,0 +1,68 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { runFfmpeg } from './ffmpeg.mjs';
+import { probeDuration } from './chunker.mjs';
+import { emitStage } from './processing-events.mjs';
+
+// Frames in a preview sprite sheet, spread evenly over the video
+const SPRITE_FRAMES = parseInt(process.env.PREVIEW_SPRITE_FRAMES || '10', 10) || 10;
+
+// Size of one frame in the sprite; frames are letterboxed to this 16:9 box
+const FRAME_WIDTH = 160;
+const FRAME_HEIGHT = 90;
+
+const SPRITE_FILE = 'sprite.jpg';
+
+/**
+ * Folder holding the hover preview of a recording, next to its thumbnail
+ * @param {string} videoId - Id of the recording's dataset entry
+ * @returns {string} - Folder name relative to the thumbnail folder
+ */
+export function getPreviewDirName(videoId) {
+  return `${videoId}.preview`;
+}
+
+/**
+ * Generate a sprite sheet of frames for hover previews: one row of
+ * SPRITE_FRAMES frames, each FRAME_WIDTH x FRAME_HEIGHT.
+ * @param {string} videoPath - Source video
+ * @param {string} thumbnailFolder - Thumbnail folder; the sprite goes to a sub folder named after the entry
+ * @param {string} videoId - Id of the recording's dataset entry
+ * @returns {Promise<Object>} - { frames, frameWidth, frameHeight, interval } describing the sprite
+ */
+export async function generatePreviewSprite(videoPath, thumbnailFolder, videoId) {
+  const outputDir = path.join(thumbnailFolder, getPreviewDirName(videoId));
+  emitStage('preview', 'generating', { videoPath });
+
+  try {
+    const duration = await probeDuration(videoPath);
+    // Sample in the middle of each slice of the video so the last frame is never past the end
+    const interval = duration / SPRITE_FRAMES;
+
+    await fs.mkdir(outputDir, { recursive: true });
+    await runFfmpeg([
+      '-y', '-ss', String(interval / 2), '-i', videoPath,
+      '-vf', [
+        `fps=1/${interval}`,
+        `scale=${FRAME_WIDTH}:${FRAME_HEIGHT}:force_original_aspect_ratio=decrease`,
+        `pad=${FRAME_WIDTH}:${FRAME_HEIGHT}:(ow-iw)/2:(oh-ih)/2`,
+        `tile=${SPRITE_FRAMES}x1`
+      ].join(','),
+      '-frames:v', '1',
+      path.join(outputDir, SPRITE_FILE)
+    ]);
+
+    const preview = {
+      frames: SPRITE_FRAMES,
+      frameWidth: FRAME_WIDTH,
+      frameHeight: FRAME_HEIGHT,
+      interval: Math.round(interval * 100) / 100
+    };
+    emitStage('preview', 'complete', { videoPath });
+    return preview;
+  } catch (error) {
+    await fs.rm(outputDir, { recursive: true, force: true });
+    emitStage('preview', 'failed', { videoPath, error: error.message });
+    throw error;
+  }
+}
@@ -0,0 +1,29 @@
+import { EventEmitter } from 'events';
+
+/**
+ * Shared event bus for processing progress.
+ *
+ * Pipeline modules report stage transitions here and the server forwards them
+ * to connected clients over Server-Sent Events.
+ */
+const processingEvents = new EventEmitter();
+
+// Every connected SSE client adds listeners
+processingEvents.setMaxListeners(0);
+
+/**
+ * Report a stage transition
+ * @param {string} scope - Area of the pipeline (video, thumbnail, memory)
+ * @param {string} stage - Stage name, e.g. uploading, waiting_active, analyzing
+ * @param {Object} details - Extra fields; include videoPath for per-video stages
+ */
+export function emitStage(scope, stage, details = {}) {
+  processingEvents.emit('stage', {
+    scope,
+    stage,
+    ...details,
+    timestamp: new Date().toISOString()
+  });
+}
+
+export default processingEvents;
@@ -0,0 +1,238 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import chokidar from 'chokidar';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Folder with the prompt-<id>.md files; defaults to the docs folder of the repository
+const PROMPTS_FOLDER = path.resolve(process.env.PROMPTS_FOLDER || path.join(__dirname, '..', '..', 'docs'));
+
+// Prompts the server uses; it doesn't start without them
+const REQUIRED_PROMPTS = [
+  'default-video-analysis',
+  'segment-video-analysis',
+  'inference-video-analysis',
+  'batch-video-relevance',
+  'video-chat-context',
+  'memory-ltm-summary',
+  'memory-ltm-trim',
+  'memory-wm-update',
+  'memory-wm-trim',
+  'memory-portal'
+];
+
+const PROMPT_FILE = /^prompt-([a-z0-9-]+)\.md$/;
+
+// {{name}}, with optional spaces inside the braces
+const VARIABLE = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+
+/**
+ * Version of a prompt text: the start of its SHA-256 hash
+ * @param {string} text - Prompt template or custom prompt
+ * @returns {string} - 12 hex characters
+ */
+export function hashPrompt(text) {
+  return crypto.createHash('sha256').update(text).digest('hex').slice(0, 12);
+}
+
+/**
+ * Take the template out of a prompt file: the first ``` fenced block
+ * @param {string} content - Markdown of the prompt file
+ * @returns {string|null} - Template text, or null when the file has no fenced block
+ */
+function extractTemplate(content) {
+  const lines = content.split(/\r?\n/);
+  const start = lines.findIndex(line => /^```\w*\s*$/.test(line));
+  if (start === -1) return null;
+  const end = lines.findIndex((line, i) => i > start && /^```\s*$/.test(line));
+  if (end === -1) return null;
+  return lines.slice(start + 1, end).join('\n');
+}
+
+/**
+ * Prompt templates loaded from markdown files, with named {{variables}}.
+ * Every template has a version hash that is recorded with what it produced,
+ * and the files are watched so edits apply without restarting the server.
+ */
+export class PromptRegistry {
+  constructor(folder = PROMPTS_FOLDER) {
+    this.folder = folder;
+    this.prompts = new Map(); // id -> { id, version, template, variables, file, loadedAt, raw }
+    // Prompt files outside the folder, by resolved path -> prompt id
+    this.files = new Map();
+    this.watcher = null;
+  }
+
+  /**
+   * Load every prompt file in the folder
+   * @throws {Error} - When a prompt the server uses is missing
+   */
+  async load() {
+    const files = (await fs.readdir(this.folder)).filter(name => PROMPT_FILE.test(name));
+    for (const name of files) {
+      await this.loadFile(path.join(this.folder, name));
+    }
+
+    const missing = REQUIRED_PROMPTS.filter(id => !this.prompts.has(id));
+    if (missing.length > 0) {
+      throw new Error(`Missing prompt templates in ${this.folder}: ${missing.map(id => `prompt-${id}.md`).join(', ')}`);
+    }
+    console.log(`Loaded ${this.prompts.size} prompt templates from ${this.folder}`);
+  }
+
+  /**
+   * Read one prompt file; a file without a template keeps the version loaded before
+   * @param {string} filePath - Path to a prompt-<id>.md file
+   * @returns {Promise<Object|null>} - The loaded prompt
+   */
+  async loadFile(filePath) {
+    const id = path.basename(filePath).match(PROMPT_FILE)?.[1];
+    if (!id) return null;
+
+    const template = extractTemplate(await fs.readFile(filePath, 'utf-8'));
+    if (template === null) {
+      console.warn(`Prompt file ${filePath} has no \`\`\` template block, ignoring it`);
+      return null;
+    }
+
+    const prompt = {
+      id,
+      version: hashPrompt(template),
+      template,
+      variables: [...new Set([...template.matchAll(VARIABLE)].map(match => match[1]))],
+      file: filePath,
+      loadedAt: new Date().toISOString()
+    };
+    this.prompts.set(id, prompt);
+    return prompt;
+  }
+
+  /**
+   * Add a prompt that is used as it is, without a template block or variables,
+   * such as the prompt of a watch folder. A prompt file is watched like the others.
+   * @param {string} id - Prompt id, e.g. folder:meetings
+   * @param {Object} source - { text } with the prompt, or { file } whose whole content is the prompt
+   * @returns {Promise<Object>} - The loaded prompt
+   */
+  async register(id, { text, file }) {
+    if (file) {
+      const filePath = path.resolve(file);
+      this.files.set(filePath, id);
+      this.watcher?.add(filePath);
+      return this.loadRawFile(id, filePath);
+    }
+    return this.setRaw(id, text, null);
+  }
+
+  /**
+   * @param {string} id - Prompt id
+   * @param {string} filePath - File holding the whole prompt
+   * @returns {Promise<Object>} - The loaded prompt
+   */
+  async loadRawFile(id, filePath) {
+    return this.setRaw(id, await fs.readFile(filePath, 'utf-8'), filePath);
+  }
+
+  /**
+   * Store a prompt that is used as it is
+   * @param {string} id - Prompt id
+   * @param {string} text - The prompt
+   * @param {string|null} file - File it was read from
+   * @returns {Object} - The loaded prompt
+   */
+  setRaw(id, text, file) {
+    const prompt = {
+      id,
+      version: hashPrompt(text),
+      template: text,
+      variables: [],
+      file,
+      loadedAt: new Date().toISOString(),
+      raw: true
+    };
+    this.prompts.set(id, prompt);
+    return prompt;
+  }
+
+  /**
+   * Reload prompt files when they are added or edited
+   */
+  watch() {
+    if (this.watcher) return;
+    this.watcher = chokidar.watch([this.folder, ...this.files.keys()], { ignoreInitial: true, depth: 0 });
+
+    const reload = async filePath => {
+      const registeredId = this.files.get(path.resolve(filePath));
+      const previous = this.prompts.get(registeredId || path.basename(filePath).match(PROMPT_FILE)?.[1]);
+      try {
+        const prompt = registeredId ? await this.loadRawFile(registeredId, filePath) : await this.loadFile(filePath);
+        if (prompt && prompt.version !== previous?.version) {
+          console.log(`Reloaded prompt ${prompt.id}: version ${previous?.version || 'none'} -> ${prompt.version}`);
+        }
+      } catch (error) {
+        console.error(`Error reloading prompt file ${filePath}:`, error);
+      }
+    };
+
+    this.watcher
+      .on('add', reload)
+      .on('change', reload)
+      .on('unlink', filePath => {
+        if (this.files.has(path.resolve(filePath)) || PROMPT_FILE.test(path.basename(filePath))) {
+          console.warn(`Prompt file ${filePath} was removed, keeping the version loaded before`);
+        }
+      });
+  }
+
+  /**
+   * @param {string} id - Prompt id, e.g. default-video-analysis
+   * @returns {Object} - The loaded prompt
+   * @throws {Error} - When there is no such prompt
+   */
+  get(id) {
+    const prompt = this.prompts.get(id);
+    if (!prompt) {
+      throw new Error(`Unknown prompt: ${id}`);
+    }
+    return prompt;
+  }
+
+  /**
+   * Fill in a template's variables. Strings are inserted as they are, other values as JSON.
+   * @param {string} id - Prompt id
+   * @param {Object} [variables] - Value of each {{variable}} in the template
+   * @returns {Object} - { id, version, text }
+   * @throws {Error} - When the template uses a variable that has no value
+   */
+  render(id, variables = {}) {
+    const prompt = this.get(id);
+    if (prompt.raw) {
+      return { id, version: prompt.version, text: prompt.template };
+    }
+    const missing = prompt.variables.filter(name => variables[name] === undefined);
+    if (missing.length > 0) {
+      throw new Error(`Prompt ${id} uses variables that have no value: ${missing.join(', ')}`);
+    }
+
+    const text = prompt.template.replace(VARIABLE, (match, name) => {
+      const value = variables[name];
+      return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+    });
+    return { id, version: prompt.version, text };
+  }
+
+  /**
+   * @returns {Array<Object>} - Id, version, variables, file and load time of every prompt
+   */
+  list() {
+    return [...this.prompts.values()]
+      .map(({ id, version, variables, file, loadedAt }) => ({ id, version, variables, file, loadedAt }))
+      .sort((a, b) => a.id.localeCompare(b.id));
+  }
+}
+
+// Export singleton instance
+const promptRegistry = new PromptRegistry();
+export default promptRegistry;
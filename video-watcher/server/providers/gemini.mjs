@@ -0,0 +1,192 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { GoogleAIFileManager } from '@google/generative-ai/server';
+import { JsonResponseError, parseJsonResponse } from './json-response.mjs';
+
+/**
+ * Wait for a specified time
+ * @param {number} ms - Time to wait in milliseconds
+ * @returns {Promise<void>}
+ */
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Convert a response schema (see schema.mjs) to the form the Gemini API expects:
+ * string enums need format "enum", and anyOf becomes its first alternative
+ * @param {Object} schema - Response schema
+ * @returns {Object} - Gemini schema
+ */
+function toGeminiSchema(schema) {
+  if (schema.anyOf) {
+    const { anyOf, ...rest } = schema;
+    return toGeminiSchema({ ...anyOf[0], ...rest });
+  }
+  const converted = { ...schema };
+  if (schema.enum) {
+    converted.format = 'enum';
+  }
+  if (schema.properties) {
+    converted.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([key, property]) => [key, toGeminiSchema(property)])
+    );
+  }
+  if (schema.items) {
+    converted.items = toGeminiSchema(schema.items);
+  }
+  return converted;
+}
+
+/**
+ * Model provider backed by the Google Gemini API
+ */
+export class GeminiProvider {
+  /**
+   * @param {string} apiKey - Gemini API key
+   */
+  constructor(apiKey) {
+    this.name = 'gemini';
+    this.fileManager = new GoogleAIFileManager(apiKey);
+    this.genAI = new GoogleGenerativeAI(apiKey);
+  }
+
+  /**
+   * Upload a file to the Gemini file manager
+   * @param {string} filePath - Path to the local file
+   * @param {Object} options
+   * @param {string} options.mimeType - MIME type of the file
+   * @param {string} options.displayName - Name shown in the file manager
+   * @returns {Promise<Object>} - Uploaded file with name, uri and mimeType
+   */
+  async uploadFile(filePath, { mimeType, displayName }) {
+    const uploadResult = await this.fileManager.uploadFile(filePath, { displayName, mimeType });
+    return uploadResult.file;
+  }
+
+  /**
+   * Poll an uploaded file until Gemini reports it ACTIVE
+   * @param {Object} file - Uploaded file
+   * @param {Object} options
+   * @param {number} options.maxAttempts - Number of polls before giving up
+   * @param {Function} options.onPoll - Called after every poll that wasn't ready
+   * @returns {Promise<Object>} - The file once it is ready
+   */
+  async waitUntilReady(file, { maxAttempts = 30, onPoll } = {}) {
+    const baseWaitTime = 2000; // Start with 2 second wait
+
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      let progress;
+      try {
+        progress = await this.fileManager.getFile(file.name);
+      } catch (error) {
+        console.error('Error checking file progress:', error);
+        progress = { error };
+      }
+
+      if (progress.state === 'ACTIVE') {
+        return progress;
+      }
+
+      if (progress.state === 'FAILED') {
+        throw new Error('File processing failed on the Gemini file manager');
+      }
+
+      // Calculate wait time with exponential backoff, capped at 30 seconds
+      const waitTime = Math.min(baseWaitTime * Math.pow(1.5, attempt), 30000);
+      if (onPoll) {
+        onPoll({ state: progress.state, attempt: attempt + 1, waitTime });
+      }
+      await wait(waitTime);
+    }
+
+    const error = new Error('File never reached ACTIVE state after multiple attempts');
+    // Callers tell this apart from other failures by the code: the analysis can be retried later
+    error.code = 'FILE_NOT_READY';
+    throw error;
+  }
+
+  /**
+   * Generate a text response
+   * @param {Object} request
+   * @param {string} request.model - Model name
+   * @param {string} request.prompt - Prompt text
+   * @param {Object} [request.file] - Uploaded file to include with the prompt
+   * @param {Object} [request.responseSchema] - Constrain the response to JSON matching this schema
+   * @returns {Promise<Object>} - Response text, candidates and prompt feedback
+   */
+  async generateText({ model, prompt, file, responseSchema }) {
+    const parts = [{ text: prompt }];
+    if (file) {
+      parts.push({
+        fileData: {
+          mimeType: file.mimeType,
+          fileUri: file.uri
+        }
+      });
+    }
+
+    const generationConfig = responseSchema
+      ? { responseMimeType: 'application/json', responseSchema: toGeminiSchema(responseSchema) }
+      : undefined;
+    const result = await this.genAI.getGenerativeModel({ model, generationConfig }).generateContent(parts);
+    return {
+      text: result.response.text(),
+      candidates: result.response.candidates,
+      feedback: result.response.promptFeedback
+    };
+  }
+
+  /**
+   * Generate a response and parse it as JSON
+   * @param {Object} request - Same as generateText
+   * @returns {Promise<Object>} - Parsed data along with the raw response
+   * @throws {JsonResponseError} - If the response is not valid JSON
+   */
+  async generateJson(request) {
+    const response = await this.generateText(request);
+    try {
+      return { ...response, data: parseJsonResponse(response.text) };
+    } catch (error) {
+      throw new JsonResponseError(`Response could not be parsed as JSON: ${error.message}`, response);
+    }
+  }
+
+  /**
+   * Continue a chat conversation
+   * @param {Object} request
+   * @param {string} request.model - Model name
+   * @param {Array} request.history - Earlier turns in Gemini format ({ role, parts })
+   * @param {string} request.message - Message to send
+   * @param {Object} [request.generationConfig] - Sampling settings
+   * @returns {Promise<Object>} - Response text
+   */
+  async chat({ model, history, message, generationConfig }) {
+    const chatSession = this.genAI
+      .getGenerativeModel({ model, generationConfig })
+      .startChat({ history });
+    const result = await chatSession.sendMessage(message);
+    return { text: result.response.text() };
+  }
+
+  /**
+   * Embed texts for similarity search
+   * @param {Object} request
+   * @param {string} request.model - Embedding model name
+   * @param {Array<string>} request.texts - Texts to embed
+   * @returns {Promise<Object>} - One vector per text
+   */
+  async embed({ model, texts }) {
+    const embeddingModel = this.genAI.getGenerativeModel({ model });
+    const embeddings = [];
+
+    // The API accepts at most 100 texts per batch
+    for (let i = 0; i < texts.length; i += 100) {
+      const result = await embeddingModel.batchEmbedContents({
+        requests: texts.slice(i, i + 100).map(text => ({
+          content: { role: 'user', parts: [{ text }] }
+        }))
+      });
+      embeddings.push(...result.embeddings.map(embedding => embedding.values));
+    }
+
+    return { embeddings };
+  }
+}
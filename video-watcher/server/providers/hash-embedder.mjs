@@ -0,0 +1,31 @@
+import crypto from 'crypto';
+
+// Length of the vectors produced by the local embedder
+export const HASH_EMBEDDING_DIMENSIONS = 256;
+
+/**
+ * Deterministic local embedding based on feature hashing.
+ *
+ * Every word (and pair of adjacent words) is hashed to a signed slot of the
+ * vector, so texts sharing vocabulary end up close together. It captures no
+ * meaning beyond word overlap, but needs no model, network or API key, and
+ * gives the same vector for the same text on every run.
+ *
+ * @param {string} text - Text to embed
+ * @param {number} dimensions - Vector length
+ * @returns {Array<number>} - Unit-length vector (all zeros for text without words)
+ */
+export function hashEmbed(text, dimensions = HASH_EMBEDDING_DIMENSIONS) {
+  const vector = new Array(dimensions).fill(0);
+  const words = (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+  const features = [...words, ...words.slice(1).map((word, i) => `${words[i]} ${word}`)];
+
+  for (const feature of features) {
+    const digest = crypto.createHash('md5').update(feature).digest();
+    const slot = digest.readUInt32LE(0) % dimensions;
+    vector[slot] += digest[4] & 1 ? 1 : -1;
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? vector.map(value => value / norm) : vector;
+}
@@ -0,0 +1,53 @@
+import { GeminiProvider } from './gemini.mjs';
+import { MockProvider } from './mock.mjs';
+
+export { JsonResponseError } from './json-response.mjs';
+
+/**
+ * A model provider exposes:
+ * - uploadFile(filePath, { mimeType, displayName }) -> uploaded file ({ name, uri, mimeType })
+ * - waitUntilReady(file, { maxAttempts, onPoll }) -> file once it can be used in prompts
+ * - generateText({ task, model, prompt, file, context, responseSchema }) -> { text, candidates, feedback }
+ * - generateJson({ task, model, prompt, file, context, responseSchema }) -> { data, text, candidates, feedback }
+ * - chat({ task, model, history, message, generationConfig, context }) -> { text }
+ * - embed({ model, texts }) -> { embeddings } with one vector per text
+ *
+ * `task` names the prompt being run (e.g. default-video-analysis) so offline
+ * providers can answer without reading the prompt text. `responseSchema`
+ * (see schema.mjs) asks for a JSON response with exactly that shape.
+ */
+
+// Models used for each kind of call, overridable through the environment
+export const MODELS = {
+  analysis: process.env.ANALYSIS_MODEL || 'gemini-2.0-flash',
+  memory: process.env.MEMORY_MODEL || 'gemini-2.0-flash',
+  summary: process.env.SUMMARY_MODEL || 'gemini-2.5-pro-exp-03-25',
+  search: process.env.SEARCH_MODEL || 'gemini-1.5-flash',
+  chat: process.env.CHAT_MODEL || 'gemini-1.5-flash',
+  embedding: process.env.EMBEDDING_MODEL || 'text-embedding-004'
+};
+
+let provider = null;
+
+/**
+ * Get the configured model provider (MODEL_PROVIDER=gemini|mock, default gemini)
+ * @returns {GeminiProvider|MockProvider} - Shared provider instance
+ */
+export function getProvider() {
+  if (provider) return provider;
+
+  const name = process.env.MODEL_PROVIDER || 'gemini';
+  switch (name) {
+    case 'gemini':
+      provider = new GeminiProvider(process.env.VITE_GEMINI_API_KEY);
+      break;
+    case 'mock':
+      provider = new MockProvider(process.env.MOCK_FIXTURES_DIR || undefined);
+      break;
+    default:
+      throw new Error(`Unknown model provider: ${name}`);
+  }
+
+  console.log(`Using model provider: ${provider.name}`);
+  return provider;
+}
@@ -0,0 +1,31 @@
+/**
+ * Error thrown when a model response cannot be parsed as JSON.
+ * Carries the raw response so callers can store or log it.
+ */
+export class JsonResponseError extends Error {
+  constructor(message, { text, candidates, feedback } = {}) {
+    super(message);
+    this.name = 'JsonResponseError';
+    this.text = text;
+    this.candidates = candidates;
+    this.feedback = feedback;
+  }
+}
+
+/**
+ * Parse a model response as JSON. The response might have markdown
+ * formatting with the JSON inside ```json blocks.
+ * @param {string} responseText - Raw model response
+ * @returns {*} - Parsed value
+ */
+export function parseJsonResponse(responseText) {
+  let jsonStr = responseText;
+
+  // Check if response is wrapped in markdown code blocks
+  const jsonMatch = responseText.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
+  if (jsonMatch && jsonMatch[1]) {
+    jsonStr = jsonMatch[1];
+  }
+
+  return JSON.parse(jsonStr);
+}
@@ -0,0 +1,142 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { hashEmbed } from './hash-embedder.mjs';
+import { validate } from './schema.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+/**
+ * Replace {{name}} placeholders in every string of a fixture.
+ * An object of the form { "$each": "items", "template": {...} } expands to
+ * one rendered template per element of context.items.
+ * @param {*} value - Fixture value
+ * @param {Object} context - Values available to placeholders
+ * @returns {*} - Rendered value
+ */
+function render(value, context) {
+  if (typeof value === 'string') {
+    return value.replace(/\{\{(\w+)\}\}/g, (match, name) =>
+      context[name] === undefined ? match : String(context[name]));
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => render(item, context));
+  }
+
+  if (value && typeof value === 'object') {
+    if (value.$each) {
+      const items = context[value.$each] || [];
+      return items.map((item, index) => render(value.template, { ...context, ...item, index }));
+    }
+
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, render(item, context)])
+    );
+  }
+
+  return value;
+}
+
+/**
+ * Deterministic offline provider that answers from fixture files.
+ *
+ * Each task has a fixture named <task>.json holding either
+ * { "text": "..." } for free-form answers or { "data": ... } for JSON answers.
+ * No network access or API key is needed.
+ *
+ * When a request carries a response schema the rendered data must match it
+ * exactly, without extra fields, as a constrained Gemini response would;
+ * otherwise the call fails, so fixtures and schemas can't drift apart.
+ */
+export class MockProvider {
+  /**
+   * @param {string} fixturesDir - Folder holding the fixture files
+   */
+  constructor(fixturesDir = DEFAULT_FIXTURES_DIR) {
+    this.name = 'mock';
+    this.fixturesDir = fixturesDir;
+  }
+
+  /**
+   * Load the fixture for a task
+   * @param {string} task - Task name
+   * @returns {Promise<Object>} - Fixture content
+   */
+  async loadFixture(task) {
+    const fixturePath = path.join(this.fixturesDir, `${task}.json`);
+    try {
+      return JSON.parse(await fs.readFile(fixturePath, 'utf-8'));
+    } catch (error) {
+      throw new Error(`No mock fixture for task "${task}" (${fixturePath}): ${error.message}`);
+    }
+  }
+
+  async uploadFile(filePath, { mimeType, displayName }) {
+    // Fail like the real upload would for a missing file
+    await fs.stat(filePath);
+
+    const hash = crypto.createHash('sha1').update(filePath).digest('hex').slice(0, 12);
+    return {
+      name: `files/mock-${hash}`,
+      uri: `mock://files/mock-${hash}`,
+      displayName,
+      mimeType,
+      state: 'ACTIVE'
+    };
+  }
+
+  async waitUntilReady(file) {
+    return { ...file, state: 'ACTIVE' };
+  }
+
+  /**
+   * Fail if fixture data doesn't match the schema a request asked for
+   * @param {string} task - Task name
+   * @param {*} data - Rendered fixture data
+   * @param {Object} [responseSchema] - Schema from the request
+   */
+  checkSchema(task, data, responseSchema) {
+    if (!responseSchema) return;
+    const errors = validate(data, responseSchema, { strict: true });
+    if (errors.length > 0) {
+      throw new Error(`Mock fixture for task "${task}" does not match its response schema: ${errors.join('; ')}`);
+    }
+  }
+
+  async generateText({ task, file, context = {}, responseSchema }) {
+    const fixture = await this.loadFixture(task);
+    const vars = { ...context, fileName: file?.displayName || '' };
+    if (fixture.text !== undefined) {
+      // Text fixtures stand in for raw (possibly malformed) responses and aren't checked
+      return { text: render(fixture.text, vars), candidates: [], feedback: undefined };
+    }
+
+    const data = render(fixture.data, vars);
+    this.checkSchema(task, data, responseSchema);
+    return { text: JSON.stringify(data, null, 2), candidates: [], feedback: undefined };
+  }
+
+  async generateJson({ task, file, context = {}, responseSchema }) {
+    const fixture = await this.loadFixture(task);
+    if (fixture.data === undefined) {
+      throw new Error(`Mock fixture for task "${task}" has no JSON data`);
+    }
+
+    const data = render(fixture.data, { ...context, fileName: file?.displayName || '' });
+    this.checkSchema(task, data, responseSchema);
+    return { data, text: JSON.stringify(data, null, 2), candidates: [], feedback: undefined };
+  }
+
+  async chat({ task = 'video-chat-context', message, context = {} }) {
+    const { text } = await this.generateText({ task, context: { ...context, message } });
+    return { text };
+  }
+
+  async embed({ texts }) {
+    return { embeddings: texts.map(text => hashEmbed(text)) };
+  }
+}
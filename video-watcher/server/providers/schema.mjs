@@ -0,0 +1,59 @@
+/**
+ * Response schemas are written in the subset of JSON Schema that Gemini's
+ * responseSchema accepts: type, description, properties, required, items and enum,
+ * plus anyOf, which is sent to Gemini as its first alternative.
+ */
+
+/**
+ * @param {*} value
+ * @returns {string} - JSON type name of a value
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Check a value against a response schema
+ * @param {*} value - Parsed response
+ * @param {Object} schema - Response schema
+ * @param {Object} [options]
+ * @param {boolean} [options.strict] - Also reject properties the schema doesn't list
+ * @param {string} [at] - Path of the value, for error messages
+ * @returns {Array<string>} - Problems found, empty when the value is valid
+ */
+export function validate(value, schema, { strict = false } = {}, at = '$') {
+  const actual = typeOf(value);
+  if (schema.anyOf) {
+    const valid = schema.anyOf.some(option => validate(value, option, { strict }, at).length === 0);
+    return valid ? [] : [`${at}: expected ${schema.anyOf.map(option => option.type).join(' or ')}, got ${actual}`];
+  }
+  const matches = schema.type === 'number' ? actual === 'number' || actual === 'integer' : actual === schema.type;
+  if (schema.type && !matches) {
+    return [`${at}: expected ${schema.type}, got ${actual}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${at}: must be one of ${schema.enum.join(', ')}`];
+  }
+
+  const errors = [];
+  if (actual === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${at}.${key}: is required`);
+    }
+    for (const key of Object.keys(value)) {
+      if (properties[key]) {
+        errors.push(...validate(value[key], properties[key], { strict }, `${at}.${key}`));
+      } else if (strict) {
+        errors.push(`${at}.${key}: is not in the schema`);
+      }
+    }
+  }
+  if (actual === 'array' && schema.items) {
+    value.forEach((item, index) => errors.push(...validate(item, schema.items, { strict }, `${at}[${index}]`)));
+  }
+  return errors;
+}
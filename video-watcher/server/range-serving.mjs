@@ -0,0 +1,266 @@
+import fs from 'fs/promises';
+import crypto from 'crypto';
+import { createReadStream } from 'fs';
+
+// More ranges than this in one request are ignored and the full file is sent
+const MAX_RANGES = 32;
+
+// Recordings rarely change once written, but let clients revalidate hourly
+const CACHE_CONTROL = 'private, max-age=3600';
+
+/**
+ * Parse a Range header (RFC 7233)
+ * @param {string|undefined} header - Value of the Range header
+ * @param {number} size - Size of the file in bytes
+ * @returns {Object|null} - null when the header is absent or must be ignored,
+ *   { unsatisfiable: true } when no range overlaps the file,
+ *   otherwise { ranges: [{ start, end }] } with inclusive, coalesced byte offsets
+ */
+export function parseRangeHeader(header, size) {
+  if (!header) return null;
+
+  const match = /^\s*bytes\s*=\s*(.+)$/i.exec(header);
+  if (!match) return null; // Unknown range unit
+
+  const specs = match[1].split(',').map(spec => spec.trim()).filter(Boolean);
+  if (specs.length === 0 || specs.length > MAX_RANGES) return null;
+
+  const ranges = [];
+  for (const spec of specs) {
+    const parts = /^(\d*)-(\d*)$/.exec(spec);
+    if (!parts || (parts[1] === '' && parts[2] === '')) return null; // Syntactically invalid
+
+    let start;
+    let end;
+    if (parts[1] === '') {
+      // Suffix range: the last N bytes
+      const suffixLength = parseInt(parts[2], 10);
+      if (suffixLength === 0) continue;
+      start = Math.max(0, size - suffixLength);
+      end = size - 1;
+    } else {
+      start = parseInt(parts[1], 10);
+      end = size - 1;
+      if (parts[2] !== '') {
+        const lastByte = parseInt(parts[2], 10);
+        if (lastByte < start) return null; // Invalid, so the whole header is ignored
+        end = Math.min(lastByte, end);
+      }
+    }
+
+    // Ranges starting past the end of the file can't be satisfied
+    if (start >= size) continue;
+
+    ranges.push({ start, end });
+  }
+
+  if (ranges.length === 0) {
+    return { unsatisfiable: true };
+  }
+
+  // Merge overlapping and adjacent ranges
+  ranges.sort((a, b) => a.start - b.start);
+  const coalesced = [ranges[0]];
+  for (const range of ranges.slice(1)) {
+    const last = coalesced[coalesced.length - 1];
+    if (range.start <= last.end + 1) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      coalesced.push(range);
+    }
+  }
+
+  return { ranges: coalesced };
+}
+
+/**
+ * Build a strong ETag from the file size and modification time
+ * @param {fs.Stats} stat - File stats
+ * @returns {string} - Quoted ETag
+ */
+export function createEtag(stat) {
+  return `"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+}
+
+/**
+ * Split an If-Match / If-None-Match header into its entity tags
+ * @param {string} header - Header value
+ * @returns {Array<string>} - Tags, including "*" if present
+ */
+function parseEtagList(header) {
+  return header.split(',').map(tag => tag.trim()).filter(Boolean);
+}
+
+/**
+ * Compare HTTP dates at one second precision
+ * @param {number} mtimeMs - File modification time
+ * @param {string} header - HTTP date from a request header
+ * @returns {number|null} - Negative, zero or positive like a comparator, or null for an invalid date
+ */
+function compareToHttpDate(mtimeMs, header) {
+  const date = Date.parse(header);
+  if (Number.isNaN(date)) return null;
+  return Math.floor(mtimeMs / 1000) - Math.floor(date / 1000);
+}
+
+/**
+ * Evaluate the conditional request headers (RFC 7232 section 6 order)
+ * @param {Object} headers - Request headers
+ * @param {string} etag - Current ETag
+ * @param {number} mtimeMs - Current modification time
+ * @returns {number|null} - 412 or 304 if the request must stop there, otherwise null
+ */
+export function evaluatePreconditions(headers, etag, mtimeMs) {
+  if (headers['if-match']) {
+    const tags = parseEtagList(headers['if-match']);
+    // If-Match uses strong comparison, so weak tags never match
+    if (!tags.includes('*') && !tags.includes(etag)) return 412;
+  } else if (headers['if-unmodified-since']) {
+    const comparison = compareToHttpDate(mtimeMs, headers['if-unmodified-since']);
+    if (comparison !== null && comparison > 0) return 412;
+  }
+
+  if (headers['if-none-match']) {
+    // If-None-Match uses weak comparison
+    const tags = parseEtagList(headers['if-none-match']).map(tag => tag.replace(/^W\//, ''));
+    if (tags.includes('*') || tags.includes(etag)) return 304;
+  } else if (headers['if-modified-since']) {
+    const comparison = compareToHttpDate(mtimeMs, headers['if-modified-since']);
+    if (comparison !== null && comparison <= 0) return 304;
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a Range request may be honoured given its If-Range header
+ * @param {string|undefined} header - If-Range value (ETag or HTTP date)
+ * @param {string} etag - Current ETag
+ * @param {number} mtimeMs - Current modification time
+ * @returns {boolean}
+ */
+export function ifRangeMatches(header, etag, mtimeMs) {
+  if (!header) return true;
+
+  const value = header.trim();
+  if (value.startsWith('"') || value.startsWith('W/')) {
+    // Strong comparison: a weak validator never matches
+    return value === etag;
+  }
+
+  return compareToHttpDate(mtimeMs, value) === 0;
+}
+
+/**
+ * Pipe a byte range of a file into the response
+ * @param {string} filePath - File to read
+ * @param {Object} res - Express response
+ * @param {Object} range - Inclusive { start, end }
+ * @param {boolean} endResponse - Whether to end the response when done
+ * @returns {Promise<void>}
+ */
+function pipeRange(filePath, res, { start, end }, endResponse) {
+  return new Promise((resolve, reject) => {
+    const stream = createReadStream(filePath, { start, end });
+    // Stop reading when the client goes away, e.g. after seeking elsewhere
+    const onClose = () => stream.destroy();
+    res.once('close', onClose);
+    stream.on('error', reject);
+    stream.on('close', () => {
+      res.off('close', onClose);
+      resolve();
+    });
+    stream.pipe(res, { end: endResponse });
+  });
+}
+
+/**
+ * Serve a file with range, conditional request and caching support
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} filePath - File to serve
+ * @param {string} contentType - Content-Type of the file
+ * @returns {Promise<void>}
+ */
+export async function sendFileWithRanges(req, res, filePath, contentType) {
+  const stat = await fs.stat(filePath);
+  const fileSize = stat.size;
+  const etag = createEtag(stat);
+  const isHead = req.method === 'HEAD';
+
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('ETag', etag);
+  res.setHeader('Last-Modified', stat.mtime.toUTCString());
+  res.setHeader('Cache-Control', CACHE_CONTROL);
+
+  const preconditionStatus = evaluatePreconditions(req.headers, etag, stat.mtimeMs);
+  if (preconditionStatus) {
+    res.status(preconditionStatus).end();
+    return;
+  }
+
+  const parsed = ifRangeMatches(req.headers['if-range'], etag, stat.mtimeMs)
+    ? parseRangeHeader(req.headers.range, fileSize)
+    : null;
+
+  if (parsed?.unsatisfiable) {
+    res.writeHead(416, { 'Content-Range': `bytes */${fileSize}`, 'Content-Length': 0 });
+    res.end();
+    return;
+  }
+
+  // No (usable) range requested, send entire file
+  if (!parsed) {
+    res.writeHead(200, {
+      'Content-Length': fileSize,
+      'Content-Type': contentType
+    });
+    if (isHead || fileSize === 0) {
+      res.end();
+      return;
+    }
+    await pipeRange(filePath, res, { start: 0, end: fileSize - 1 }, true);
+    return;
+  }
+
+  // Single range: plain partial content
+  if (parsed.ranges.length === 1) {
+    const [range] = parsed.ranges;
+    res.writeHead(206, {
+      'Content-Range': `bytes ${range.start}-${range.end}/${fileSize}`,
+      'Content-Length': range.end - range.start + 1,
+      'Content-Type': contentType
+    });
+    if (isHead) {
+      res.end();
+      return;
+    }
+    await pipeRange(filePath, res, range, true);
+    return;
+  }
+
+  // Multiple ranges: multipart/byteranges body
+  const boundary = crypto.randomBytes(12).toString('hex');
+  const partHeaders = parsed.ranges.map(range =>
+    `\r\n--${boundary}\r\nContent-Type: ${contentType}\r\nContent-Range: bytes ${range.start}-${range.end}/${fileSize}\r\n\r\n`);
+  const closing = `\r\n--${boundary}--\r\n`;
+  const contentLength = parsed.ranges.reduce(
+    (total, range, i) => total + Buffer.byteLength(partHeaders[i]) + (range.end - range.start + 1),
+    Buffer.byteLength(closing)
+  );
+
+  res.writeHead(206, {
+    'Content-Type': `multipart/byteranges; boundary=${boundary}`,
+    'Content-Length': contentLength
+  });
+  if (isHead) {
+    res.end();
+    return;
+  }
+
+  for (let i = 0; i < parsed.ranges.length; i++) {
+    res.write(partHeaders[i]);
+    await pipeRange(filePath, res, parsed.ranges[i], false);
+  }
+  res.end(closing);
+}
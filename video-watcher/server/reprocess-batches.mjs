@@ -0,0 +1,111 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Number of batches kept in the store
+const BATCH_LIMIT = 50;
+
+/**
+ * Bulk reprocessing requests, persisted in a JSON file next to the job queue.
+ *
+ * A batch records what was asked for and which job each video got; its
+ * progress is read from those jobs whenever it is requested.
+ */
+export class ReprocessBatches {
+  constructor() {
+    this.storePath = null;
+    this.batches = [];
+    this.persistChain = Promise.resolve();
+  }
+
+  /**
+   * Load the persisted batches
+   * @param {string} storePath - Path of the JSON file holding the batches
+   */
+  async initialize(storePath) {
+    this.storePath = storePath;
+    await fs.mkdir(path.dirname(storePath), { recursive: true });
+    try {
+      this.batches = JSON.parse(await fs.readFile(storePath, 'utf-8')).batches || [];
+    } catch {
+      this.batches = [];
+    }
+  }
+
+  /**
+   * Record a batch whose videos were just queued
+   * @param {Object} details - { filter, settings, estimate, videos, skipped } where each video
+   *   has the id and file name of its entry and the id of its job
+   * @returns {Promise<Object>} - The batch
+   */
+  async create(details) {
+    const batch = {
+      id: `reprocess_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      createdAt: new Date().toISOString(),
+      ...details
+    };
+    this.batches = [batch, ...this.batches].slice(0, BATCH_LIMIT);
+    await this.persist();
+    return batch;
+  }
+
+  /**
+   * @param {string} id - Batch id
+   * @returns {Object|undefined} - The batch
+   */
+  get(id) {
+    return this.batches.find(batch => batch.id === id);
+  }
+
+  /**
+   * @returns {Array<Object>} - Batches, newest first
+   */
+  list() {
+    return this.batches;
+  }
+
+  /**
+   * Work out how far a batch has got from the state of its jobs
+   * @param {Object} batch - The batch
+   * @param {Object} jobQueue - Queue the jobs were submitted to
+   * @returns {Object} - { total, queued, running, succeeded, failed, unknown, done, failures }
+   *   where unknown counts jobs dropped from the queue's history
+   */
+  progress(batch, jobQueue) {
+    const progress = { total: batch.videos.length, queued: 0, running: 0, succeeded: 0, failed: 0, unknown: 0 };
+    const failures = [];
+    for (const video of batch.videos) {
+      const job = jobQueue.get(video.jobId);
+      if (!job) {
+        progress.unknown++;
+        continue;
+      }
+      progress[job.status]++;
+      if (job.status === 'failed') {
+        failures.push({ id: video.id, videoFileName: video.videoFileName, error: job.error });
+      }
+    }
+    return { ...progress, done: progress.queued === 0 && progress.running === 0, failures };
+  }
+
+  /**
+   * Write the batches to disk through a temporary file, one write at a time
+   * so an older snapshot never replaces a newer one
+   * @returns {Promise<void>}
+   */
+  persist() {
+    this.persistChain = this.persistChain.then(async () => {
+      try {
+        const tmpPath = `${this.storePath}.tmp`;
+        await fs.writeFile(tmpPath, JSON.stringify({ batches: this.batches }, null, 2), 'utf-8');
+        await fs.rename(tmpPath, this.storePath);
+      } catch (error) {
+        console.error('Error persisting reprocess batches:', error);
+      }
+    });
+    return this.persistChain;
+  }
+}
+
+// Export singleton instance
+const reprocessBatches = new ReprocessBatches();
+export default reprocessBatches;
@@ -0,0 +1,96 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Error raised when a user-supplied file name is rejected.
+ * `status` is the HTTP status to answer with: 400 for malformed names,
+ * 403 for names that resolve outside the allowed folder or have a disallowed extension.
+ */
+export class PathSecurityError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'PathSecurityError';
+    this.status = status;
+  }
+}
+
+// Longest file name accepted by common file systems
+const MAX_NAME_LENGTH = 255;
+
+/**
+ * Check whether a path is the base folder itself or inside it
+ * @param {string} baseDir - Absolute base folder
+ * @param {string} target - Absolute path to check
+ * @returns {boolean}
+ */
+export function isInside(baseDir, target) {
+  const relative = path.relative(baseDir, target);
+  // Names like "..foo.mp4" start with two dots but stay inside
+  const escapes = relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative);
+  return !escapes;
+}
+
+/**
+ * Resolve a user-supplied name inside a base folder.
+ *
+ * Nested names are only accepted when `allowSubdirectories` is set; even
+ * then every segment is checked and the result must stay inside the folder,
+ * also after following symlinks.
+ *
+ * @param {string} baseDir - Folder the file must live in
+ * @param {string} name - File name from the request
+ * @param {Object} options
+ * @param {Array<string>} [options.extensions] - Allowed extensions (lowercase, with dot)
+ * @param {boolean} [options.allowSubdirectories] - Accept names like "folder/file.jpg"
+ * @returns {Promise<string>} - Absolute path inside baseDir (the file may not exist)
+ * @throws {PathSecurityError}
+ */
+export async function resolveSafePath(baseDir, name, { extensions, allowSubdirectories = false } = {}) {
+  if (typeof name !== 'string' || name.length === 0) {
+    throw new PathSecurityError('File name is required', 400);
+  }
+
+  if (name.length > MAX_NAME_LENGTH * (allowSubdirectories ? 4 : 1)) {
+    throw new PathSecurityError('File name is too long', 400);
+  }
+
+  // Null bytes truncate paths in native code; colons allow drive letters and NTFS streams
+  if (name.includes('\0') || name.includes(':')) {
+    throw new PathSecurityError('File name contains invalid characters', 400);
+  }
+
+  const segments = name.split(/[\\/]/);
+  if (!allowSubdirectories && segments.length > 1) {
+    throw new PathSecurityError('File name must not contain path separators', 400);
+  }
+
+  if (path.isAbsolute(name) || segments.some(segment => segment === '' || segment === '.' || segment === '..')) {
+    throw new PathSecurityError('File name must not contain relative or absolute path segments', 400);
+  }
+
+  if (extensions && !extensions.includes(path.extname(name).toLowerCase())) {
+    throw new PathSecurityError(`File type not allowed: ${path.extname(name) || '(none)'}`, 403);
+  }
+
+  const base = path.resolve(baseDir);
+  const resolved = path.resolve(base, ...segments);
+  if (!isInside(base, resolved) || resolved === base) {
+    throw new PathSecurityError('Access outside the allowed folder is forbidden', 403);
+  }
+
+  // Follow symlinks and make sure the real file is still inside the real folder
+  let realPath;
+  try {
+    realPath = await fs.realpath(resolved);
+  } catch (error) {
+    if (error.code === 'ENOENT') return resolved;
+    throw error;
+  }
+
+  const realBase = await fs.realpath(base);
+  if (!isInside(realBase, realPath)) {
+    throw new PathSecurityError('Access outside the allowed folder is forbidden', 403);
+  }
+
+  return resolved;
+}
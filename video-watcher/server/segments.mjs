@@ -0,0 +1,59 @@
+/**
+ * Parse a timestamp from a model response into seconds
+ * @param {number|string} value - Seconds, or "ss", "mm:ss" or "hh:mm:ss" (fractions allowed)
+ * @returns {number|null} - Seconds, or null if it can't be read
+ */
+export function parseTimestamp(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value >= 0 ? value : null;
+  }
+  if (typeof value !== 'string') return null;
+
+  const parts = value.trim().split(':');
+  if (parts.length > 3 || parts.some(part => !/^\d+(\.\d+)?$/.test(part))) return null;
+
+  return parts.reduce((seconds, part) => seconds * 60 + parseFloat(part), 0);
+}
+
+/**
+ * Format seconds as m:ss or h:mm:ss
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatTimestamp(seconds) {
+  const total = Math.floor(seconds);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+/**
+ * Clean up the segments returned by the model: times in seconds, ordered,
+ * and without entries whose times can't be read
+ * @param {Array} segments - Raw segments ({ start, end, summary, transcript, actions })
+ * @returns {Array<Object>} - Normalized segments
+ */
+export function normalizeSegments(segments) {
+  if (!Array.isArray(segments)) return [];
+
+  const normalized = [];
+  for (const segment of segments) {
+    if (!segment || typeof segment !== 'object') continue;
+
+    const start = parseTimestamp(segment.start);
+    let end = parseTimestamp(segment.end);
+    if (start === null) continue;
+    if (end === null || end < start) end = start;
+
+    normalized.push({
+      start,
+      end,
+      summary: typeof segment.summary === 'string' ? segment.summary : '',
+      transcript: typeof segment.transcript === 'string' ? segment.transcript : '',
+      actions: typeof segment.actions === 'string' ? segment.actions : ''
+    });
+  }
+
+  return normalized.sort((a, b) => a.start - b.start);
+}
@@ -0,0 +1,355 @@
+import { getProvider } from './providers/index.mjs';
+import { JsonResponseError, parseJsonResponse } from './providers/json-response.mjs';
+import { validate } from './providers/schema.mjs';
+
+export { validate };
+
+// Times a prompt is sent again with the validation errors before giving up
+const MAX_RETRIES = Math.max(parseInt(process.env.STRUCTURED_OUTPUT_RETRIES || '2', 10) || 0, 0);
+
+// Characters of a rejected response kept in failure records
+const EXCERPT_LENGTH = 500;
+
+const string = { type: 'string' };
+const number = { type: 'number' };
+// Seconds, or an "m:ss" / "h:mm:ss" string that normalizeSegments converts
+const time = { anyOf: [number, string] };
+const stringList = { type: 'array', items: string };
+const certainty = { type: 'string', enum: ['high', 'medium', 'low'], description: 'How certain this is' };
+
+/**
+ * @param {Object} schema - Schema
+ * @param {string} description - What the field holds; sent to the model with the schema
+ * @returns {Object} - The schema with a description
+ */
+const described = (schema, description) => ({ ...schema, description });
+
+// Fields every analysis prompt asks for
+const ANALYSIS_PROPERTIES = {
+  summary: described(string, 'Detailed summary of the video'),
+  screenContent: described(string, "Description of what's visible on the screen"),
+  actions: described(string, 'Description of actions performed'),
+  topics: described(stringList, 'Key topics discussed or shown'),
+  transcript: described(string, 'Transcription of speech'),
+  tags: described(stringList, 'Short tags for finding the video')
+};
+
+// Profile categories of the long-term memory, each a set of lists
+const LTM_CATEGORIES = {
+  skills_and_knowledge: ['confirmed_skills', 'inferred_skills', 'knowledge_gaps'],
+  preferences_and_habits: ['ui_preferences', 'workflow_habits', 'tool_preferences'],
+  workflows: ['common_tasks', 'approaches', 'frequency_patterns'],
+  challenges: ['recurring_frustrations', 'difficulties', 'blockers'],
+  goals_and_motivations: ['stated_goals', 'inferred_goals', 'motivations'],
+  traits_and_attitudes: ['communication_style', 'decision_making', 'learning_approach']
+};
+
+const LTM_SCHEMA = {
+  type: 'object',
+  properties: {
+    profile_summary: described(string, "Brief overview of user's primary traits and patterns"),
+    ...Object.fromEntries(Object.entries(LTM_CATEGORIES).map(([category, lists]) => [category, {
+      type: 'object',
+      properties: Object.fromEntries(lists.map(list => [list, stringList]))
+    }]))
+  },
+  required: ['profile_summary', ...Object.keys(LTM_CATEGORIES)]
+};
+
+const WM_SCHEMA = {
+  type: 'object',
+  properties: {
+    untested_hypotheses: described(stringList, 'Fresh observations that need more evidence, each with its evidence in [brackets]'),
+    corroborated_hypotheses: described(stringList, 'Observations with moderate support across multiple interactions'),
+    established_facts: described(stringList, 'Consistently supported observations or explicitly stated information')
+  },
+  required: ['untested_hypotheses', 'corroborated_hypotheses', 'established_facts']
+};
+
+/**
+ * Expected output of every prompt that answers in JSON, by task name.
+ * Sent to the model as the response schema (see providers/schema.mjs for the
+ * supported subset) and used to validate what comes back.
+ */
+export const SCHEMAS = {
+  'default-video-analysis': {
+    type: 'object',
+    properties: ANALYSIS_PROPERTIES,
+    required: ['summary', 'screenContent', 'actions', 'topics', 'transcript', 'tags']
+  },
+  'segment-video-analysis': {
+    type: 'object',
+    properties: {
+      ...ANALYSIS_PROPERTIES,
+      segments: described({
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            start: described(time, 'Start of the segment in seconds from the beginning of the video'),
+            end: described(time, 'End of the segment in seconds'),
+            summary: described(string, 'What happens in this segment'),
+            transcript: described(string, 'Speech in this segment'),
+            actions: described(string, 'Actions performed in this segment')
+          },
+          required: ['start', 'end', 'summary']
+        }
+      }, 'Consecutive segments; a new one starts whenever the activity, topic or application on screen changes')
+    },
+    required: ['summary', 'screenContent', 'actions', 'topics', 'transcript', 'tags', 'segments']
+  },
+  'inference-video-analysis': {
+    type: 'object',
+    properties: {
+      explicit_directives: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            command: described(string, 'The specific instruction or command detected'),
+            target: described(string, 'What/who the command is directed to'),
+            parameters: described({
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: { name: string, value: string },
+                required: ['name', 'value']
+              }
+            }, 'Parameters of the command'),
+            certainty,
+            context: described(string, 'Description of when/how this directive was given')
+          },
+          required: ['command', 'target', 'certainty', 'context']
+        }
+      },
+      explicit_statements: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            statement: described(string, 'The explicit statement made by the user'),
+            type: { type: 'string', enum: ['preference', 'goal', 'frustration', 'interest', 'question'] },
+            certainty,
+            context: described(string, 'Description of when/how this statement was made')
+          },
+          required: ['statement', 'type', 'certainty', 'context']
+        }
+      },
+      inferred_insights: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            insight: described(string, "The inferred insight about the user's state, goals, needs, etc."),
+            type: {
+              type: 'string',
+              enum: ['mental_state', 'goal', 'need', 'workflow', 'knowledge_gap', 'opinion', 'withheld_idea']
+            },
+            basis: described(string, 'The specific observation or pattern that led to this inference'),
+            certainty
+          },
+          required: ['insight', 'type', 'basis', 'certainty']
+        }
+      },
+      relevant_context_summary: described(
+        string,
+        "Brief summary of the video focusing on aspects most relevant to understanding the user's current state and goals"
+      )
+    },
+    required: ['explicit_directives', 'explicit_statements', 'inferred_insights', 'relevant_context_summary']
+  },
+  'memory-ltm-summary': LTM_SCHEMA,
+  'memory-ltm-trim': LTM_SCHEMA,
+  'memory-wm-update': WM_SCHEMA,
+  'memory-wm-trim': WM_SCHEMA,
+  'batch-video-relevance': {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        filename: described(string, 'The filename of the video'),
+        is_relevant: { type: 'boolean' },
+        relevance_score: described(number, 'Relevance from 0.0 to 1.0'),
+        justification: described(string, 'Brief explanation (1-2 sentences)')
+      },
+      required: ['filename', 'is_relevant', 'relevance_score', 'justification']
+    }
+  }
+};
+
+/**
+ * Error thrown when a response is still unusable after every retry.
+ * Is a JsonResponseError, so existing handlers keep working, and carries
+ * the failure record of every attempt.
+ */
+export class StructuredOutputError extends JsonResponseError {
+  constructor(message, { failures, ...response } = {}) {
+    super(message, response);
+    this.name = 'StructuredOutputError';
+    this.failures = failures || [];
+  }
+}
+
+/**
+ * Remove commas directly before a closing bracket
+ * @param {string} text - JSON text
+ * @returns {string}
+ */
+function removeTrailingCommas(text) {
+  return text.replace(/,(\s*[}\]])/g, '$1').replace(/,\s*$/, '');
+}
+
+/**
+ * Walk JSON text and record which brackets are open and where the commas between values are
+ * @param {string} text - JSON text, possibly cut off
+ * @returns {Object} - { closers, inString, commas } where closers close the open brackets in order
+ */
+function scanJson(text) {
+  const stack = [];
+  const commas = [];
+  let inString = false;
+  let escaped = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+    if (char === '"') inString = true;
+    else if (char === '{') stack.push('}');
+    else if (char === '[') stack.push(']');
+    else if (char === '}' || char === ']') stack.pop();
+    else if (char === ',') commas.push({ index: i, closers: stack.slice().reverse().join('') });
+  }
+
+  return { closers: stack.slice().reverse().join(''), inString, commas };
+}
+
+/**
+ * Try to turn a malformed JSON response into a value: take the JSON out of an
+ * (unterminated) code fence or surrounding prose, drop trailing commas and close a
+ * response that was cut off, falling back to dropping the incomplete last element
+ * @param {string} text - Raw model response
+ * @returns {*} - Parsed value
+ * @throws {SyntaxError} - When no repair produces valid JSON
+ */
+export function repairJson(text) {
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)(?:```|$)/);
+  let json = fenced ? fenced[1] : text;
+  const start = json.search(/[{[]/);
+  if (start === -1) {
+    throw new SyntaxError('No JSON object or array in the response');
+  }
+  json = json.slice(start).trim();
+
+  const candidates = [removeTrailingCommas(json)];
+  const { closers, inString, commas } = scanJson(json);
+  if (closers || inString) {
+    candidates.push(removeTrailingCommas(`${json}${inString ? '"' : ''}`) + closers);
+    // Cut back to the last few commas, dropping the element that was being written
+    for (const comma of commas.slice(-5).reverse()) {
+      candidates.push(removeTrailingCommas(json.slice(0, comma.index)) + comma.closers);
+    }
+  } else {
+    // Complete JSON followed by prose: cut after the last closing bracket
+    const end = Math.max(json.lastIndexOf('}'), json.lastIndexOf(']'));
+    candidates.push(removeTrailingCommas(json.slice(0, end + 1)));
+  }
+
+  for (const candidate of candidates) {
+    try {
+      return JSON.parse(candidate);
+    } catch {
+      // Try the next candidate
+    }
+  }
+  throw new SyntaxError('Response is not valid JSON and could not be repaired');
+}
+
+/**
+ * Parse a model response, repairing it if it isn't valid JSON as is
+ * @param {string} text - Raw model response
+ * @returns {Object} - { value, repaired }
+ * @throws {SyntaxError}
+ */
+export function parseStructured(text) {
+  try {
+    return { value: parseJsonResponse(text), repaired: false };
+  } catch {
+    return { value: repairJson(text), repaired: true };
+  }
+}
+
+/**
+ * Build the follow-up prompt that asks the model to fix its previous answer
+ * @param {string} prompt - Original prompt
+ * @param {Array<string>} errors - What was wrong with the answer
+ * @returns {string}
+ */
+function buildRetryPrompt(prompt, errors) {
+  return `${prompt}
+
+Your previous response could not be used:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Respond again with only the corrected JSON, no other text.`;
+}
+
+/**
+ * Run a prompt whose answer must be JSON matching the task's schema.
+ * Malformed responses are repaired when possible; responses that still can't be
+ * parsed or don't match the schema are sent back with the errors, up to
+ * STRUCTURED_OUTPUT_RETRIES times.
+ * @param {Object} request - Same as the provider's generateText ({ task, model, prompt, file, context })
+ * @param {Object} [request.schema] - Response schema (default SCHEMAS[task])
+ * @returns {Promise<Object>} - { data, text, candidates, feedback, attempts, failures }, where
+ *   failures records every response that had to be repaired or was rejected
+ * @throws {StructuredOutputError} - When no attempt produced a valid response
+ */
+export async function generateStructured({ schema, ...request }) {
+  const provider = getProvider();
+  const expected = schema || SCHEMAS[request.task];
+  const failures = [];
+  let prompt = request.prompt;
+  let response;
+
+  for (let attempt = 1; attempt <= MAX_RETRIES + 1; attempt++) {
+    // Providers that support it constrain the response to the schema; the checks below stay as a safety net
+    response = await provider.generateText({ ...request, prompt, responseSchema: expected });
+    const record = { task: request.task, attempt, at: new Date().toISOString() };
+    const excerpt = (response.text || '').slice(0, EXCERPT_LENGTH);
+
+    let parsed;
+    try {
+      parsed = parseStructured(response.text || '');
+    } catch (error) {
+      const errors = [`Response is not valid JSON: ${error.message}`];
+      failures.push({ ...record, stage: 'parse', errors, excerpt });
+      console.warn(`Attempt ${attempt} of ${request.task} returned invalid JSON`);
+      prompt = buildRetryPrompt(request.prompt, errors);
+      continue;
+    }
+
+    const errors = expected ? validate(parsed.value, expected) : [];
+    if (errors.length > 0) {
+      failures.push({ ...record, stage: 'validation', repaired: parsed.repaired, errors, excerpt });
+      console.warn(`Attempt ${attempt} of ${request.task} does not match its schema: ${errors.slice(0, 3).join('; ')}`);
+      prompt = buildRetryPrompt(request.prompt, errors);
+      continue;
+    }
+
+    if (parsed.repaired) {
+      failures.push({ ...record, stage: 'repair', errors: [], excerpt });
+      console.warn(`Repaired malformed JSON from ${request.task}`);
+    }
+    return { ...response, data: parsed.value, attempts: attempt, failures };
+  }
+
+  throw new StructuredOutputError(
+    `No valid response for ${request.task} after ${MAX_RETRIES + 1} attempts`,
+    { ...response, failures }
+  );
+}
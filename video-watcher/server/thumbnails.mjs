@@ -0,0 +1,169 @@
+import { runFfmpeg } from './ffmpeg.mjs';
+import { probeDuration } from './chunker.mjs';
+import { emitStage } from './processing-events.mjs';
+
+// How the thumbnail frame is chosen: offset, percent, best or scene
+const THUMBNAIL_STRATEGY = process.env.THUMBNAIL_STRATEGY || 'best';
+
+// Seconds into the video for the offset strategy
+const THUMBNAIL_OFFSET_SECONDS = parseFloat(process.env.THUMBNAIL_OFFSET_SECONDS || '5');
+
+// Position in the video (0-100) for the percent strategy
+const THUMBNAIL_PERCENT = parseFloat(process.env.THUMBNAIL_PERCENT || '10');
+
+// Frames compared by the best strategy
+const THUMBNAIL_CANDIDATES = parseInt(process.env.THUMBNAIL_CANDIDATES || '5', 10) || 5;
+
+// Scene change score (0-1) for the scene strategy
+const SCENE_THRESHOLD = parseFloat(process.env.KEYFRAME_SCENE_THRESHOLD || '0.3');
+
+// Average luma (0-255) outside this range means a black or white frame
+const MIN_LUMA = 20;
+const MAX_LUMA = 235;
+
+export const THUMBNAIL_STRATEGIES = ['offset', 'percent', 'best', 'scene'];
+
+/**
+ * Keep a timestamp inside the video.
+ * Seeking to the very end yields no frame, so stay a little before it.
+ * @param {number} time - Requested time in seconds
+ * @param {number|null} duration - Length of the video, null if unknown
+ * @returns {number}
+ */
+function clampTime(time, duration) {
+  if (!Number.isFinite(time) || time < 0) return 0;
+  if (duration === null) return time;
+  return Math.min(time, Math.max(duration - 0.5, 0));
+}
+
+/**
+ * Measure how usable a frame is as a thumbnail
+ * @param {string} videoPath - Source video
+ * @param {number} time - Frame position in seconds
+ * @returns {Promise<Object|null>} - { time, luma, entropy }, or null if no frame could be read
+ */
+async function measureFrame(videoPath, time) {
+  const { stderr } = await runFfmpeg([
+    '-ss', String(time), '-i', videoPath,
+    '-frames:v', '1',
+    '-vf', 'signalstats,entropy,metadata=print',
+    '-f', 'null', '-'
+  ]);
+  const luma = stderr.match(/lavfi\.signalstats\.YAVG=([\d.]+)/);
+  const entropy = stderr.match(/lavfi\.entropy\.normalized_entropy\.normal\.Y=([\d.]+)/);
+  if (!luma || !entropy) return null;
+  return { time, luma: parseFloat(luma[1]), entropy: parseFloat(entropy[1]) };
+}
+
+/**
+ * Compare frames spread over the video and pick the most detailed one that isn't blank
+ * @param {string} videoPath - Source video
+ * @param {number} duration - Length of the video in seconds
+ * @returns {Promise<number>} - Time of the chosen frame
+ */
+async function pickBestFrame(videoPath, duration) {
+  const frames = [];
+  for (let i = 1; i <= THUMBNAIL_CANDIDATES; i++) {
+    const time = clampTime(duration * i / (THUMBNAIL_CANDIDATES + 1), duration);
+    const frame = await measureFrame(videoPath, time).catch(() => null);
+    if (frame) frames.push(frame);
+  }
+  if (frames.length === 0) {
+    throw new Error('No frame could be read');
+  }
+
+  // Blank frames only win when every candidate is blank
+  const score = frame => frame.entropy - (frame.luma < MIN_LUMA || frame.luma > MAX_LUMA ? 1 : 0);
+  return frames.reduce((best, frame) => (score(frame) > score(best) ? frame : best)).time;
+}
+
+/**
+ * Find the first scene change
+ * @param {string} videoPath - Source video
+ * @returns {Promise<number|null>} - Time of the first frame of the second scene, null if there is none
+ */
+async function findFirstSceneChange(videoPath) {
+  const { stderr } = await runFfmpeg([
+    '-i', videoPath,
+    '-vf', `select='gt(scene,${SCENE_THRESHOLD})',showinfo`,
+    '-frames:v', '1',
+    '-f', 'null', '-'
+  ]);
+  const match = stderr.match(/Parsed_showinfo.*?pts_time:\s*([\d.]+)/);
+  return match ? parseFloat(match[1]) : null;
+}
+
+/**
+ * Work out which frame to use as the thumbnail
+ * @param {string} videoPath - Source video
+ * @param {string} strategy - One of THUMBNAIL_STRATEGIES
+ * @param {number|null} duration - Length of the video, null if unknown
+ * @returns {Promise<number>} - Time in seconds
+ */
+async function chooseTime(videoPath, strategy, duration) {
+  // Without a duration the first frame is the only one known to exist
+  if (duration === null) return 0;
+
+  switch (strategy) {
+    case 'offset':
+      return THUMBNAIL_OFFSET_SECONDS;
+    case 'percent':
+      return duration * THUMBNAIL_PERCENT / 100;
+    case 'best':
+      return pickBestFrame(videoPath, duration);
+    case 'scene': {
+      const sceneTime = await findFirstSceneChange(videoPath);
+      return sceneTime ?? duration * THUMBNAIL_PERCENT / 100;
+    }
+    default:
+      throw new Error(`Unknown thumbnail strategy: ${strategy}`);
+  }
+}
+
+/**
+ * Generate the thumbnail of a video
+ * @param {string} videoPath - Path to the video file
+ * @param {string} thumbnailPath - Path to save the generated thumbnail image
+ * @param {Object} [options]
+ * @param {string} [options.strategy] - How to choose the frame (THUMBNAIL_STRATEGY by default)
+ * @param {number} [options.time] - Use the frame at this time in seconds instead
+ * @returns {Promise<Object>} - { time, strategy } describing the frame that was used
+ */
+export async function generateThumbnail(videoPath, thumbnailPath, { strategy = THUMBNAIL_STRATEGY, time } = {}) {
+  emitStage('thumbnail', 'generating', { videoPath });
+
+  try {
+    const duration = await probeDuration(videoPath).catch(() => null);
+    let chosenStrategy = time === undefined ? strategy : 'manual';
+    let chosenTime;
+
+    if (time !== undefined) {
+      chosenTime = time;
+    } else {
+      try {
+        chosenTime = await chooseTime(videoPath, strategy, duration);
+      } catch (error) {
+        console.warn(`Thumbnail strategy ${strategy} failed for ${videoPath}, using the ${THUMBNAIL_PERCENT}% frame:`, error.message);
+        chosenStrategy = 'percent';
+        chosenTime = duration === null ? 0 : duration * THUMBNAIL_PERCENT / 100;
+      }
+    }
+    // Short clips: an offset past the end falls back into the clip
+    chosenTime = clampTime(chosenTime, duration);
+
+    await runFfmpeg([
+      '-y', '-ss', String(chosenTime), '-i', videoPath,
+      '-frames:v', '1',
+      '-vf', 'scale=320:-1',
+      thumbnailPath
+    ]);
+
+    const thumbnail = { time: Math.round(chosenTime * 100) / 100, strategy: chosenStrategy };
+    emitStage('thumbnail', 'complete', { videoPath, ...thumbnail });
+    return thumbnail;
+  } catch (error) {
+    console.error('Error generating thumbnail:', error, error.stderr);
+    emitStage('thumbnail', 'failed', { videoPath, error: error.message });
+    throw error;
+  }
+}
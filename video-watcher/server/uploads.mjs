@@ -0,0 +1,32 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Pick a file name for an upload that doesn't clash with an existing or already processed video.
+ * The name is reserved by creating the file, so concurrent uploads of the same name get different ones.
+ * @param {string} folder - Folder the upload is stored in
+ * @param {string} originalName - Name the browser sent
+ * @param {Set<string>} takenNames - File names that already have a dataset entry
+ * @returns {Promise<string>} - Safe, unused file name; the file exists and is empty
+ */
+export async function reserveUploadName(folder, originalName, takenNames = new Set()) {
+  const parsed = path.parse(path.basename(originalName));
+  const base = parsed.name.replace(/[^\w.\- ]/g, '_') || 'upload';
+  const ext = parsed.ext.toLowerCase();
+
+  await fs.mkdir(folder, { recursive: true });
+  let candidate = `${base}${ext}`;
+  for (let i = 1; ; i++) {
+    if (!takenNames.has(candidate)) {
+      try {
+        // wx fails if the file exists, so two uploads can't both claim the name
+        const handle = await fs.open(path.join(folder, candidate), 'wx');
+        await handle.close();
+        return candidate;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+    }
+    candidate = `${base}-${i}${ext}`;
+  }
+}
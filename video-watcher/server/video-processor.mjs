@@ -1,236 +1,342 @@
 import fs from 'fs/promises';
 import path from 'path';
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import { GoogleAIFileManager } from '@google/generative-ai/server';
-import { exec } from 'child_process';
+import { emitStage } from './processing-events.mjs';
+import { getProvider, MODELS } from './providers/index.mjs';
+import { generateStructured, StructuredOutputError } from './structured-output.mjs';
+import { prepareForUpload } from './media.mjs';
+import catalog from './catalog.mjs';
+import { normalizeSegments, formatTimestamp } from './segments.mjs';
+import { planChunksForFile, extractChunk } from './chunker.mjs';
+import promptRegistry from './prompt-registry.mjs';
 
-// Initialize Gemini AI - using the same approach as video folder project
-const key = process.env.VITE_GEMINI_API_KEY;
-const fileManager = new GoogleAIFileManager(key);
-const genAI = new GoogleGenerativeAI(key);
-
-// Export genAI for use in other modules
-export { genAI };
+// Model provider shared by all analysis calls
+const provider = getProvider();
 
 // Default model to use if not specified
-const DEFAULT_MODEL = 'gemini-2.0-flash';
+const DEFAULT_MODEL = MODELS.analysis;
 
-// Prompt template for video analysis
-const DEFAULT_PROMPT = `
-Analyze this video recording and provide a detailed description of:
-1. The content visible on the screen
-2. Any actions or activities being performed
-3. Key topics discussed or shown
-4. Transcribe any spoken content
+// Analysis granularity: summary (one description per recording) or segments (timestamped sections)
+export const ANALYSIS_MODE = process.env.VIDEO_ANALYSIS_MODE || 'summary';
 
-Structure your response as a JSON object with the following fields:
-{
-  "summary": "Detailed summary of the video",
-  "screenContent": "Description of what's visible on the screen",
-  "actions": "Description of actions performed",
-  "topics": ["topic1", "topic2"],
-  "transcript": "Transcription of speech",
-  "tags": ["tag1", "tag2"]
-}
-`;
+// Prompt (and structured output task) for each analysis mode
+const ANALYSIS_PROMPTS = {
+  summary: 'default-video-analysis',
+  segments: 'segment-video-analysis'
+};
 
-// Prompt template for insight inference directly from video
-const INFERENCE_PROMPT = `
-Analyze this screen recording to identify both explicit statements and infer the user's underlying mental state, intentions, and tacit knowledge. Go beyond the literal content to provide deeper insights.
+// Analysis modes, for validating requests
+export const ANALYSIS_MODES = Object.keys(ANALYSIS_PROMPTS);
 
-Focus on:
-1.  **Explicit Directives & Preferences:** Commands (implicit/explicit) for an AI, stated preferences, goals, or expressed frustrations.
-2.  **Inferred User State & Intentions:** Interpret the user's actions and words to deduce:
-    *   **Mental/Emotional State:** Signs of confusion, focus, frustration, satisfaction, contemplation, cognitive load, etc. (e.g., "User seems hesitant", "User sounds frustrated with the loading time").
-    *   **Underlying Goals/Motivations:** What is the user *really* trying to achieve, even if not stated? (e.g., "Appears to be learning [Software X]", "Trying to optimize their workflow for task Y").
-    *   **Unspoken Needs/Desires:** What might the user want or need based on their actions? (e.g., "User seems to be looking for a shortcut", "Might benefit from an explanation of [Concept Z]").
-    *   **Observed Workflow/Habits:** Patterns in how the user interacts with the system or performs tasks (e.g., "Prefers using keyboard shortcuts", "Methodically checks settings before proceeding", "Often multi-tasks between App A and App B").
-    *   **Potential Knowledge Gaps:** Areas where the user seems uncertain or lacks information (e.g., "Unsure how feature X works", "Searching for basic commands").
-    *   **Implied Opinions/Critiques:** Subtle judgments about tools, processes, or outcomes, even if not voiced directly (e.g., "Seems unimpressed by the tool's speed", "Appears to implicitly prefer Tool A over Tool B for this task").
-    *   **Withheld Recommendations/Ideas:** Potential improvements or alternative approaches the user might be considering but not stating (e.g., "Might be thinking about automating this step", "Considering a different tool for the next step").
+// Prompt for insight inference directly from video
+const INFERENCE_PROMPT = 'inference-video-analysis';
 
-Guidelines for analysis:
-1. Focus on making reasonable inferences based on evidence in the video
-2. Include a basis or reasoning for each inference to explain your thinking
-3. Rate your certainty for each insight (high/medium/low)
-4. Be specific and actionable rather than vague
-5. Look for patterns in the user's behavior, language, and screen interactions
+// Analysis runs kept per dataset entry; the oldest are dropped first, never the active one
+const MAX_ANALYSIS_RUNS = parseInt(process.env.MAX_ANALYSIS_RUNS, 10) || 10;
 
-Structure the response as a JSON object:
-{
-  "explicit_directives": [
-    { 
-      "command": "The specific instruction or command detected", 
-      "target": "What/who the command is directed to", 
-      "parameters": {"param1": "value1"}, 
-      "certainty": "high/medium/low", 
-      "context": "Description of when/how this directive was given" 
-    }
-  ],
-  "explicit_statements": [
-    { 
-      "statement": "The explicit statement made by the user", 
-      "type": "preference/goal/frustration/interest/question", 
-      "certainty": "high/medium/low", 
-      "context": "Description of when/how this statement was made" 
-    }
-  ],
-  "inferred_insights": [
-    { 
-      "insight": "The inferred insight about the user's state, goals, needs, etc.", 
-      "type": "mental_state/goal/need/workflow/knowledge_gap/opinion/withheld_idea", 
-      "basis": "The specific observation or pattern that led to this inference", 
-      "certainty": "high/medium/low" 
+/**
+ * Uploads a video file to the model provider for processing
+ * @param {string} filePath - Path to the file to upload
+ * @param {string} videoPath - Recording the file belongs to, used for progress events
+ * @returns {Promise<Object>} - Upload result
+ */
+async function uploadVideoFile(filePath, videoPath = filePath) {
+  try {
+    const fileName = path.basename(filePath);
+    
+    // Containers Gemini doesn't accept (e.g. MKV) are remuxed to a temporary MP4
+    emitStage('video', 'preparing', { videoPath });
+    const upload = await prepareForUpload(filePath);
+    
+    try {
+      const fileStats = await fs.stat(upload.uploadPath);
+      console.log(`Uploading ${fileName} (${upload.container}${upload.remuxed ? ', remuxed to mp4' : ''}, ${fileStats.size} bytes)...`);
+      emitStage('video', 'uploading', { videoPath, bytes: fileStats.size, container: upload.container });
+      
+      const uploadedFile = await provider.uploadFile(upload.uploadPath, {
+        displayName: fileName,
+        mimeType: upload.mimeType
+      });
+      
+      console.log(`Upload successful: ${uploadedFile.name}`);
+      emitStage('video', 'uploaded', { videoPath, fileName: uploadedFile.name });
+      return uploadedFile;
+    } finally {
+      await upload.cleanup();
     }
-  ],
-  "relevant_context_summary": "Brief summary of the video focusing on aspects most relevant to understanding the user's current state and goals."
+  } catch (error) {
+    console.error('Error uploading video:', error);
+    throw error;
+  }
 }
 
-If no significant explicit items or inferences can be made, return empty arrays for the respective fields but provide the context summary. Be specific in the 'basis' field for inferences.
-`;
-
 /**
- * Wait for a specified time
- * @param {number} ms - Time to wait in milliseconds
- * @returns {Promise<void>}
+ * Upload one file and run the analysis and inference prompts on it
+ * @param {string} filePath - File to analyze (the recording or one chunk of it)
+ * @param {Object} options
+ * @param {string} options.videoPath - Recording the file belongs to, used for progress events
+ * @param {string} options.mode - summary or segments
+ * @param {string} options.task - Task name of the analysis prompt
+ * @param {string} options.prompt - Analysis prompt
+ * @param {string} options.model - Model used for the analysis and inference prompts
+ * @param {boolean} options.inference - Whether to run the inference prompt
+ * @param {string} options.inferencePrompt - Inference prompt
+ * @returns {Promise<Object>} - Analysis results, with `error` set if no usable response came back.
+ *   Responses that had to be repaired or were rejected are listed in `parseFailures`.
  */
-const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+async function analyzeFile(filePath, { videoPath, mode, task, prompt, model, inference, inferencePrompt }) {
+  // Upload the video file
+  const uploadResult = await uploadVideoFile(filePath, videoPath);
+  
+  // Wait for file processing (checking progress)
+  console.log(`Checking progress for file ${uploadResult.name}...`);
+  emitStage('video', 'waiting_active', { videoPath, fileName: uploadResult.name });
+  await provider.waitUntilReady(uploadResult, {
+    onPoll: ({ state, attempt, waitTime }) => {
+      console.log(`File not ready (state: ${state}), waiting ${waitTime/1000}s before retry...`);
+      emitStage('video', 'waiting_active', {
+        videoPath,
+        fileName: uploadResult.name,
+        state,
+        attempt
+      });
+    }
+  });
+  
+  console.log(`Sending to ${provider.name} (model: ${model}) for basic analysis...`);
+  emitStage('video', 'analyzing', { videoPath, model, mode });
+  
+  let result;
+  try {
+    result = await generateStructured({
+      task,
+      model,
+      prompt,
+      file: uploadResult
+    });
+  } catch (error) {
+    if (!(error instanceof StructuredOutputError)) throw error;
+    
+    console.warn(`${error.message}, returning raw text`);
+    emitStage('video', 'analysis_failed', { videoPath, error: 'Response could not be parsed as JSON' });
+    return {
+      rawResponse: error.text,
+      text: error.text,
+      candidates: error.candidates,
+      feedback: error.feedback,
+      parseFailures: error.failures,
+      error: 'Response could not be parsed as JSON'
+    };
+  }
+  
+  console.log(`Response received from ${provider.name} for basic analysis`);
+  
+  if (mode === 'segments') {
+    result.data.segments = normalizeSegments(result.data.segments);
+    console.log(`Analysis split the video into ${result.data.segments.length} segments`);
+  }
+  
+  // Make a second API call for deeper insights using the same video file
+  let inferenceResult = {};
+  if (inference) {
+    console.log('Making second API call for deeper inference analysis...');
+    inferenceResult = await analyzeVideoForInsights(uploadResult, videoPath, model, inferencePrompt);
+  }
+  
+  // Combine both results
+  const { parseFailures: inferenceFailures = [], ...insights } = inferenceResult;
+  const parseFailures = [...result.failures, ...inferenceFailures];
+  return {
+    ...result.data,
+    ...insights,
+    text: result.text,
+    candidates: result.candidates,
+    feedback: result.feedback,
+    ...(parseFailures.length > 0 && { parseFailures })
+  };
+}
 
 /**
- * Checks the progress of file processing
- * @param {string} fileId - ID of the uploaded file
- * @returns {Promise<Object>} - File status information
+ * Decide whether a recording has to be split before analysis
+ * @param {string} filePath - Path to the video file
+ * @returns {Promise<Array<Object>>} - Chunks to analyze; a single chunk means no split
  */
-async function checkProgress(fileId) {
+async function planAnalysisChunks(filePath) {
   try {
-    const result = await fileManager.getFile(fileId);
-    return result;
+    return await planChunksForFile(filePath);
   } catch (error) {
-    console.error('Error checking file progress:', error);
-    return { error };
+    // Without ffprobe (or for unreadable files) fall back to analyzing the whole file
+    console.warn(`Could not probe ${path.basename(filePath)} for chunking, analyzing it in one piece: ${error.message}`);
+    return [];
   }
 }
 
 /**
- * Uploads a video file to Google AI for processing
+ * Analyze a long recording part by part
  * @param {string} filePath - Path to the video file
- * @returns {Promise<Object>} - Upload result
+ * @param {Array<Object>} chunks - Chunks from planChunks
+ * @param {Object} options - Same as analyzeFile, without videoPath
+ * @returns {Promise<Object>} - Merged analysis results
  */
-async function uploadVideoFile(filePath) {
-  try {
-    const fileName = path.basename(filePath);
-    const fileStats = await fs.stat(filePath);
-    console.log(`Uploading ${fileName} (${fileStats.size} bytes)...`);
-    
-    const uploadResult = await fileManager.uploadFile(filePath, {
-      displayName: fileName,
-      mimeType: 'video/mp4'
+async function analyzeInChunks(filePath, chunks, options) {
+  console.log(`Splitting ${path.basename(filePath)} into ${chunks.length} parts for analysis`);
+  emitStage('video', 'splitting', { videoPath: filePath, chunks: chunks.length });
+  
+  const results = [];
+  for (const chunk of chunks) {
+    emitStage('video', 'analyzing_chunk', {
+      videoPath: filePath,
+      chunk: chunk.index + 1,
+      chunks: chunks.length,
+      start: chunk.start,
+      end: chunk.end
     });
     
-    console.log(`Upload successful: ${uploadResult.file.name}`);
-    return uploadResult.file;
-  } catch (error) {
-    console.error('Error uploading video:', error);
+    let extracted;
+    try {
+      extracted = await extractChunk(filePath, chunk);
+      results.push(await analyzeFile(extracted.chunkPath, { ...options, videoPath: filePath }));
+    } catch (error) {
+      console.error(`Error analyzing part ${chunk.index + 1} of ${path.basename(filePath)}:`, error);
+      results.push({ error: error.message, errorCode: error.code || null });
+    } finally {
+      await extracted?.cleanup();
+    }
+  }
+  
+  return mergeChunkResults(chunks, results);
+}
+
+/**
+ * Combine the analyses of the parts of a recording into one.
+ * Segment times are shifted by the chunk offsets; in summary mode every part
+ * becomes one segment. Failed parts are listed in `chunks` and flag the
+ * result as `partial`; if every part failed an error is thrown.
+ * @param {Array<Object>} chunks - Chunks from planChunks
+ * @param {Array<Object>} results - Analysis result of each chunk
+ * @returns {Object} - Merged analysis results
+ */
+export function mergeChunkResults(chunks, results) {
+  const succeeded = chunks
+    .map((chunk, i) => ({ chunk, result: results[i] }))
+    .filter(({ result }) => !result.error);
+  
+  if (succeeded.length === 0) {
+    const error = new Error(`All ${chunks.length} parts failed to analyze: ${results[0]?.error}`);
+    // Parts that all failed the same way keep the code of that failure
+    const codes = new Set(results.map(result => result.errorCode || null));
+    if (codes.size === 1) error.code = [...codes][0];
     throw error;
   }
+  
+  const label = chunk => `Part ${chunk.index + 1} (${formatTimestamp(chunk.start)}-${formatTimestamp(chunk.end)})`;
+  const joinText = field => succeeded
+    .filter(({ result }) => result[field])
+    .map(({ chunk, result }) => `${label(chunk)}: ${result[field]}`)
+    .join('\n\n');
+  const unionList = field => {
+    const seen = new Map();
+    for (const { result } of succeeded) {
+      for (const item of Array.isArray(result[field]) ? result[field] : []) {
+        if (typeof item === 'string' && !seen.has(item.toLowerCase())) seen.set(item.toLowerCase(), item);
+      }
+    }
+    return [...seen.values()];
+  };
+  const concatList = field => succeeded.flatMap(({ chunk, result }) =>
+    (Array.isArray(result[field]) ? result[field] : [])
+      .filter(item => item && typeof item === 'object')
+      .map(item => ({ ...item, chunk: chunk.index + 1 })));
+  
+  // Segments from the overlap that the previous part already covered are dropped
+  const segments = [];
+  succeeded.forEach(({ chunk, result }) => {
+    const chunkSegments = Array.isArray(result.segments) && result.segments.length > 0
+      ? result.segments.map(segment => ({ ...segment, start: segment.start + chunk.start, end: Math.min(segment.end + chunk.start, chunk.end) }))
+      : [{ start: chunk.start, end: chunk.end, summary: result.summary || '', transcript: result.transcript || '', actions: result.actions || '' }];
+    const coveredUntil = segments.length > 0 ? segments[segments.length - 1].end : 0;
+    segments.push(...chunkSegments.filter(segment => segments.length === 0 || segment.end > coveredUntil));
+  });
+  
+  const failed = chunks.filter((chunk, i) => results[i].error);
+  // Failed parts keep their parse failures too, they explain why the part failed
+  const parseFailures = results.flatMap((result, i) =>
+    (result.parseFailures || []).map(failure => ({ ...failure, chunk: chunks[i].index + 1 })));
+  
+  return {
+    summary: joinText('summary'),
+    screenContent: joinText('screenContent'),
+    actions: joinText('actions'),
+    topics: unionList('topics'),
+    transcript: joinText('transcript'),
+    tags: unionList('tags'),
+    segments,
+    explicit_directives: concatList('explicit_directives'),
+    explicit_statements: concatList('explicit_statements'),
+    inferred_insights: concatList('inferred_insights'),
+    relevant_context_summary: joinText('relevant_context_summary'),
+    chunks: chunks.map((chunk, i) => ({
+      index: chunk.index,
+      start: chunk.start,
+      end: chunk.end,
+      status: results[i].error ? 'failed' : 'ok',
+      ...(results[i].error && { error: results[i].error })
+    })),
+    ...(parseFailures.length > 0 && { parseFailures }),
+    ...(failed.length > 0 && { partial: true })
+  };
 }
 
 /**
- * Analyzes a video using Google Gemini
+ * Analyzes a video using the configured model provider.
+ * Recordings over the chunk duration or size limits are split and analyzed part by part.
  * @param {string} filePath - Path to the video file
- * @param {string} customPrompt - Optional custom prompt
- * @returns {Promise<Object>} - Analysis results
+ * @param {string|null} promptId - Optional id of a registered prompt that replaces the prompt of the mode,
+ *   e.g. folder:<name> for a watch folder's prompt
+ * @param {Object} options
+ * @param {string} [options.mode] - summary or segments (default VIDEO_ANALYSIS_MODE)
+ * @param {string} [options.model] - Model to use (default ANALYSIS_MODEL)
+ * @param {boolean} [options.inference] - Run the inference prompt for directives and insights (default true)
+ * @returns {Promise<Object>} - Analysis results, with the model, mode and the id and version of each prompt used
  */
-export async function analyzeVideo(filePath, customPrompt = DEFAULT_PROMPT) {
+export async function analyzeVideo(filePath, promptId, { mode = ANALYSIS_MODE, model = DEFAULT_MODEL, inference = true } = {}) {
   try {
-    // Upload the video file
-    const uploadResult = await uploadVideoFile(filePath);
-    
-    // Wait for file processing (checking progress)
-    console.log(`Checking progress for file ${uploadResult.name}...`);
-    let isReady = false;
-    let retryCount = 0;
-    const baseWaitTime = 2000; // Start with 2 second wait
-    
-    while (!isReady) {
-      const progress = await checkProgress(uploadResult.name);
-      console.log(`File status: ${JSON.stringify(progress)}`);
-      
-      if (progress.state === 'ACTIVE') {
-        isReady = true;
-        break;
-      }
-      
-      // Calculate wait time with exponential backoff, capped at 30 seconds
-      const waitTime = Math.min(baseWaitTime * Math.pow(1.5, retryCount), 30000);
-      console.log(`File not ready, waiting ${waitTime/1000}s before retry...`);
-      await wait(waitTime);
-      retryCount++;
+    const task = ANALYSIS_PROMPTS[mode];
+    if (!task) {
+      throw new Error(`Unknown analysis mode: ${mode}`);
     }
     
-    // Create request for Gemini for basic video analysis
-    const req = [
-      { text: customPrompt },
-      {
-        fileData: {
-          mimeType: uploadResult.mimeType,
-          fileUri: uploadResult.uri
-        }
-      }
-    ];
+    // Rendered once, so every chunk of a long recording uses the same versions
+    const analysisPrompt = promptRegistry.render(promptId || task);
+    const inferencePrompt = inference ? promptRegistry.render(INFERENCE_PROMPT) : null;
     
-    console.log(`Sending to Gemini (model: ${DEFAULT_MODEL}) for basic analysis...`);
-    const result = await genAI.getGenerativeModel({ model: DEFAULT_MODEL }).generateContent(req);
+    const options = { mode, model, inference, task, prompt: analysisPrompt.text, inferencePrompt: inferencePrompt?.text };
+    const chunks = await planAnalysisChunks(filePath);
     
-    console.log('Response received from Gemini for basic analysis');
-    const responseText = result.response.text();
+    const result = chunks.length > 1
+      ? await analyzeInChunks(filePath, chunks, options)
+      : await analyzeFile(filePath, { ...options, videoPath: filePath });
     
-    // Try to parse the JSON response
-    try {
-      // The response might have markdown formatting with JSON inside ```json blocks
-      let jsonStr = responseText;
-      
-      // Check if response is wrapped in markdown code blocks
-      const jsonMatch = responseText.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
-      if (jsonMatch && jsonMatch[1]) {
-        jsonStr = jsonMatch[1];
-      }
-      
-      const parsedResponse = JSON.parse(jsonStr);
-      
-      // Make a second API call for deeper insights using the same video file
-      console.log('Making second API call for deeper inference analysis...');
-      const inferenceResult = await analyzeVideoForInsights(uploadResult);
-      
-      // Combine both results
-      const enhancedResponse = {
-        ...parsedResponse,
-        ...inferenceResult
-      };
-      
-      return {
-        ...enhancedResponse,
-        text: responseText,
-        candidates: result.response.candidates,
-        feedback: result.response.promptFeedback
-      };
-    } catch (parseError) {
-      console.warn('Could not parse response as JSON, returning raw text');
-      return {
-        rawResponse: responseText,
-        text: responseText,
-        candidates: result.response.candidates,
-        feedback: result.response.promptFeedback,
-        error: 'Response could not be parsed as JSON'
-      };
+    result.model = model;
+    result.mode = mode;
+    result.prompts = {
+      analysis: { id: analysisPrompt.id, version: analysisPrompt.version },
+      ...(inferencePrompt && { inference: { id: inferencePrompt.id, version: inferencePrompt.version } })
+    };
+    
+    if (!result.error) {
+      emitStage('video', 'analysis_complete', { videoPath: filePath, partial: Boolean(result.partial) });
     }
+    
+    return result;
   } catch (error) {
     console.error('Error analyzing video:', error);
+    emitStage('video', 'analysis_failed', { videoPath: filePath, error: error.message });
     
     // Return a simplified response with the error for testing
     return {
       error: error.message,
-      summary: "Error processing video with Gemini",
+      errorCode: error.code || null,
+      summary: `Error processing video with ${provider.name}`,
       screenContent: "Could not analyze screen content due to API error",
       actions: "No actions detected due to processing error",
       topics: ["error", "processing failed"],
@@ -242,58 +348,50 @@ export async function analyzeVideo(filePath, customPrompt = DEFAULT_PROMPT) {
 
 /**
  * Analyzes a video to infer explicit directives and deeper insights
- * @param {Object} uploadedFile - The uploaded file object from Gemini API
- * @returns {Promise<Object>} - Analysis results with explicit and inferred information
+ * @param {Object} uploadedFile - The uploaded file object from the model provider
+ * @param {string} filePath - Path to the local video file, used for progress events
+ * @param {string} model - Model to use
+ * @param {string} prompt - Rendered inference prompt
+ * @returns {Promise<Object>} - Analysis results with explicit and inferred information, and
+ *   `parseFailures` when responses had to be repaired or were rejected
  */
-async function analyzeVideoForInsights(uploadedFile) {
+async function analyzeVideoForInsights(uploadedFile, filePath, model, prompt) {
   try {
     console.log('Analyzing video for explicit directives and inferred insights...');
-    
-    // Create request for Gemini with inference prompt
-    const req = [
-      { text: INFERENCE_PROMPT },
-      {
-        fileData: {
-          mimeType: uploadedFile.mimeType,
-          fileUri: uploadedFile.uri
-        }
-      }
-    ];
+    emitStage('video', 'inferring', { videoPath: filePath, model });
     
     // Use the same model for both analyses
-    const model = genAI.getGenerativeModel({ model: DEFAULT_MODEL });
-    
-    // Generate inference analysis
-    console.log(`Sending to Gemini (model: ${DEFAULT_MODEL}) for inference analysis...`);
-    const result = await model.generateContent(req);
-    const responseText = result.response.text();
+    console.log(`Sending to ${provider.name} (model: ${model}) for inference analysis...`);
     
     try {
-      // Try to parse the JSON response (handling both raw JSON and markdown-wrapped JSON)
-      let jsonStr = responseText;
-      const jsonMatch = responseText.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
-      if (jsonMatch && jsonMatch[1]) {
-        jsonStr = jsonMatch[1];
-      }
-      
-      const inferenceResult = JSON.parse(jsonStr);
+      const result = await generateStructured({
+        task: INFERENCE_PROMPT,
+        model,
+        prompt,
+        file: uploadedFile
+      });
       console.log('Successfully parsed inference analysis');
       
-      return inferenceResult;
+      return result.failures.length > 0 ? { ...result.data, parseFailures: result.failures } : result.data;
     } catch (parseError) {
-      console.error('Error parsing inference analysis:', parseError);
-      console.log('Raw inference response:', responseText);
+      if (!(parseError instanceof StructuredOutputError)) throw parseError;
+      
+      console.error('Error parsing inference analysis:', parseError.message);
+      console.log('Raw inference response:', parseError.text);
+      emitStage('video', 'inference_failed', { videoPath: filePath, error: 'Error parsing inference analysis' });
       
       // Return default structure with empty arrays if parsing fails
       return {
         explicit_directives: [],
         explicit_statements: [],
         inferred_insights: [],
-        relevant_context_summary: "Error parsing inference analysis"
+        relevant_context_summary: "Error parsing inference analysis",
+        parseFailures: parseError.failures
       };
     }
   } catch (error) {
     console.error('Error analyzing video for insights:', error);
+    emitStage('video', 'inference_failed', { videoPath: filePath, error: error.message });
     
     // Return default structure with empty arrays if analysis fails
     return {
@@ -306,40 +404,153 @@ async function analyzeVideoForInsights(uploadedFile) {
 }
 
 /**
- * Saves analysis results to the dataset
+ * Wrap an analysis result as a run of the entry's analysis history
+ * @param {Object} analysisResult - Result of analyzeVideo
+ * @param {string} createdAt - ISO timestamp
+ * @returns {Object} - { id, createdAt, model, mode, prompts, status, error, analysis }
+ */
+function createRun(analysisResult, createdAt) {
+  return {
+    id: `run_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+    createdAt,
+    model: analysisResult.model || null,
+    mode: analysisResult.mode || null,
+    prompts: analysisResult.prompts || null,
+    status: analysisResult.error ? 'failed' : analysisResult.partial ? 'partial' : 'ok',
+    error: analysisResult.error || null,
+    analysis: analysisResult
+  };
+}
+
+/**
+ * List the analysis runs of an entry. Entries saved before runs were kept
+ * get a single run holding their analysis.
+ * @param {Object} entry - Dataset entry, as stored in its JSON file
+ * @returns {Array<Object>} - Runs, oldest first
+ */
+export function listRuns(entry) {
+  if (Array.isArray(entry.runs)) return entry.runs;
+  if (!entry.analysis) return [];
+  const { analysis } = entry;
+  return [{
+    id: 'run_initial',
+    createdAt: entry.processedAt || null,
+    model: analysis.model || null,
+    mode: analysis.mode || null,
+    prompts: analysis.prompts || null,
+    status: analysis.error ? 'failed' : analysis.partial ? 'partial' : 'ok',
+    error: analysis.error || null,
+    analysis
+  }];
+}
+
+/**
+ * Drop the oldest runs over MAX_ANALYSIS_RUNS, keeping the active one
+ * @param {Array<Object>} runs - Runs, oldest first
+ * @param {string} activeRunId - Id of the active run
+ * @returns {Array<Object>}
+ */
+function pruneRuns(runs, activeRunId) {
+  let excess = runs.length - MAX_ANALYSIS_RUNS;
+  return runs.filter(run => {
+    if (excess <= 0 || run.id === activeRunId) return true;
+    excess--;
+    return false;
+  });
+}
+
+/**
+ * Fields of an entry that follow its active run
+ * @param {Object} run - Analysis run
+ * @returns {Object} - activeRunId, analysis and inferred_insights
+ */
+function activeRunFields(run) {
+  return {
+    activeRunId: run.id,
+    analysis: run.analysis,
+    // Include inferred insights in the dataset entry if available
+    inferred_insights: run.analysis.inferred_insights || []
+  };
+}
+
+/**
+ * Saves analysis results to the dataset. The results are added as a new run
+ * to the video's entry, which keeps its id; the new run becomes the active one
+ * unless it failed and the entry already has a successful run.
  * @param {string} videoPath - Path to the original video
- * @param {Object} analysisResult - Analysis results from Gemini
+ * @param {Object} analysisResult - Analysis results from the model provider
  * @param {string} datasetFolder - Path to the dataset folder
+ * @param {Object} [details]
+ * @param {Object} [details.media] - Technical metadata from probeMedia
+ * @param {string} [details.fingerprint] - Content fingerprint from computeFingerprint
+ * @param {Object} [details.source] - { name, path } of the watch folder the video came from
+ * @returns {Promise<Object>} - { success, id, datasetPath, runId, active } where id is the entry's
+ *   and active tells whether the new run became the active one
  */
-export async function saveToDataset(videoPath, analysisResult, datasetFolder) {
+export async function saveToDataset(videoPath, analysisResult, datasetFolder, { media, fingerprint, source } = {}) {
   try {
     const videoFileName = path.basename(videoPath);
     const timestamp = new Date().toISOString();
     
-    // Create a dataset entry
+    // Reanalysis adds to the video's entry (which may have been named after an earlier
+    // file name); a recording with the same name from another folder gets its own
+    const baseName = path.parse(videoFileName).name;
+    const existing = catalog.findByVideoPath(videoPath);
+    let jsonFileName = existing?.jsonFile || `${baseName}.json`;
+    for (let i = 2; !existing && catalog.get(jsonFileName); i++) {
+      jsonFileName = `${baseName}-${i}.json`;
+    }
+    const jsonPath = path.join(datasetFolder, jsonFileName);
+    
+    // The catalog lists runs without their results, so the history comes from the file
+    let previous = null;
+    if (existing) {
+      try {
+        previous = JSON.parse(await fs.readFile(jsonPath, 'utf-8'));
+      } catch (error) {
+        console.warn(`Could not read the previous analyses of ${videoFileName}:`, error.message);
+      }
+    }
+    
+    const run = createRun(analysisResult, timestamp);
+    const previousRuns = previous ? listRuns(previous) : [];
+    const currentRun = previousRuns.find(r => r.id === previous?.activeRunId) || previousRuns[previousRuns.length - 1];
+    const activeRun = run.status === 'failed' && currentRun && currentRun.status !== 'failed' ? currentRun : run;
+    
+    // Create a dataset entry. A reanalysis keeps everything else the entry records about
+    // the recording, such as its images, aliases and relink history.
     const datasetEntry = {
-      id: `video_${Date.now()}`,
+      ...previous,
+      // Images are named after the id, so two recordings saved at once must not share one
+      id: previous?.id || `video_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
       videoFileName: videoFileName,
       videoPath: videoPath,
-      processedAt: timestamp,
-      analysis: analysisResult,
-      // Include inferred insights in the dataset entry if available
-      inferred_insights: analysisResult.inferred_insights || []
+      // processedAt stays the time of the first analysis
+      processedAt: previous?.processedAt || timestamp,
+      ...(previous && { reanalyzedAt: timestamp }),
+      source: source || null,
+      fingerprint: fingerprint || previous?.fingerprint || null,
+      media: media || previous?.media || null,
+      ...activeRunFields(activeRun),
+      runs: pruneRuns([...previousRuns, run], activeRun.id)
     };
     
     // Save to the dataset folder
-    const jsonFileName = `${path.parse(videoFileName).name}.json`;
-    const jsonPath = path.join(datasetFolder, jsonFileName);
-    
     await fs.writeFile(
       jsonPath, 
       JSON.stringify(datasetEntry, null, 2), 
       'utf-8'
     );
     
+    // Keep the catalog in step with the JSON file
+    await catalog.upsertEntry(jsonPath, datasetEntry);
+    
     return {
       success: true,
-      datasetPath: jsonPath
+      id: datasetEntry.id,
+      datasetPath: jsonPath,
+      runId: run.id,
+      active: activeRun === run
     };
   } catch (error) {
     console.error('Error saving to dataset:', error);
@@ -348,22 +559,40 @@ export async function saveToDataset(videoPath, analysisResult, datasetFolder) {
 }
 
 /**
- * Generate a thumbnail at 5 seconds into the video using ffmpeg
- * @param {string} videoPath - Path to the video file
- * @param {string} thumbnailPath - Path to save the generated thumbnail image
- * @returns {Promise<void>} Resolves when the thumbnail is created
+ * Read the analysis runs of a saved entry, with their results
+ * @param {string} jsonPath - Path of the entry's JSON file
+ * @returns {Promise<Object>} - { activeRunId, runs }
  */
-export function generateThumbnail(videoPath, thumbnailPath) {
-  return new Promise((resolve, reject) => {
-    // -ss 5 seeks to 5 seconds, -vframes 1 outputs one frame
-    const cmd = `ffmpeg -y -ss 5 -i "${videoPath}" -vframes 1 -vf "scale=320:-1" "${thumbnailPath}"`;
-    exec(cmd, (error, stdout, stderr) => {
-      if (error) {
-        console.error('Error generating thumbnail:', error, stderr);
-        reject(error);
-      } else {
-        resolve();
-      }
-    });
-  });
-} 
\ No newline at end of file
+export async function readRuns(jsonPath) {
+  const entry = JSON.parse(await fs.readFile(jsonPath, 'utf-8'));
+  const runs = listRuns(entry);
+  return { activeRunId: entry.activeRunId || runs[runs.length - 1]?.id || null, runs };
+}
+
+/**
+ * Make one of an entry's runs the active one: its results become the entry's analysis
+ * @param {string} jsonPath - Path of the entry's JSON file
+ * @param {string} runId - Id of the run
+ * @returns {Promise<Object|null>} - The updated entry, or null when there is no such run
+ */
+export async function setActiveRun(jsonPath, runId) {
+  const { runs } = await readRuns(jsonPath);
+  const run = runs.find(r => r.id === runId);
+  if (!run) return null;
+  // Entries from before runs were kept get their history written out
+  return updateDatasetEntry(jsonPath, { ...activeRunFields(run), runs });
+}
+
+/**
+ * Change fields of a saved dataset entry
+ * @param {string} jsonPath - Path of the entry's JSON file
+ * @param {Object} changes - Top-level fields to set
+ * @returns {Promise<Object>} - The updated entry
+ */
+export async function updateDatasetEntry(jsonPath, changes) {
+  const entry = JSON.parse(await fs.readFile(jsonPath, 'utf-8'));
+  Object.assign(entry, changes);
+  await fs.writeFile(jsonPath, JSON.stringify(entry, null, 2), 'utf-8');
+  await catalog.upsertEntry(jsonPath, entry);
+  return entry;
+}
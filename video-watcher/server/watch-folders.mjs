@@ -0,0 +1,194 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { isVideoFile } from './media.mjs';
+import { isInside } from './safe-path.mjs';
+
+// JSON file listing the watch folders; without it only VIDEO_WATCH_FOLDER is watched
+const WATCH_CONFIG_PATH = path.resolve(process.env.WATCH_CONFIG || 'watch-folders.json');
+
+const ANALYSIS_MODES = ['summary', 'segments'];
+
+/**
+ * Settings of a folder that doesn't override them: every video file, no sub folders,
+ * the default prompt, mode and model, with the inference pass and memory ingestion
+ */
+export const DEFAULT_FOLDER_SETTINGS = {
+  patterns: ['*'],
+  depth: 0,
+  prompt: null,
+  promptFile: null,
+  mode: null,
+  model: null,
+  inference: true,
+  memory: true
+};
+
+/**
+ * Turn a file name pattern with * and ? wildcards into a regular expression
+ * @param {string} pattern - e.g. "*.mkv" or "meeting-*"
+ * @returns {RegExp} - Case-insensitive, matches the whole name
+ */
+function globToRegExp(pattern) {
+  const source = pattern
+    .split('')
+    .map(char => (char === '*' ? '.*' : char === '?' ? '.' : char.replace(/[.+^${}()|[\]\\]/g, '\\$&')))
+    .join('');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Validate one folder from the config file and fill in the defaults
+ * @param {Object} folder - Folder as written in the config
+ * @param {string} baseDir - Folder of the config file; relative paths start there
+ * @returns {Promise<Object>} - Folder settings
+ * @throws {Error} - When a setting is invalid
+ */
+async function normalizeFolder(folder, baseDir) {
+  const label = folder?.name || folder?.path || 'folder';
+  const fail = message => {
+    throw new Error(`Invalid watch folder "${label}": ${message}`);
+  };
+
+  if (!folder || typeof folder.path !== 'string' || !folder.path) fail('path is required');
+  if (folder.name !== undefined && typeof folder.name !== 'string') fail('name must be a string');
+  if (folder.patterns !== undefined &&
+      (!Array.isArray(folder.patterns) || folder.patterns.some(pattern => typeof pattern !== 'string'))) {
+    fail('patterns must be a list of file name patterns');
+  }
+  if (folder.depth !== undefined && (!Number.isInteger(folder.depth) || folder.depth < 0)) {
+    fail('depth must be a non-negative integer');
+  }
+  if (folder.mode !== undefined && !ANALYSIS_MODES.includes(folder.mode)) {
+    fail(`mode must be one of: ${ANALYSIS_MODES.join(', ')}`);
+  }
+  if (folder.model !== undefined && typeof folder.model !== 'string') fail('model must be a string');
+  for (const key of ['inference', 'memory']) {
+    if (folder[key] !== undefined && typeof folder[key] !== 'boolean') fail(`${key} must be true or false`);
+  }
+
+  if (folder.prompt !== undefined && folder.prompt !== null && typeof folder.prompt !== 'string') {
+    fail('prompt must be a string');
+  }
+  // The file is read by the prompt registry, which also reloads it when it changes
+  let promptFile = null;
+  if (folder.promptFile) {
+    promptFile = path.resolve(baseDir, folder.promptFile);
+    try {
+      await fs.access(promptFile);
+    } catch (error) {
+      fail(`could not read promptFile ${promptFile}: ${error.message}`);
+    }
+  }
+
+  const folderPath = path.resolve(baseDir, folder.path);
+  return {
+    ...DEFAULT_FOLDER_SETTINGS,
+    ...folder,
+    name: folder.name || path.basename(folderPath),
+    path: folderPath,
+    prompt: promptFile ? null : folder.prompt ?? null,
+    promptFile
+  };
+}
+
+/**
+ * Build the settings of a single folder without a config file
+ * @param {string} folderPath - Folder to watch
+ * @param {string} name - Name recorded as the source of its entries
+ * @returns {Object} - Folder settings
+ */
+export function createFolder(folderPath, name) {
+  return { ...DEFAULT_FOLDER_SETTINGS, name, path: path.resolve(folderPath) };
+}
+
+/**
+ * Load the watch folders from the config file
+ * @param {string} fallbackPath - Folder watched when there is no config file
+ * @returns {Promise<Array<Object>>} - Folder settings
+ * @throws {Error} - When the config file is invalid
+ */
+export async function loadWatchFolders(fallbackPath) {
+  let config;
+  try {
+    config = JSON.parse(await fs.readFile(WATCH_CONFIG_PATH, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [createFolder(fallbackPath, 'default')];
+    }
+    throw new Error(`Could not read watch folder config ${WATCH_CONFIG_PATH}: ${error.message}`);
+  }
+
+  if (!Array.isArray(config.folders) || config.folders.length === 0) {
+    throw new Error(`Watch folder config ${WATCH_CONFIG_PATH} must list at least one folder in "folders"`);
+  }
+
+  const baseDir = path.dirname(WATCH_CONFIG_PATH);
+  const folders = [];
+  for (const folder of config.folders) {
+    folders.push(await normalizeFolder(folder, baseDir));
+  }
+
+  const names = folders.map(folder => folder.name);
+  const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+  if (duplicate) {
+    throw new Error(`Watch folder name "${duplicate}" is used more than once`);
+  }
+
+  console.log(`Loaded ${folders.length} watch folders from ${WATCH_CONFIG_PATH}`);
+  return folders;
+}
+
+/**
+ * Check whether a file belongs to a watch folder: inside it, within its depth and matching its patterns
+ * @param {Object} folder - Folder settings
+ * @param {string} filePath - Path to a file
+ * @returns {boolean}
+ */
+export function matchesWatchFolder(folder, filePath) {
+  const resolved = path.resolve(filePath);
+  if (resolved === folder.path || !isInside(folder.path, resolved)) return false;
+
+  const relative = path.relative(folder.path, resolved);
+
+  const segments = relative.split(path.sep);
+  if (segments.length - 1 > folder.depth) return false;
+
+  const fileName = segments[segments.length - 1];
+  return isVideoFile(fileName) && folder.patterns.some(pattern => globToRegExp(pattern).test(fileName));
+}
+
+/**
+ * Find the watch folder a file belongs to
+ * @param {Array<Object>} folders - Folder settings
+ * @param {string} filePath - Path to a file
+ * @returns {Object|null} - The most specific matching folder
+ */
+export function findWatchFolder(folders, filePath) {
+  return folders
+    .filter(folder => matchesWatchFolder(folder, filePath))
+    .sort((a, b) => b.path.length - a.path.length)[0] || null;
+}
+
+/**
+ * List the video files in a watch folder, down to its depth
+ * @param {Object} folder - Folder settings
+ * @returns {Promise<Array<string>>} - Paths of matching files
+ */
+export async function listWatchFolderVideos(folder) {
+  const files = [];
+  const walk = async (dir, depth) => {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    for (const entry of entries) {
+      // Hidden files and folders are ignored, like the watcher does
+      if (entry.name.startsWith('.')) continue;
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory() && depth < folder.depth) {
+        await walk(entryPath, depth + 1);
+      } else if (entry.isFile() && matchesWatchFolder(folder, entryPath)) {
+        files.push(entryPath);
+      }
+    }
+  };
+  await walk(folder.path, 0);
+  return files;
+}
@@ -1,6 +1,59 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { getStatus, getVideos, getMemoryState, queryMemory, searchVideos } from './api';
+import {
+  getStatus,
+  getVideos,
+  getOrphans,
+  relinkVideo,
+  archiveVideo,
+  purgeVideo,
+  getMemoryState,
+  queryMemory,
+  searchVideos,
+  subscribeToEvents
+} from './api';
+import ProcessingPanel from './components/ProcessingPanel.jsx';
+import UploadArea from './components/UploadArea.jsx';
+import VideoPreview from './components/VideoPreview.jsx';
+import { formatTimestamp, formatMediaInfo } from './format';
+
+const VIDEOS_PER_PAGE = 12;
+
+const SNIPPET_FIELD_LABELS = {
+  summary: 'Summary',
+  topics: 'Topics',
+  tags: 'Tags',
+  transcript: 'Transcript',
+  screenContent: 'Screen',
+  inferred_insights: 'Insights'
+};
+
+// Render snippet text with the [start, end) ranges in highlights wrapped in <mark>
+function HighlightedText({ text, highlights }) {
+  const parts = [];
+  let position = 0;
+  highlights.forEach(([start, end], index) => {
+    if (start > position) parts.push(text.slice(position, start));
+    parts.push(<mark key={index}>{text.slice(start, end)}</mark>);
+    position = end;
+  });
+  parts.push(text.slice(position));
+  return <>{parts}</>;
+}
+
+// Filters of the Videos tab, all empty meaning "everything"
+const EMPTY_FILTERS = {
+  from: '', to: '', tag: '', topic: '', status: '',
+  minDuration: '', maxDuration: '', minHeight: '', codec: '', hasAudio: '', orphaned: ''
+};
+
+// Length filter choices as min-max seconds (either side may be empty)
+const LENGTH_FILTERS = [
+  { value: '-', label: 'Any' },
+  { value: '-300', label: 'Under 5 min' },
+  { value: '300-1800', label: '5-30 min' },
+  { value: '1800-', label: 'Over 30 min' }
+];
 
 function App() {
   const navigate = useNavigate();
@@ -14,17 +67,62 @@ function App() {
   const [memoryResponse, setMemoryResponse] = useState('');
   const [queryLoading, setQueryLoading] = useState(false);
   
+  // Live processing state
+  const [jobs, setJobs] = useState([]);
+  const [jobCounts, setJobCounts] = useState(null);
+  const [memoryStage, setMemoryStage] = useState(null);
+  // Bumped whenever the server reports finished work, to reload the affected data
+  const [refreshKey, setRefreshKey] = useState(0);
+  
   // Search state
   const [searchQuery, setSearchQuery] = useState('');
   const [searchResults, setSearchResults] = useState([]);
+  const [searchMode, setSearchMode] = useState('hybrid');
   const [searchLoading, setSearchLoading] = useState(false);
   const [searchError, setSearchError] = useState(null);
 
   const [currentPage, setCurrentPage] = useState(1);
   const [sortOrder, setSortOrder] = useState('desc'); // 'desc' for most recent, 'asc' for oldest
-  const VIDEOS_PER_PAGE = 12;
+  const [totalVideos, setTotalVideos] = useState(0);
+  const [totalPages, setTotalPages] = useState(0);
+  // Filters being edited in the form, and the ones applied to the listing
+  const [filterDraft, setFilterDraft] = useState(EMPTY_FILTERS);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  // Number of analyses whose recording is missing
+  const [orphanCount, setOrphanCount] = useState(0);
+
+  // Subscribe to live processing events instead of polling
+  useEffect(() => {
+    const unsubscribe = subscribeToEvents({
+      onSnapshot: (data) => {
+        setJobs(data.jobs);
+        setJobCounts(data.counts);
+      },
+      onJob: ({ job, counts }) => {
+        setJobs(prev => [job, ...prev.filter(j => j.id !== job.id)]
+          .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt)));
+        setJobCounts(counts);
+        if (job.status === 'succeeded' || job.status === 'failed') {
+          setRefreshKey(key => key + 1);
+        }
+      },
+      onStage: (event) => {
+        // Recordings that went missing or were found again change the video list
+        if (event.scope === 'video' && (event.stage === 'orphaned' || event.stage === 'relinked')) {
+          setRefreshKey(key => key + 1);
+        }
+        if (event.scope !== 'memory') return;
+        setMemoryStage(event.stage.replace(/_/g, ' '));
+        if (event.stage === 'wm_updated' || event.stage === 'ltm_updated') {
+          setRefreshKey(key => key + 1);
+        }
+      }
+    });
+    
+    return unsubscribe;
+  }, []);
 
-  // Fetch server status and videos on component mount
+  // Fetch server status and videos on mount and whenever processing finishes
   useEffect(() => {
     async function fetchData() {
       try {
@@ -32,8 +130,18 @@ function App() {
         const statusData = await getStatus();
         setStatus(statusData);
         
-        const videosData = await getVideos();
-        setVideos(videosData);
+        const videosData = await getVideos({
+          page: currentPage,
+          limit: VIDEOS_PER_PAGE,
+          sort: sortOrder,
+          ...filters
+        });
+        setVideos(videosData.videos);
+        setTotalVideos(videosData.total);
+        setTotalPages(videosData.totalPages);
+        
+        const orphansData = await getOrphans();
+        setOrphanCount(orphansData.total);
         
         // Fetch memory state
         if (activeTab === 'memory') {
@@ -51,12 +159,83 @@ function App() {
     }
 
     fetchData();
-    
-    // Poll for updates every 10 seconds
-    const intervalId = setInterval(fetchData, 10000);
-    
-    return () => clearInterval(intervalId);
-  }, [activeTab]);
+  }, [activeTab, refreshKey, currentPage, sortOrder, filters]);
+
+  // Apply the filter form and go back to the first page
+  const handleFilterSubmit = (e) => {
+    e.preventDefault();
+    setFilters(filterDraft);
+    setCurrentPage(1);
+  };
+
+  const handleFilterClear = () => {
+    setFilterDraft(EMPTY_FILTERS);
+    setFilters(EMPTY_FILTERS);
+    setCurrentPage(1);
+  };
+
+  const updateFilterDraft = (key) => (e) => {
+    const value = e.target.value;
+    setFilterDraft(prev => ({ ...prev, [key]: value }));
+  };
+
+  const updateLengthDraft = (e) => {
+    const [minDuration, maxDuration] = e.target.value.split('-');
+    setFilterDraft(prev => ({ ...prev, minDuration, maxDuration }));
+  };
+
+  const hasFilters = Object.values(filters).some(Boolean);
+
+  // List only the analyses whose recording is missing
+  const showOrphans = () => {
+    const orphanFilters = { ...EMPTY_FILTERS, orphaned: 'true' };
+    setFilterDraft(orphanFilters);
+    setFilters(orphanFilters);
+    setCurrentPage(1);
+    setActiveTab('videos');
+  };
+
+  // Link an orphaned analysis to the recording's new location
+  const handleRelink = async (video) => {
+    const videoPath = window.prompt(`New location of ${video.videoFileName}:`, video.videoPath);
+    if (!videoPath) return;
+    try {
+      await relinkVideo(video.id, videoPath);
+    } catch (err) {
+      if (err.status !== 409 || !err.message.includes('different content')) {
+        window.alert(err.message);
+        return;
+      }
+      if (!window.confirm(`${err.message.split(';')[0]}. Link it anyway?`)) return;
+      try {
+        await relinkVideo(video.id, videoPath, true);
+      } catch (forceErr) {
+        window.alert(forceErr.message);
+        return;
+      }
+    }
+    setRefreshKey(key => key + 1);
+  };
+
+  const handleArchive = async (video) => {
+    if (!window.confirm(`Archive the analysis of ${video.videoFileName}? It is moved out of the dataset folder.`)) return;
+    try {
+      await archiveVideo(video.id);
+      setRefreshKey(key => key + 1);
+    } catch (err) {
+      window.alert(err.message);
+    }
+  };
+
+  const handlePurge = async (video) => {
+    if (!window.confirm(`Delete the analysis of ${video.videoFileName} for good?`)) return;
+    try {
+      await purgeVideo(video.id);
+      setRefreshKey(key => key + 1);
+    } catch (err) {
+      window.alert(err.message);
+    }
+  };
 
   // Handle memory query submission
   const handleMemoryQuery = async (e) => {
@@ -86,7 +265,7 @@ function App() {
     setSearchError(null);
     
     try {
-      const data = await searchVideos(searchQuery);
+      const data = await searchVideos(searchQuery, searchMode);
       setSearchResults(data.results || []);
     } catch (err) {
       console.error('Search failed:', err);
@@ -96,9 +275,10 @@ function App() {
     }
   };
 
-  // Handle navigation to discussion page
-  const handleNavigateToDiscussion = (filename) => {
-    navigate(`/discuss/${filename}?query=${encodeURIComponent(searchQuery)}`);
+  // Handle navigation to discussion page, optionally starting playback at a moment
+  const handleNavigateToDiscussion = (filename, start) => {
+    const time = start !== undefined ? `&t=${Math.floor(start)}` : '';
+    navigate(`/discuss/${filename}?query=${encodeURIComponent(searchQuery)}${time}`);
   };
 
   // Handle direct navigation to discussion from video card
@@ -110,29 +290,30 @@ function App() {
 
   // Render a video card
   const VideoCard = ({ video }) => {
-    const { id, videoFileName, processedAt, analysis } = video;
-    // Construct the video URL (same as used in VideoDiscussion)
-    const videoUrl = `/videos/${encodeURIComponent(videoFileName)}`;
-    // Use the generated thumbnail as the poster
-    const thumbName = videoFileName.replace(/\.[^/.]+$/, '.jpg');
-    const posterUrl = `/thumbnails/${encodeURIComponent(thumbName)}`;
-    const fallbackPoster = "/video-placeholder.jpg";
+    const { jsonFile, videoFileName, processedAt, analysis, media, source, orphanedAt } = video;
 
     return (
       <div className="card">
-        <div className="video-thumbnail" style={{ width: '100%', aspectRatio: '16/9', background: '#000', borderRadius: '4px', overflow: 'hidden', marginBottom: '1rem' }}>
-          <video
-            src={videoUrl}
-            poster={posterUrl}
-            style={{ width: '100%', height: '100%', objectFit: 'cover', display: 'block' }}
-            controls={false}
-            tabIndex={-1}
-            preload="metadata"
-            onError={e => { e.target.poster = fallbackPoster; }}
-          />
-        </div>
+        <VideoPreview video={video} />
         <h3>{videoFileName}</h3>
+        {orphanedAt && (
+          <div className="orphan-notice">
+            <span className="status status-inactive">Recording missing</span>
+            <span className="media-info">since {new Date(orphanedAt).toLocaleString()}</span>
+            <div className="orphan-actions">
+              <button onClick={() => handleRelink(video)}>Relink</button>
+              <button onClick={() => handleArchive(video)}>Archive</button>
+              <button onClick={() => handlePurge(video)}>Purge</button>
+            </div>
+          </div>
+        )}
         <p><strong>Processed:</strong> {new Date(processedAt).toLocaleString()}</p>
+        {source?.name && (
+          <p><strong>Source:</strong> {source.name}</p>
+        )}
+        {formatMediaInfo(media) && (
+          <p className="media-info">{formatMediaInfo(media)}</p>
+        )}
         
         {analysis && (
           <div>
@@ -174,7 +355,7 @@ function App() {
         
         <button 
           className="continue-discussion-btn"
-          onClick={() => handleDirectVideoDiscussion(videoFileName.replace(/\.[^/.]+$/, '.json'), videoFileName)}
+          onClick={() => handleDirectVideoDiscussion(jsonFile, videoFileName)}
         >
           Chat with Video
         </button>
@@ -189,28 +370,35 @@ function App() {
         <h3>{result.videoFileName}</h3>
         <p><strong>Processed:</strong> {new Date(result.processedAt).toLocaleString()}</p>
         <p><strong>Relevance Score:</strong> {result.score.toFixed(2)}</p>
-        <p><strong>Justification:</strong> {result.justification}</p>
+        {result.similarity !== undefined && <p><strong>Similarity:</strong> {result.similarity.toFixed(2)}</p>}
+        {result.justification && <p><strong>Justification:</strong> {result.justification}</p>}
+        {result.snippets?.map((snippet, index) => (
+          <p key={index} className="search-snippet">
+            <strong>
+              {snippet.field === 'segment'
+                ? `At ${formatTimestamp(snippet.start)}`
+                : SNIPPET_FIELD_LABELS[snippet.field] || snippet.field}:
+            </strong> <HighlightedText {...snippet} />
+          </p>
+        ))}
         <button 
           className="continue-discussion-btn"
           onClick={() => handleNavigateToDiscussion(result.filename)}
         >
           Continue Discussion
         </button>
+        {result.moment && (
+          <button
+            className="continue-discussion-btn"
+            onClick={() => handleNavigateToDiscussion(result.filename, result.moment.start)}
+          >
+            Jump to {formatTimestamp(result.moment.start)}
+          </button>
+        )}
       </div>
     );
   };
 
-  // Sort and paginate videos
-  const sortedVideos = [...videos].sort((a, b) => {
-    if (sortOrder === 'desc') {
-      return new Date(b.processedAt) - new Date(a.processedAt);
-    } else {
-      return new Date(a.processedAt) - new Date(b.processedAt);
-    }
-  });
-  const totalPages = Math.ceil(sortedVideos.length / VIDEOS_PER_PAGE);
-  const paginatedVideos = sortedVideos.slice((currentPage - 1) * VIDEOS_PER_PAGE, currentPage * VIDEOS_PER_PAGE);
-
   if (loading && !status) {
     return <div className="container">Loading...</div>;
   }
@@ -239,9 +427,19 @@ function App() {
           </p>
           <p><strong>Watching folder:</strong> {status.watchFolder}</p>
           <p><strong>Dataset folder:</strong> {status.datasetFolder}</p>
+          {orphanCount > 0 && (
+            <p>
+              <strong>Missing recordings:</strong> {orphanCount}{' '}
+              <button onClick={showOrphans}>Show</button>
+            </p>
+          )}
         </div>
       )}
       
+      <ProcessingPanel jobs={jobs} counts={jobCounts} memoryStage={memoryStage} />
+      
+      <UploadArea jobs={jobs} />
+      
       {/* Search card - place it before the tabs */}
       <div className="card search-card">
         <h3>Search Video Journals</h3>
@@ -254,6 +452,16 @@ function App() {
             className="search-input"
             disabled={searchLoading}
           />
+          <select
+            value={searchMode}
+            onChange={(e) => setSearchMode(e.target.value)}
+            className="search-mode"
+            disabled={searchLoading}
+          >
+            <option value="hybrid">Semantic</option>
+            <option value="keyword">Keyword</option>
+            <option value="llm">AI relevance (all videos)</option>
+          </select>
           <button
             type="submit"
             disabled={searchLoading || !searchQuery.trim()}
@@ -300,7 +508,7 @@ function App() {
       {/* Only show regular video list if no search results are displayed */}
       {activeTab === 'videos' && searchResults.length === 0 && (
         <div>
-          <h2>Processed Videos ({videos.length})</h2>
+          <h2>Processed Videos ({totalVideos})</h2>
           <div style={{ display: 'flex', alignItems: 'center', marginBottom: '1rem' }}>
             <label htmlFor="sortOrder" style={{ marginRight: 8 }}>Sort by:</label>
             <select id="sortOrder" value={sortOrder} onChange={e => { setSortOrder(e.target.value); setCurrentPage(1); }}>
@@ -308,21 +516,90 @@ function App() {
               <option value="asc">Oldest First</option>
             </select>
           </div>
+          <form className="video-filters" onSubmit={handleFilterSubmit}>
+            <label>
+              From
+              <input type="date" value={filterDraft.from} onChange={updateFilterDraft('from')} />
+            </label>
+            <label>
+              To
+              <input type="date" value={filterDraft.to} onChange={updateFilterDraft('to')} />
+            </label>
+            <label>
+              Tag
+              <input type="text" value={filterDraft.tag} onChange={updateFilterDraft('tag')} placeholder="any" />
+            </label>
+            <label>
+              Topic
+              <input type="text" value={filterDraft.topic} onChange={updateFilterDraft('topic')} placeholder="any" />
+            </label>
+            <label>
+              Status
+              <select value={filterDraft.status} onChange={updateFilterDraft('status')}>
+                <option value="">All</option>
+                <option value="ok">Analyzed</option>
+                <option value="error">Failed</option>
+              </select>
+            </label>
+            <label>
+              Length
+              <select value={`${filterDraft.minDuration}-${filterDraft.maxDuration}`} onChange={updateLengthDraft}>
+                {LENGTH_FILTERS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </label>
+            <label>
+              Resolution
+              <select value={filterDraft.minHeight} onChange={updateFilterDraft('minHeight')}>
+                <option value="">Any</option>
+                <option value="720">720p and up</option>
+                <option value="1080">1080p and up</option>
+                <option value="2160">4K</option>
+              </select>
+            </label>
+            <label>
+              Codec
+              <input type="text" value={filterDraft.codec} onChange={updateFilterDraft('codec')} placeholder="any" />
+            </label>
+            <label>
+              Audio
+              <select value={filterDraft.hasAudio} onChange={updateFilterDraft('hasAudio')}>
+                <option value="">Any</option>
+                <option value="true">With audio</option>
+                <option value="false">Without audio</option>
+              </select>
+            </label>
+            <label>
+              Recording
+              <select value={filterDraft.orphaned} onChange={updateFilterDraft('orphaned')}>
+                <option value="">Any</option>
+                <option value="false">Present</option>
+                <option value="true">Missing</option>
+              </select>
+            </label>
+            <button type="submit">Apply</button>
+            <button type="button" onClick={handleFilterClear} disabled={!hasFilters}>Clear</button>
+          </form>
           {videos.length === 0 ? (
             <div className="card">
-              <p>No videos have been processed yet. Record a video in OBS and save it to the watched folder.</p>
+              {hasFilters ? (
+                <p>No videos match these filters.</p>
+              ) : (
+                <p>No videos have been processed yet. Record a video in OBS and save it to the watched folder.</p>
+              )}
             </div>
           ) : (
             <>
               <div className="video-list">
-                {paginatedVideos.map(video => (
+                {videos.map(video => (
                   <VideoCard key={video.id} video={video} />
                 ))}
               </div>
               <div style={{ display: 'flex', justifyContent: 'center', marginTop: 16 }}>
                 <button onClick={() => setCurrentPage(p => Math.max(1, p - 1))} disabled={currentPage === 1}>Previous</button>
                 <span style={{ margin: '0 12px' }}>Page {currentPage} of {totalPages}</span>
-                <button onClick={() => setCurrentPage(p => Math.min(totalPages, p + 1))} disabled={currentPage === totalPages}>Next</button>
+                <button onClick={() => setCurrentPage(p => Math.min(totalPages, p + 1))} disabled={currentPage >= totalPages}>Next</button>
               </div>
             </>
           )}
@@ -15,16 +15,297 @@ export async function getStatus() {
 }
 
 /**
- * Get all processed videos
- * @returns {Promise<Array>} Array of video objects
+ * Get processed videos
+ * @param {Object} [options] - Listing options
+ * @param {number} [options.page] - Page number, starting at 1
+ * @param {number} [options.limit] - Videos per page
+ * @param {string} [options.sort] - 'desc' (most recent first) or 'asc'
+ * @param {string} [options.from] - Only videos processed on or after this date
+ * @param {string} [options.to] - Only videos processed on or before this date
+ * @param {string} [options.tag] - Only videos with this tag
+ * @param {string} [options.topic] - Only videos with this topic
+ * @param {string} [options.status] - 'ok' or 'error'
+ * @param {number} [options.minDuration] - Only videos at least this many seconds long
+ * @param {number} [options.maxDuration] - Only videos at most this many seconds long
+ * @param {number} [options.minHeight] - Only videos with at least this vertical resolution
+ * @param {string} [options.codec] - Only videos with this video codec
+ * @param {boolean} [options.hasAudio] - Only videos with or without audio
+ * @param {boolean} [options.orphaned] - Only videos whose recording is missing (true) or present (false)
+ * @returns {Promise<Object>} Page of videos with total, page, limit and totalPages
  */
-export async function getVideos() {
-  const response = await fetch('/api/videos');
+export async function getVideos(options = {}) {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(options)) {
+    if (value !== undefined && value !== null && value !== '') {
+      params.set(key, value);
+    }
+  }
+  const query = params.toString();
+  const response = await fetch(query ? `/api/videos?${query}` : '/api/videos');
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    throw new Error(error.error || 'Failed to fetch videos');
+  }
+  return response.json();
+}
+
+/**
+ * Upload a video for analysis
+ * Uses XMLHttpRequest because fetch doesn't report upload progress.
+ * @param {File} file - Video file to upload
+ * @param {Function} [onProgress] - Called with the fraction uploaded (0 to 1)
+ * @returns {Promise<Object>} Upload result with the queued job id
+ */
+export function uploadVideo(file, onProgress) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    const formData = new FormData();
+    formData.append('video', file);
+    
+    xhr.open('POST', '/api/videos/upload');
+    
+    xhr.upload.onprogress = (e) => {
+      if (onProgress && e.lengthComputable) {
+        onProgress(e.loaded / e.total);
+      }
+    };
+    
+    xhr.onload = () => {
+      let data = {};
+      try {
+        data = JSON.parse(xhr.responseText);
+      } catch {
+        // Leave data empty and fall back to a generic message
+      }
+      
+      if (xhr.status >= 200 && xhr.status < 300) {
+        resolve(data);
+      } else {
+        reject(new Error(data.error || 'Upload failed'));
+      }
+    };
+    
+    xhr.onerror = () => reject(new Error('Upload failed'));
+    xhr.send(formData);
+  });
+}
+
+/**
+ * Get processing jobs
+ * @param {string} [status] - Only return jobs in this state (queued, running, succeeded, failed)
+ * @returns {Promise<Object>} Object with jobs and counts per state
+ */
+export async function getJobs(status) {
+  const url = status ? `/api/jobs?status=${encodeURIComponent(status)}` : '/api/jobs';
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error('Failed to fetch jobs');
+  }
+  return response.json();
+}
+
+/**
+ * Get a single processing job
+ * @param {string} id - Job id
+ * @returns {Promise<Object>} Job object
+ */
+export async function getJob(id) {
+  const response = await fetch(`/api/jobs/${encodeURIComponent(id)}`);
+  if (!response.ok) {
+    throw new Error('Failed to fetch job');
+  }
+  const data = await response.json();
+  return data.job;
+}
+
+/**
+ * Get the keyframes extracted at scene changes in a video
+ * @param {string} id - Video id
+ * @returns {Promise<Array>} Keyframes with their time in seconds and image url
+ */
+export async function getKeyframes(id) {
+  const response = await fetch(`/api/videos/${encodeURIComponent(id)}/keyframes`);
+  if (!response.ok) {
+    throw new Error('Failed to fetch keyframes');
+  }
+  const data = await response.json();
+  return data.keyframes;
+}
+
+/**
+ * Regenerate the thumbnail of a video from the frame at a given time
+ * @param {string} id - Video id
+ * @param {number} time - Time in seconds
+ * @returns {Promise<Object>} The frame that was used and the thumbnail url
+ */
+export async function setThumbnail(id, time) {
+  const response = await fetch(`/api/videos/${encodeURIComponent(id)}/thumbnail`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ time }),
+  });
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || 'Failed to set thumbnail');
+  }
+  return response.json();
+}
+
+/**
+ * Get the analyses whose recording was deleted or moved
+ * @returns {Promise<Object>} Orphaned entries and their total
+ */
+export async function getOrphans() {
+  const response = await fetch('/api/maintenance/orphans');
+  if (!response.ok) {
+    throw new Error('Failed to fetch orphaned videos');
+  }
+  return response.json();
+}
+
+/**
+ * Point an orphaned analysis at the new location of its recording
+ * @param {string} id - Video id
+ * @param {string} videoPath - Path of the recording in one of the watch folders
+ * @param {boolean} [force] - Link it even if the file has different content
+ * @returns {Promise<Object>} The updated video
+ * @throws {Error} With the response status, 409 when the content differs
+ */
+export async function relinkVideo(id, videoPath, force = false) {
+  const response = await fetch(`/api/videos/${encodeURIComponent(id)}/relink`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ videoPath, force }),
+  });
   if (!response.ok) {
-    throw new Error('Failed to fetch videos');
+    const data = await response.json().catch(() => ({}));
+    const error = new Error(data.error || 'Failed to relink video');
+    error.status = response.status;
+    throw error;
+  }
+  return response.json();
+}
+
+/**
+ * Move an orphaned analysis to the archive folder
+ * @param {string} id - Video id
+ * @returns {Promise<Object>} Name of the archived file
+ */
+export async function archiveVideo(id) {
+  const response = await fetch(`/api/videos/${encodeURIComponent(id)}/archive`, { method: 'POST' });
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || 'Failed to archive video');
+  }
+  return response.json();
+}
+
+/**
+ * Delete an orphaned analysis and its images
+ * @param {string} id - Video id
+ * @returns {Promise<Object>} Confirmation
+ */
+export async function purgeVideo(id) {
+  const response = await fetch(`/api/videos/${encodeURIComponent(id)}`, { method: 'DELETE' });
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || 'Failed to purge video');
+  }
+  return response.json();
+}
+
+/**
+ * Get the analysis history of a video
+ * @param {string} id - Video id
+ * @returns {Promise<Object>} The id of the active run and the runs, newest first, without their results
+ */
+export async function getRuns(id) {
+  const response = await fetch(`/api/videos/${encodeURIComponent(id)}/runs`);
+  if (!response.ok) {
+    throw new Error('Failed to fetch analysis runs');
+  }
+  return response.json();
+}
+
+/**
+ * Get one analysis run of a video with its results
+ * @param {string} id - Video id
+ * @param {string} runId - Run id
+ * @returns {Promise<Object>} The run
+ */
+export async function getRun(id, runId) {
+  const response = await fetch(`/api/videos/${encodeURIComponent(id)}/runs/${encodeURIComponent(runId)}`);
+  if (!response.ok) {
+    throw new Error('Failed to fetch analysis run');
   }
   const data = await response.json();
-  return data.videos || [];
+  return data.run;
+}
+
+/**
+ * Make an analysis run the one shown for a video
+ * @param {string} id - Video id
+ * @param {string} runId - Run id
+ * @returns {Promise<Object>} The id of the active run and the updated video
+ */
+export async function activateRun(id, runId) {
+  const response = await fetch(`/api/videos/${encodeURIComponent(id)}/runs/${encodeURIComponent(runId)}/activate`, {
+    method: 'POST'
+  });
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || 'Failed to activate analysis run');
+  }
+  return response.json();
+}
+
+/**
+ * Queue a video for analysis again
+ * @param {string} id - Video id
+ * @param {Object} [options] - mode, model and inference to use instead of the folder's
+ * @returns {Promise<Object>} The queued job's id and status
+ */
+export async function reanalyzeVideo(id, options = {}) {
+  const response = await fetch(`/api/videos/${encodeURIComponent(id)}/reanalyze`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(options),
+  });
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || 'Failed to queue reanalysis');
+  }
+  return response.json();
+}
+
+/**
+ * Subscribe to live processing events
+ * @param {Object} handlers - Callbacks for each event type
+ * @param {Function} [handlers.onSnapshot] - Called with the job list when the stream connects
+ * @param {Function} [handlers.onJob] - Called when a job is queued, changes state or reaches a new stage
+ * @param {Function} [handlers.onStage] - Called for every pipeline stage event
+ * @returns {Function} Function that closes the stream
+ */
+export function subscribeToEvents({ onSnapshot, onJob, onStage }) {
+  const source = new EventSource('/api/events');
+  
+  if (onSnapshot) {
+    source.addEventListener('snapshot', (e) => onSnapshot(JSON.parse(e.data)));
+  }
+  if (onJob) {
+    source.addEventListener('job', (e) => onJob(JSON.parse(e.data)));
+  }
+  if (onStage) {
+    source.addEventListener('stage', (e) => onStage(JSON.parse(e.data)));
+  }
+  
+  return () => source.close();
 }
 
 /**
@@ -63,15 +344,17 @@ export async function queryMemory(query) {
 /**
  * Search through video analyses based on a natural language query
  * @param {string} query - The search query
- * @returns {Promise<Array>} Array of relevant video objects
+ * @param {string} [mode] - 'hybrid' (nearest matches re-ranked by the model), 'llm' to let the model judge
+ *   every video, or 'keyword' for the offline index
+ * @returns {Promise<Object>} Search mode and array of relevant video objects
  */
-export async function searchVideos(query) {
+export async function searchVideos(query, mode = 'hybrid') {
   const response = await fetch('/api/search', {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
     },
-    body: JSON.stringify({ query }),
+    body: JSON.stringify({ query, mode }),
   });
   
   if (!response.ok) {
@@ -79,7 +362,7 @@ export async function searchVideos(query) {
     throw new Error(errorData.error || 'Failed to perform search');
   }
   
-  return response.json(); // Should return { results: [...] }
+  return response.json(); // Should return { mode, results: [...] }
 }
 
 /**
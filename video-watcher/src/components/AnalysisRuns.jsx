@@ -0,0 +1,181 @@
+import React, { useState, useEffect } from 'react';
+import { getRuns, getRun, activateRun, reanalyzeVideo, subscribeToEvents } from '../api';
+import { diffAnalyses } from '../diff';
+
+const ANALYSIS_MODES = ['summary', 'segments'];
+
+/**
+ * Describe a run in a select option or the run list
+ * @param {Object} run - Run without its results
+ * @returns {string}
+ */
+function describeRun(run) {
+  const parts = [new Date(run.createdAt).toLocaleString(), run.model || 'unknown model'];
+  if (run.mode) parts.push(run.mode);
+  return parts.join(' · ');
+}
+
+function DiffField({ field }) {
+  if (field.kind === 'text') {
+    return (
+      <p className="diff-text">
+        {field.parts.map((part, idx) => (
+          <span key={idx} className={`diff-${part.type}`}>{part.text}</span>
+        ))}
+      </p>
+    );
+  }
+  return (
+    <ul className="diff-list">
+      {field.removed.map((value, idx) => <li key={`r${idx}`} className="diff-removed">{value}</li>)}
+      {field.added.map((value, idx) => <li key={`a${idx}`} className="diff-added">{value}</li>)}
+      {field.kept.map((value, idx) => <li key={`k${idx}`} className="diff-same">{value}</li>)}
+    </ul>
+  );
+}
+
+/**
+ * Analysis history of a video: its runs, reanalysis and a comparison of two runs
+ */
+function AnalysisRuns({ videoId, videoFileName, onActivated }) {
+  const [runs, setRuns] = useState([]);
+  const [activeRunId, setActiveRunId] = useState(null);
+  const [status, setStatus] = useState('');
+  const [mode, setMode] = useState('');
+  const [model, setModel] = useState('');
+  const [pending, setPending] = useState(false);
+  // Ids of the two runs being compared, and their comparison
+  const [compare, setCompare] = useState({ before: '', after: '' });
+  const [diff, setDiff] = useState(null);
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  useEffect(() => {
+    getRuns(videoId)
+      .then(data => {
+        setRuns(data.runs);
+        setActiveRunId(data.activeRunId);
+      })
+      .catch(err => console.error('Error loading analysis runs:', err));
+  }, [videoId, refreshKey]);
+
+  // Reload the history when a reanalysis of this video finishes
+  useEffect(() => {
+    return subscribeToEvents({
+      onJob: ({ job }) => {
+        if (job.source !== 'reanalyze' || job.videoFileName !== videoFileName) return;
+        if (job.status === 'succeeded' || job.status === 'failed') {
+          setPending(false);
+          setStatus(job.status === 'failed' ? `Reanalysis failed: ${job.error}` : 'Reanalysis finished');
+          setRefreshKey(key => key + 1);
+        }
+      }
+    });
+  }, [videoFileName]);
+
+  useEffect(() => {
+    if (!compare.before || !compare.after || compare.before === compare.after) {
+      setDiff(null);
+      return;
+    }
+    Promise.all([getRun(videoId, compare.before), getRun(videoId, compare.after)])
+      .then(([before, after]) => setDiff(diffAnalyses(before.analysis, after.analysis)))
+      .catch(err => console.error('Error comparing analysis runs:', err));
+  }, [videoId, compare.before, compare.after]);
+
+  const handleReanalyze = async () => {
+    try {
+      setPending(true);
+      setStatus('Reanalysis queued');
+      await reanalyzeVideo(videoId, {
+        ...(mode && { mode }),
+        ...(model.trim() && { model: model.trim() })
+      });
+    } catch (err) {
+      setPending(false);
+      setStatus(err.message);
+    }
+  };
+
+  const handleActivate = async (runId) => {
+    try {
+      const data = await activateRun(videoId, runId);
+      setActiveRunId(data.activeRunId);
+      setStatus('');
+      if (onActivated) onActivated(data.activeRunId);
+    } catch (err) {
+      setStatus(err.message);
+    }
+  };
+
+  const changedFields = diff ? diff.filter(field => field.changed) : [];
+
+  return (
+    <div className="info-section analysis-runs">
+      <h4>Analysis History</h4>
+      <ul className="run-list">
+        {runs.map(run => (
+          <li key={run.id} className={`run run-${run.status}`}>
+            <span className="run-info">
+              {describeRun(run)}
+              {run.prompts?.analysis && <span className="run-prompt">prompt {run.prompts.analysis.version}</span>}
+              {run.status !== 'ok' && <span className="run-status">{run.status}{run.error ? `: ${run.error}` : ''}</span>}
+            </span>
+            {run.id === activeRunId ? (
+              <span className="run-active">Active</span>
+            ) : (
+              <button className="run-activate" onClick={() => handleActivate(run.id)} disabled={run.status === 'failed'}>
+                Make active
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      <div className="run-reanalyze">
+        <select value={mode} onChange={(e) => setMode(e.target.value)} disabled={pending}>
+          <option value="">Folder mode</option>
+          {ANALYSIS_MODES.map(value => <option key={value} value={value}>{value}</option>)}
+        </select>
+        <input
+          type="text"
+          value={model}
+          onChange={(e) => setModel(e.target.value)}
+          placeholder="Model (folder default)"
+          disabled={pending}
+        />
+        <button onClick={handleReanalyze} disabled={pending}>Reanalyze</button>
+      </div>
+      {status && <p className="run-message">{status}</p>}
+
+      {runs.length > 1 && (
+        <div className="run-compare">
+          <select value={compare.before} onChange={(e) => setCompare(prev => ({ ...prev, before: e.target.value }))}>
+            <option value="">Compare run…</option>
+            {runs.map(run => <option key={run.id} value={run.id}>{describeRun(run)}</option>)}
+          </select>
+          <select value={compare.after} onChange={(e) => setCompare(prev => ({ ...prev, after: e.target.value }))}>
+            <option value="">…with run</option>
+            {runs.map(run => <option key={run.id} value={run.id}>{describeRun(run)}</option>)}
+          </select>
+        </div>
+      )}
+
+      {diff && (
+        changedFields.length === 0 ? (
+          <p className="run-message">The two runs have the same results.</p>
+        ) : (
+          <div className="run-diff">
+            {changedFields.map(field => (
+              <div key={field.field} className="diff-field">
+                <h5>{field.label}</h5>
+                <DiffField field={field} />
+              </div>
+            ))}
+          </div>
+        )
+      )}
+    </div>
+  );
+}
+
+export default AnalysisRuns;
@@ -0,0 +1,72 @@
+import React from 'react';
+
+// Human readable labels for pipeline stages
+const STAGE_LABELS = {
+  'video:probing': 'Reading media metadata',
+  'video:relinked': 'Already analyzed, linked to the existing entry',
+  'video:preparing': 'Preparing upload',
+  'video:splitting': 'Splitting long recording into parts',
+  'video:analyzing_chunk': 'Analyzing part of the recording',
+  'video:uploading': 'Uploading to Gemini',
+  'video:uploaded': 'Upload complete',
+  'video:waiting_active': 'Waiting for Gemini to process the file',
+  'video:analyzing': 'Analyzing video',
+  'video:inferring': 'Inferring insights',
+  'video:analysis_complete': 'Analysis complete',
+  'video:analysis_failed': 'Analysis failed',
+  'video:inference_failed': 'Insight inference failed',
+  'video:updating_memory': 'Updating memory',
+  'thumbnail:generating': 'Generating thumbnail',
+  'thumbnail:complete': 'Thumbnail ready',
+  'thumbnail:failed': 'Thumbnail failed',
+  'keyframes:generating': 'Extracting keyframes',
+  'keyframes:complete': 'Keyframes ready',
+  'keyframes:failed': 'Keyframes failed',
+  'preview:generating': 'Generating preview',
+  'preview:complete': 'Preview ready',
+  'preview:failed': 'Preview failed'
+};
+
+// Number of finished jobs shown below the active ones
+const RECENT_JOB_COUNT = 5;
+
+export function describeJob(job) {
+  if (job.status === 'queued') return 'Queued';
+  if (job.status === 'succeeded') return 'Done';
+  if (job.status === 'failed') return `Failed: ${job.error}`;
+  return STAGE_LABELS[job.stage] || 'Starting';
+}
+
+function ProcessingPanel({ jobs, counts, memoryStage }) {
+  const activeJobs = jobs.filter(job => job.status === 'queued' || job.status === 'running');
+  const recentJobs = jobs
+    .filter(job => job.status === 'succeeded' || job.status === 'failed')
+    .slice(0, RECENT_JOB_COUNT);
+
+  return (
+    <div className="card processing-panel">
+      <h2>Processing</h2>
+      {counts && (
+        <p className="processing-counts">
+          {counts.running} running &middot; {counts.queued} queued &middot; {counts.succeeded} done &middot; {counts.failed} failed
+        </p>
+      )}
+      {memoryStage && <p className="processing-memory">Memory: {memoryStage}</p>}
+
+      {activeJobs.length === 0 && recentJobs.length === 0 ? (
+        <p>No videos are being processed.</p>
+      ) : (
+        <ul className="processing-jobs">
+          {[...activeJobs, ...recentJobs].map(job => (
+            <li key={job.id} className={`processing-job job-${job.status}`}>
+              <span className="job-name">{job.videoFileName}</span>
+              <span className="job-stage">{describeJob(job)}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default ProcessingPanel;
@@ -0,0 +1,85 @@
+import React, { useState, useRef } from 'react';
+import { uploadVideo } from '../api';
+import { describeJob } from './ProcessingPanel.jsx';
+
+// Extensions the server accepts, used to filter the file picker
+const ACCEPTED_EXTENSIONS = '.mp4,.m4v,.mov,.mkv,.webm,.flv,.ts,.m2ts,.avi';
+
+function UploadArea({ jobs }) {
+  const [uploads, setUploads] = useState([]);
+  const [dragActive, setDragActive] = useState(false);
+  const inputRef = useRef(null);
+
+  const updateUpload = (key, changes) => {
+    setUploads(prev => prev.map(u => (u.key === key ? { ...u, ...changes } : u)));
+  };
+
+  const startUpload = async (file) => {
+    const key = `${file.name}-${Date.now()}-${Math.random()}`;
+    setUploads(prev => [{ key, name: file.name, progress: 0, status: 'uploading' }, ...prev]);
+
+    try {
+      const result = await uploadVideo(file, progress => updateUpload(key, { progress }));
+      updateUpload(key, { progress: 1, status: 'queued', jobId: result.jobId });
+    } catch (err) {
+      console.error('Upload failed:', err);
+      updateUpload(key, { status: 'error', error: err.message });
+    }
+  };
+
+  const handleFiles = (fileList) => {
+    Array.from(fileList).forEach(startUpload);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragActive(false);
+    handleFiles(e.dataTransfer.files);
+  };
+
+  const describeUpload = (upload) => {
+    if (upload.status === 'uploading') return `Uploading ${Math.round(upload.progress * 100)}%`;
+    if (upload.status === 'error') return `Failed: ${upload.error}`;
+    const job = jobs.find(j => j.id === upload.jobId);
+    return job ? describeJob(job) : 'Queued';
+  };
+
+  return (
+    <div className="card upload-card">
+      <h3>Upload a Video</h3>
+      <div
+        className={`upload-dropzone ${dragActive ? 'drag-active' : ''}`}
+        onDragOver={(e) => { e.preventDefault(); setDragActive(true); }}
+        onDragLeave={() => setDragActive(false)}
+        onDrop={handleDrop}
+        onClick={() => inputRef.current?.click()}
+      >
+        <p>Drag and drop recordings here, or click to choose files.</p>
+        <input
+          ref={inputRef}
+          type="file"
+          accept={ACCEPTED_EXTENSIONS}
+          multiple
+          style={{ display: 'none' }}
+          onChange={(e) => { handleFiles(e.target.files); e.target.value = ''; }}
+        />
+      </div>
+
+      {uploads.length > 0 && (
+        <ul className="upload-list">
+          {uploads.map(upload => (
+            <li key={upload.key} className={`upload-item upload-${upload.status}`}>
+              <span className="job-name">{upload.name}</span>
+              <span className="job-stage">{describeUpload(upload)}</span>
+              {upload.status === 'uploading' && (
+                <progress value={upload.progress} max={1} />
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default UploadArea;
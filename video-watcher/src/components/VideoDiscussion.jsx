@@ -1,12 +1,17 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { useParams, useNavigate, useLocation } from 'react-router-dom';
-import { continueDiscussion, sendChatMessage } from '../api';
+import { continueDiscussion, sendChatMessage, getKeyframes, setThumbnail } from '../api';
+import { formatTimestamp, formatMediaInfo } from '../format';
+import AnalysisRuns from './AnalysisRuns';
 
 function VideoDiscussion() {
   const { filename } = useParams();
   const navigate = useNavigate();
   const location = useLocation();
-  const query = new URLSearchParams(location.search).get('query') || '';
+  const searchParams = new URLSearchParams(location.search);
+  const query = searchParams.get('query') || '';
+  // Position to start playback at, in seconds (set when arriving from a search hit)
+  const startTime = parseFloat(searchParams.get('t')) || 0;
   
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -14,9 +19,41 @@ function VideoDiscussion() {
   const [messages, setMessages] = useState([]);
   const [currentMessage, setCurrentMessage] = useState('');
   const [isProcessing, setIsProcessing] = useState(false);
+  const [keyframes, setKeyframes] = useState([]);
+  const [thumbnailStatus, setThumbnailStatus] = useState(null);
   
   // Ref for auto-scrolling messages
   const messagesEndRef = useRef(null);
+  const videoRef = useRef(null);
+  
+  // Move the player to a moment in the video and start playing
+  const seekTo = (seconds) => {
+    const video = videoRef.current;
+    if (!video) return;
+    video.currentTime = seconds;
+    video.play().catch(() => {});
+  };
+  
+  // Jump to the requested moment once the player knows the video's duration
+  const handleLoadedMetadata = () => {
+    if (startTime > 0 && videoRef.current) {
+      videoRef.current.currentTime = startTime;
+    }
+  };
+  
+  // Use the frame currently shown in the player as the video's thumbnail
+  const handleSetThumbnail = async () => {
+    const video = videoRef.current;
+    if (!video || !discussionData?.videoContext.id) return;
+    try {
+      setThumbnailStatus('Saving thumbnail...');
+      const { thumbnail } = await setThumbnail(discussionData.videoContext.id, video.currentTime);
+      setThumbnailStatus(`Thumbnail set to the frame at ${formatTimestamp(thumbnail.time)}`);
+    } catch (err) {
+      console.error('Error setting thumbnail:', err);
+      setThumbnailStatus(err.message || 'Failed to set thumbnail');
+    }
+  };
   
   // Function to scroll to bottom of messages
   const scrollToBottom = () => {
@@ -95,6 +132,25 @@ function VideoDiscussion() {
     loadDiscussion();
   }, [filename, query]);
   
+  // Load the filmstrip once we know which video this is
+  const videoId = discussionData?.videoContext.id;
+  useEffect(() => {
+    if (!videoId) return;
+    getKeyframes(videoId)
+      .then(setKeyframes)
+      .catch(err => console.error('Error loading keyframes:', err));
+  }, [videoId]);
+  
+  // Show the results of the run that was made active; the conversation so far is kept
+  const handleRunActivated = async () => {
+    try {
+      const data = await continueDiscussion(query, filename);
+      setDiscussionData(data);
+    } catch (err) {
+      console.error('Error reloading video after activating a run:', err);
+    }
+  };
+  
   const handleSubmit = async (e) => {
     e.preventDefault();
     
@@ -147,11 +203,12 @@ function VideoDiscussion() {
   };
   
   const getVideoUrl = () => {
-    if (!discussionData || !discussionData.videoContext.videoFileName) return null;
+    if (!discussionData || !discussionData.videoContext.id) return null;
+    // The recording was deleted or moved, the server has nothing to stream
+    if (discussionData.videoContext.orphanedAt) return null;
     
-    // In a real implementation, you would have a proper URL to the video file
-    // This is a placeholder that assumes videos are served from a /videos endpoint
-    return `/videos/${encodeURIComponent(discussionData.videoContext.videoFileName)}`;
+    // Recordings are served by the id of their dataset entry
+    return `/videos/${encodeURIComponent(discussionData.videoContext.id)}`;
   };
   
   const goBack = () => {
@@ -191,26 +248,54 @@ function VideoDiscussion() {
           <div className="video-container">
             <h2>{discussionData.videoContext.videoFileName}</h2>
             <p><strong>Processed:</strong> {new Date(discussionData.videoContext.processedAt).toLocaleString()}</p>
+            {formatMediaInfo(discussionData.videoContext.media) && (
+              <p className="media-info">{formatMediaInfo(discussionData.videoContext.media)}</p>
+            )}
             
             {/* Video element - in a real implementation, you would have proper video URLs */}
             <div className="video-player">
               {getVideoUrl() ? (
                 <video 
+                  ref={videoRef}
                   controls 
                   width="100%" 
                   src={getVideoUrl()}
+                  onLoadedMetadata={handleLoadedMetadata}
                   poster="/video-placeholder.jpg"
                 >
                   Your browser does not support the video tag.
                 </video>
               ) : (
                 <div className="video-placeholder">
-                  <p>Video preview not available</p>
+                  <p>{discussionData.videoContext.orphanedAt ? 'The recording is missing; it was deleted or moved' : 'Video preview not available'}</p>
                   <p className="small">The actual video file can be found at: {discussionData.videoContext.videoFileName}</p>
                 </div>
               )}
             </div>
             
+            {getVideoUrl() && (
+              <div className="thumbnail-actions">
+                <button onClick={handleSetThumbnail}>Use current frame as thumbnail</button>
+                {thumbnailStatus && <span style={{ fontSize: '0.9rem', color: '#aaa' }}>{thumbnailStatus}</span>}
+              </div>
+            )}
+            
+            {keyframes.length > 0 && (
+              <div className="filmstrip">
+                {keyframes.map((frame, idx) => (
+                  <button
+                    key={idx}
+                    className="filmstrip-frame"
+                    onClick={() => seekTo(frame.time)}
+                    title="Play from here"
+                  >
+                    <img src={frame.url} alt={`Scene at ${formatTimestamp(frame.time)}`} loading="lazy" />
+                    <span>{formatTimestamp(frame.time)}</span>
+                  </button>
+                ))}
+              </div>
+            )}
+            
             <div className="video-info">
               <h3>Video Information</h3>
               {discussionData.videoContext.summary && (
@@ -220,6 +305,26 @@ function VideoDiscussion() {
                 </div>
               )}
               
+              {discussionData.videoContext.segments && discussionData.videoContext.segments.length > 0 && (
+                <div className="info-section">
+                  <h4>Timeline</h4>
+                  <ul className="segment-list">
+                    {discussionData.videoContext.segments.map((segment, idx) => (
+                      <li key={idx}>
+                        <button
+                          className="segment-time"
+                          onClick={() => seekTo(segment.start)}
+                          title="Play from here"
+                        >
+                          {formatTimestamp(segment.start)}
+                        </button>
+                        {segment.summary}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+              
               {discussionData.videoContext.topics && discussionData.videoContext.topics.length > 0 && (
                 <div className="info-section">
                   <h4>Topics</h4>
@@ -244,6 +349,12 @@ function VideoDiscussion() {
                   </ul>
                 </div>
               )}
+              
+              <AnalysisRuns
+                videoId={discussionData.videoContext.id}
+                videoFileName={discussionData.videoContext.videoFileName}
+                onActivated={handleRunActivated}
+              />
             </div>
           </div>
         </section>
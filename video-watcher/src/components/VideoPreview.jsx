@@ -0,0 +1,59 @@
+import React, { useState } from 'react';
+
+const FALLBACK_POSTER = '/video-placeholder.jpg';
+
+/**
+ * Thumbnail of a video that scrubs through its preview sprite while hovered.
+ * Only images are loaded, never the recording itself.
+ */
+function VideoPreview({ video }) {
+  const { id, videoFileName, thumbnail, preview } = video;
+  const [posterFailed, setPosterFailed] = useState(false);
+  // Index of the sprite frame under the pointer, null when not hovering
+  const [frame, setFrame] = useState(null);
+
+  // Use the generated thumbnail as the poster, named after the dataset entry
+  const thumbName = `${id}.jpg`;
+  // Regenerated thumbnails keep their file name, so the generation time busts the browser cache
+  const posterUrl = `/thumbnails/${encodeURIComponent(thumbName)}${thumbnail ? `?v=${encodeURIComponent(thumbnail.generatedAt)}` : ''}`;
+  const spriteUrl = preview
+    ? `/thumbnails/${preview.sprite.split('/').map(encodeURIComponent).join('/')}?v=${encodeURIComponent(preview.generatedAt)}`
+    : null;
+
+  const handleMouseMove = (e) => {
+    if (!preview) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    const position = Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 0.999);
+    setFrame(Math.floor(position * preview.frames));
+  };
+
+  return (
+    <div
+      className="video-thumbnail"
+      onMouseMove={handleMouseMove}
+      onMouseLeave={() => setFrame(null)}
+    >
+      <img
+        src={posterFailed ? FALLBACK_POSTER : posterUrl}
+        alt={videoFileName}
+        loading="lazy"
+        onError={() => setPosterFailed(true)}
+      />
+      {spriteUrl && frame !== null && (
+        <>
+          <div
+            className="video-thumbnail-sprite"
+            style={{
+              backgroundImage: `url("${spriteUrl}")`,
+              backgroundSize: `${preview.frames * 100}% 100%`,
+              backgroundPosition: `${preview.frames > 1 ? (frame / (preview.frames - 1)) * 100 : 0}% 0`
+            }}
+          />
+          <div className="video-thumbnail-progress" style={{ width: `${((frame + 1) / preview.frames) * 100}%` }} />
+        </>
+      )}
+    </div>
+  );
+}
+
+export default VideoPreview;
@@ -0,0 +1,123 @@
+/**
+ * Helpers for comparing the results of two analysis runs
+ */
+import { formatTimestamp } from './format';
+
+// Texts with more sentence pairs than this are shown as replaced rather than diffed
+const MAX_DIFF_CELLS = 250000;
+
+const TEXT_FIELDS = [
+  ['summary', 'Summary'],
+  ['screenContent', 'Screen'],
+  ['actions', 'Actions'],
+  ['transcript', 'Transcript'],
+  ['relevant_context_summary', 'Context summary']
+];
+
+const LIST_FIELDS = [
+  ['topics', 'Topics', value => value],
+  ['tags', 'Tags', value => value],
+  ['segments', 'Timeline', segment => `${formatTimestamp(segment.start)}-${formatTimestamp(segment.end)} ${segment.summary}`],
+  ['inferred_insights', 'Insights', insight => insight.insight],
+  ['explicit_statements', 'Statements', statement => statement.statement],
+  ['explicit_directives', 'Directives', directive => directive.command]
+];
+
+/**
+ * Split a text into sentences, keeping their trailing punctuation and spaces
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function splitSentences(text) {
+  return text.match(/[^.!?\n]*(?:[.!?]+|\n)\s*|[^.!?\n]+$/g) || [];
+}
+
+/**
+ * Compare two texts sentence by sentence
+ * @param {string} before - Text of the first run
+ * @param {string} after - Text of the second run
+ * @returns {Array<Object>} Parts in reading order: { type: same, added or removed, text }
+ */
+export function diffText(before = '', after = '') {
+  const a = splitSentences(before);
+  const b = splitSentences(after);
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [{ type: 'removed', text: before }, { type: 'added', text: after }];
+  }
+
+  // Longest common subsequence of sentences, compared without surrounding spaces
+  const same = (i, j) => a[i].trim() === b[j].trim();
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = same(i, j) ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last?.type === type) last.text += text;
+    else parts.push({ type, text });
+  };
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (same(i, j)) {
+      push('same', b[j]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      push('removed', a[i++]);
+    } else {
+      push('added', b[j++]);
+    }
+  }
+  while (i < a.length) push('removed', a[i++]);
+  while (j < b.length) push('added', b[j++]);
+  return parts;
+}
+
+/**
+ * Compare two lists of values, ignoring order and case
+ * @param {Array<string>} before - Values of the first run
+ * @param {Array<string>} after - Values of the second run
+ * @returns {Object} { added, removed, kept }
+ */
+export function diffList(before = [], after = []) {
+  const key = value => String(value).trim().toLowerCase();
+  const beforeKeys = new Set(before.map(key));
+  const afterKeys = new Set(after.map(key));
+  return {
+    added: after.filter(value => !beforeKeys.has(key(value))),
+    removed: before.filter(value => !afterKeys.has(key(value))),
+    kept: after.filter(value => beforeKeys.has(key(value)))
+  };
+}
+
+/**
+ * Compare the results of two analysis runs field by field
+ * @param {Object} before - analysis of the first run
+ * @param {Object} after - analysis of the second run
+ * @returns {Array<Object>} Fields present in either run: { field, label, kind: text or list, changed, ... }
+ *   with `parts` for text fields and `added`, `removed` and `kept` for lists
+ */
+export function diffAnalyses(before = {}, after = {}) {
+  const fields = [];
+
+  for (const [field, label] of TEXT_FIELDS) {
+    if (!before[field] && !after[field]) continue;
+    const parts = diffText(before[field] || '', after[field] || '');
+    fields.push({ field, label, kind: 'text', parts, changed: parts.some(part => part.type !== 'same') });
+  }
+
+  for (const [field, label, describe] of LIST_FIELDS) {
+    const beforeList = Array.isArray(before[field]) ? before[field].map(describe) : [];
+    const afterList = Array.isArray(after[field]) ? after[field].map(describe) : [];
+    if (beforeList.length === 0 && afterList.length === 0) continue;
+    const diff = diffList(beforeList, afterList);
+    fields.push({ field, label, kind: 'list', ...diff, changed: diff.added.length > 0 || diff.removed.length > 0 });
+  }
+
+  return fields;
+}
@@ -0,0 +1,52 @@
+/**
+ * Formatting helpers shared by the components
+ */
+
+/**
+ * Format a position in a video as m:ss or h:mm:ss
+ * @param {number} seconds - Offset from the start of the video
+ * @returns {string} Formatted timestamp
+ */
+export function formatTimestamp(seconds) {
+  const total = Math.floor(seconds);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+/**
+ * Format a file size in bytes
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Size such as 1.2 GB
+ */
+export function formatFileSize(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let size = bytes;
+  let unit = 0;
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? size : size.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * Describe the media metadata of a video in one line
+ * @param {Object} media - media block of a dataset entry
+ * @returns {string} Duration, resolution, codec, frame rate, audio and size, or '' if unknown
+ */
+export function formatMediaInfo(media) {
+  if (!media) return '';
+  const parts = [];
+  if (media.duration) parts.push(formatTimestamp(media.duration));
+  if (media.video?.width && media.video?.height) parts.push(`${media.video.width}×${media.video.height}`);
+  if (media.video?.codec) parts.push(media.video.codec);
+  if (media.video?.frameRate) parts.push(`${media.video.frameRate} fps`);
+  if (Array.isArray(media.audioTracks)) {
+    const tracks = media.audioTracks.length;
+    parts.push(tracks === 0 ? 'no audio' : `${tracks} audio track${tracks > 1 ? 's' : ''}`);
+  }
+  if (media.size) parts.push(formatFileSize(media.size));
+  return parts.join(' · ');
+}
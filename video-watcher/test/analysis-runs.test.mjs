@@ -0,0 +1,127 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import catalog from '../server/catalog.mjs';
+
+// The video processor sets up its provider and run limit when it loads
+process.env.MODEL_PROVIDER = 'mock';
+process.env.MAX_ANALYSIS_RUNS = '3';
+const { listRuns, readRuns, saveToDataset, setActiveRun } = await import('../server/video-processor.mjs');
+
+const VIDEO_PATH = '/videos/demo.mp4';
+
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'analysis-runs-'));
+  await catalog.initialize(dir);
+});
+
+after(async () => {
+  await catalog.persist();
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+/**
+ * An analysis result as analyzeVideo returns it
+ */
+function analysisResult(summary, { model = 'gemini-2.0-flash', version = 'aaaaaaaaaaaa', error } = {}) {
+  return {
+    summary,
+    model,
+    mode: 'summary',
+    prompts: { analysis: { id: 'default-video-analysis', version } },
+    ...(error && { error })
+  };
+}
+
+/**
+ * Read a saved entry
+ */
+async function readEntry(jsonPath) {
+  return JSON.parse(await fs.readFile(jsonPath, 'utf-8'));
+}
+
+describe('listRuns', () => {
+  test('entries from before runs were kept have one run', () => {
+    const entry = { processedAt: '2025-04-15T17:38:12.000Z', analysis: { summary: 'Old', model: 'gemini-1.5-flash' } };
+    assert.deepEqual(listRuns(entry), [{
+      id: 'run_initial',
+      createdAt: '2025-04-15T17:38:12.000Z',
+      model: 'gemini-1.5-flash',
+      mode: null,
+      prompts: null,
+      status: 'ok',
+      error: null,
+      analysis: entry.analysis
+    }]);
+    assert.deepEqual(listRuns({}), []);
+  });
+
+  test('the run of a legacy entry can be read and activated', async () => {
+    const jsonPath = path.join(dir, 'legacy.json');
+    await fs.writeFile(jsonPath, JSON.stringify({ id: 'legacy', analysis: { summary: 'Old', error: 'quota' } }));
+    const { activeRunId, runs } = await readRuns(jsonPath);
+    assert.equal(activeRunId, 'run_initial');
+    assert.equal(runs[0].status, 'failed');
+
+    const entry = await setActiveRun(jsonPath, 'run_initial');
+    assert.equal(entry.activeRunId, 'run_initial');
+    assert.equal((await readEntry(jsonPath)).runs.length, 1);
+    assert.equal(await setActiveRun(jsonPath, 'run_missing'), null);
+  });
+});
+
+describe('saveToDataset', () => {
+  let first;
+
+  before(async () => {
+    first = await saveToDataset(VIDEO_PATH, analysisResult('First'), dir);
+  });
+
+  test('a reanalysis adds a run to the same entry and activates it', async () => {
+    const second = await saveToDataset(VIDEO_PATH, analysisResult('Second', { model: 'gemini-2.5-pro' }), dir);
+    assert.equal(second.datasetPath, first.datasetPath);
+    assert.equal(second.id, first.id);
+    assert.equal(second.active, true);
+
+    const entry = await readEntry(second.datasetPath);
+    assert.equal(entry.analysis.summary, 'Second');
+    assert.equal(entry.activeRunId, second.runId);
+    assert.deepEqual(entry.runs.map(run => run.analysis.summary), ['First', 'Second']);
+    assert.ok(entry.reanalyzedAt);
+  });
+
+  test('a failed run does not replace a successful one', async () => {
+    const previous = await readEntry(first.datasetPath);
+    const failed = await saveToDataset(VIDEO_PATH, analysisResult('Error', { error: 'quota' }), dir);
+    assert.equal(failed.active, false);
+
+    const entry = await readEntry(failed.datasetPath);
+    assert.equal(entry.activeRunId, previous.activeRunId);
+    assert.equal(entry.runs[entry.runs.length - 1].status, 'failed');
+  });
+
+  test('an earlier run can be made active again', async () => {
+    const entry = await setActiveRun(first.datasetPath, first.runId);
+    assert.equal(entry.analysis.summary, 'First');
+    assert.equal(catalog.get(path.basename(first.datasetPath)).activeRunId, first.runId);
+  });
+
+  test('the oldest runs are dropped over the limit, never the active one', async () => {
+    await saveToDataset(VIDEO_PATH, analysisResult('Error again', { version: 'bbbbbbbbbbbb', error: 'quota' }), dir);
+    const { activeRunId, runs } = await readRuns(first.datasetPath);
+    assert.equal(activeRunId, first.runId);
+    assert.deepEqual(runs.map(run => run.analysis.summary), ['First', 'Error', 'Error again']);
+  });
+
+  test('the catalog filters by the model and prompt version of the active run', () => {
+    const jsonFile = path.basename(first.datasetPath);
+    const jsonFiles = filter => catalog.query(filter).videos.map(video => video.jsonFile);
+    assert.deepEqual(jsonFiles({ model: 'gemini-2.0-flash', promptVersion: 'AAAAAAAAAAAA' }), [jsonFile]);
+    assert.deepEqual(jsonFiles({ promptVersion: 'bbbbbbbbbbbb' }), []);
+    assert.deepEqual(jsonFiles({ model: 'gemini-2.5-pro' }), []);
+  });
+});
@@ -0,0 +1,256 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { DatasetCatalog } from '../server/catalog.mjs';
+
+const ENTRIES = {
+  'standup.json': {
+    id: 'video_1',
+    videoFileName: 'standup.mp4',
+    videoPath: '/videos/standup.mp4',
+    processedAt: '2025-04-01T09:00:00.000Z',
+    media: { duration: 900, video: { codec: 'H264', width: 1920, height: 1080 }, audioTracks: [{ codec: 'aac' }] },
+    analysis: {
+      summary: 'Daily standup in the meeting room',
+      topics: ['Planning'],
+      tags: ['Meeting', 'team'],
+      transcript: 'Yesterday I fixed the login bug',
+      text: '{"summary": "..."}'
+    }
+  },
+  'refactor.json': {
+    id: 'video_2',
+    videoFileName: 'refactor.mp4',
+    videoPath: '/videos/refactor.mp4',
+    processedAt: '2025-04-15T14:30:00.000Z',
+    media: { duration: 3600, video: { codec: 'hevc', width: 1280, height: 720 }, audioTracks: [] },
+    analysis: {
+      summary: 'Refactoring the parser in an IDE',
+      topics: ['Parsing', 'planning'],
+      tags: ['coding']
+    }
+  },
+  'broken.json': {
+    id: 'video_3',
+    videoFileName: 'broken.mp4',
+    videoPath: '/videos/broken.mp4',
+    processedAt: '2025-04-30T23:59:00.000Z',
+    orphanedAt: '2025-05-02T08:00:00.000Z',
+    analysis: { error: 'Response could not be parsed as JSON', summary: 'Error processing video' }
+  }
+};
+
+let dir;
+let catalog;
+
+/**
+ * Open a catalog on the dataset folder
+ */
+async function openCatalog() {
+  const opened = new DatasetCatalog();
+  await opened.initialize(dir);
+  return opened;
+}
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'catalog-'));
+  for (const [file, entry] of Object.entries(ENTRIES)) {
+    await fs.writeFile(path.join(dir, file), JSON.stringify(entry));
+  }
+  catalog = await openCatalog();
+});
+
+after(async () => {
+  await catalog.persist();
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+/**
+ * File names of the entries a query returns, in order
+ */
+function names(options) {
+  return catalog.query(options).videos.map(video => video.videoFileName);
+}
+
+describe('sync', () => {
+  test('every JSON file of the dataset folder is indexed', () => {
+    assert.equal(catalog.count(), 3);
+    assert.deepEqual(catalog.get('standup.json'), ENTRIES['standup.json']);
+    assert.equal(catalog.findById('video_2').jsonFile, 'refactor.json');
+  });
+
+  test('the database is written to the catalog folder and reopened from it', async () => {
+    await catalog.persist();
+    await fs.access(path.join(dir, 'catalog', 'catalog.sqlite'));
+    const reopened = await openCatalog();
+    assert.equal(reopened.count(), 3);
+  });
+
+  test('changed files are read again and deleted ones dropped', async () => {
+    const scratch = new DatasetCatalog();
+    const scratchDir = await fs.mkdtemp(path.join(os.tmpdir(), 'catalog-sync-'));
+    try {
+      await fs.writeFile(path.join(scratchDir, 'a.json'), JSON.stringify({ id: 'a', analysis: { summary: 'first' } }));
+      await fs.writeFile(path.join(scratchDir, 'b.json'), JSON.stringify({ id: 'b', analysis: {} }));
+      await scratch.initialize(scratchDir);
+
+      const removed = [];
+      scratch.on('remove', ({ jsonFile }) => removed.push(jsonFile));
+      // A different modification time marks the file as changed
+      await fs.writeFile(path.join(scratchDir, 'a.json'), JSON.stringify({ id: 'a', analysis: { summary: 'second' } }));
+      await fs.utimes(path.join(scratchDir, 'a.json'), new Date(), new Date(Date.now() + 5000));
+      await fs.rm(path.join(scratchDir, 'b.json'));
+      await scratch.sync();
+
+      assert.equal(scratch.get('a.json').analysis.summary, 'second');
+      assert.equal(scratch.get('b.json'), null);
+      assert.deepEqual(removed, ['b.json']);
+    } finally {
+      await scratch.persist();
+      await fs.rm(scratchDir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('finding recordings', () => {
+  let scratch;
+  let scratchDir;
+
+  before(async () => {
+    scratchDir = await fs.mkdtemp(path.join(os.tmpdir(), 'catalog-find-'));
+    await fs.writeFile(path.join(scratchDir, 'relative.json'), JSON.stringify({
+      id: 'relative', videoFileName: 'relative.mp4', videoPath: 'videos/relative.mp4', processedAt: '2025-04-01T09:00:00.000Z'
+    }));
+    await fs.writeFile(path.join(scratchDir, 'legacy.json'), JSON.stringify({
+      id: 'legacy', videoFileName: 'legacy.mp4', processedAt: '2025-04-02T09:00:00.000Z', fingerprint: 'v1:abc'
+    }));
+    await fs.writeFile(path.join(scratchDir, 'copied.json'), JSON.stringify({
+      id: 'copied', videoFileName: 'copied.mp4', videoPath: '/videos/copied.mp4', processedAt: '2025-04-03T09:00:00.000Z',
+      fingerprint: 'v1:abc', aliases: ['/backup/../backup/copied.mp4']
+    }));
+    scratch = new DatasetCatalog();
+    await scratch.initialize(scratchDir, { videoFolder: '/watch' });
+  });
+
+  after(async () => {
+    await scratch.persist();
+    await fs.rm(scratchDir, { recursive: true, force: true });
+  });
+
+  test('paths are compared resolved', () => {
+    assert.equal(scratch.findByVideoPath(path.resolve('videos/relative.mp4')).jsonFile, 'relative.json');
+    assert.equal(scratch.findByVideoPath('/videos/./copied.mp4').jsonFile, 'copied.json');
+    assert.equal(scratch.findByVideoPath('/videos/other.mp4'), null);
+  });
+
+  test('entries without a path are found in the video folder', () => {
+    assert.equal(scratch.findByVideoPath('/watch/legacy.mp4').jsonFile, 'legacy.json');
+  });
+
+  test('copies are found by their alias', () => {
+    assert.deepEqual(scratch.findByAlias('/backup/copied.mp4').map(found => found.jsonFile), ['copied.json']);
+    assert.deepEqual(scratch.findByAlias('/videos/copied.mp4'), []);
+  });
+
+  test('the most recent entry of a fingerprint wins', () => {
+    assert.equal(scratch.findByFingerprint('v1:abc').jsonFile, 'copied.json');
+    assert.equal(scratch.findByFingerprint('v1:def'), null);
+  });
+});
+
+describe('filters', () => {
+  test('status', () => {
+    assert.deepEqual(names({ status: 'error' }), ['broken.mp4']);
+    assert.deepEqual(names({ status: 'ok' }), ['refactor.mp4', 'standup.mp4']);
+  });
+
+  test('processing date range', () => {
+    assert.deepEqual(names({ from: '2025-04-10' }), ['broken.mp4', 'refactor.mp4']);
+    assert.deepEqual(names({ to: '2025-04-15T23:59:59.999Z' }), ['refactor.mp4', 'standup.mp4']);
+    assert.deepEqual(names({ from: '2025-04-10', to: '2025-04-20' }), ['refactor.mp4']);
+  });
+
+  test('tags and topics ignore case', () => {
+    assert.deepEqual(names({ tag: 'meeting' }), ['standup.mp4']);
+    assert.deepEqual(names({ topic: 'PLANNING' }), ['refactor.mp4', 'standup.mp4']);
+    assert.deepEqual(names({ tag: 'planning' }), []);
+  });
+
+  test('filters combine', () => {
+    assert.deepEqual(names({ topic: 'planning', from: '2025-04-10' }), ['refactor.mp4']);
+    assert.equal(catalog.count({ topic: 'planning', from: '2025-04-10' }), 1);
+  });
+
+  test('orphaned', () => {
+    assert.deepEqual(names({ orphaned: true }), ['broken.mp4']);
+    assert.deepEqual(names({ orphaned: false }), ['refactor.mp4', 'standup.mp4']);
+  });
+
+  test('duration and resolution', () => {
+    assert.deepEqual(names({ minDuration: 1800 }), ['refactor.mp4']);
+    assert.deepEqual(names({ maxDuration: 1800 }), ['standup.mp4']);
+    assert.deepEqual(names({ minHeight: 1080 }), ['standup.mp4']);
+  });
+
+  test('codec ignores case and audio needs a track', () => {
+    assert.deepEqual(names({ codec: 'h264' }), ['standup.mp4']);
+    assert.deepEqual(names({ hasAudio: true }), ['standup.mp4']);
+    assert.deepEqual(names({ hasAudio: false }), ['refactor.mp4']);
+  });
+});
+
+describe('listing', () => {
+  test('videos carry only the listing fields and their JSON file name', () => {
+    const [video] = catalog.query({ tag: 'meeting' }).videos;
+    assert.equal(video.jsonFile, 'standup.json');
+    assert.equal(video.analysis.summary, 'Daily standup in the meeting room');
+    assert.deepEqual(video.analysis.tags, ['Meeting', 'team']);
+    assert.equal(video.analysis.transcript, undefined);
+    assert.equal(video.analysis.text, undefined);
+  });
+
+  test('orphaned entries say since when', () => {
+    const [video] = catalog.query({ orphaned: true }).videos;
+    assert.equal(video.orphanedAt, '2025-05-02T08:00:00.000Z');
+  });
+
+  test('locations list where every recording should be', () => {
+    assert.deepEqual(catalog.locations(), [
+      { jsonFile: 'broken.json', videoFileName: 'broken.mp4', videoPath: '/videos/broken.mp4', orphanedAt: '2025-05-02T08:00:00.000Z' },
+      { jsonFile: 'refactor.json', videoFileName: 'refactor.mp4', videoPath: '/videos/refactor.mp4', orphanedAt: null },
+      { jsonFile: 'standup.json', videoFileName: 'standup.mp4', videoPath: '/videos/standup.mp4', orphanedAt: null }
+    ]);
+  });
+
+  test('full returns whole entries', () => {
+    const [video] = catalog.query({ tag: 'meeting', full: true }).videos;
+    assert.deepEqual(video, { ...ENTRIES['standup.json'], jsonFile: 'standup.json' });
+  });
+
+  test('search text is read from its column', () => {
+    const standup = catalog.searchTexts().find(row => row.jsonFile === 'standup.json');
+    assert.match(standup.text, /Summary: Daily standup/);
+    assert.match(standup.text, /Transcript: Yesterday I fixed the login bug/);
+  });
+});
+
+describe('paging and sorting', () => {
+  test('most recent first by default, oldest first with asc', () => {
+    assert.deepEqual(names(), ['broken.mp4', 'refactor.mp4', 'standup.mp4']);
+    assert.deepEqual(names({ order: 'asc' }), ['standup.mp4', 'refactor.mp4', 'broken.mp4']);
+  });
+
+  test('a page is cut with limit and offset while total counts every match', () => {
+    const { videos, total } = catalog.query({ limit: 2, offset: 2 });
+    assert.deepEqual(videos.map(video => video.videoFileName), ['standup.mp4']);
+    assert.equal(total, 3);
+  });
+
+  test('the total of a page follows the filter', () => {
+    const { videos, total } = catalog.query({ status: 'ok', limit: 1 });
+    assert.deepEqual(videos.map(video => video.videoFileName), ['refactor.mp4']);
+    assert.equal(total, 2);
+  });
+});
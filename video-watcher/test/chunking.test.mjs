@@ -0,0 +1,103 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { planChunks } from '../server/chunker.mjs';
+
+// The video processor sets up its provider when it loads; the mock one needs no API key
+process.env.MODEL_PROVIDER = 'mock';
+const { mergeChunkResults } = await import('../server/video-processor.mjs');
+
+const GIB = 1024 * 1024 * 1024;
+
+describe('planChunks', () => {
+  test('a short, small recording stays in one piece', () => {
+    assert.deepEqual(planChunks(600, GIB / 10, { maxSeconds: 1800, maxBytes: GIB }), [{ index: 0, start: 0, end: 600 }]);
+  });
+
+  test('a long recording is cut into overlapping chunks', () => {
+    const chunks = planChunks(4000, GIB / 10, { maxSeconds: 1800, maxBytes: GIB, overlap: 10 });
+    assert.deepEqual(chunks, [
+      { index: 0, start: 0, end: 1800 },
+      { index: 1, start: 1790, end: 3590 },
+      { index: 2, start: 3580, end: 4000 }
+    ]);
+  });
+
+  test('a large file is cut by its average bitrate', () => {
+    const chunks = planChunks(1200, 2 * GIB, { maxSeconds: 0, maxBytes: GIB, overlap: 0 });
+    assert.deepEqual(chunks.map(({ start, end }) => [start, end]), [[0, 600], [600, 1200]]);
+  });
+
+  test('zero limits never split', () => {
+    assert.equal(planChunks(100000, 100 * GIB, { maxSeconds: 0, maxBytes: 0 }).length, 1);
+  });
+
+  test('chunks are never shorter than 30 seconds', () => {
+    const chunks = planChunks(100, GIB / 10, { maxSeconds: 5, maxBytes: 0, overlap: 0 });
+    assert.deepEqual(chunks.map(({ start, end }) => [start, end]), [[0, 30], [30, 60], [60, 90], [90, 100]]);
+  });
+});
+
+describe('mergeChunkResults', () => {
+  const chunks = [
+    { index: 0, start: 0, end: 600 },
+    { index: 1, start: 590, end: 1200 }
+  ];
+
+  test('texts are labelled by part and lists are joined', () => {
+    const merged = mergeChunkResults(chunks, [
+      { summary: 'Setting up', topics: ['Docker', 'CI'], tags: ['devops'], inferred_insights: [{ insight: 'Uses Docker', basis: 'terminal' }] },
+      { summary: 'Deploying', topics: ['docker', 'Kubernetes'], tags: ['devops'] }
+    ]);
+    assert.equal(merged.summary, 'Part 1 (0:00-10:00): Setting up\n\nPart 2 (9:50-20:00): Deploying');
+    assert.deepEqual(merged.topics, ['Docker', 'CI', 'Kubernetes']);
+    assert.deepEqual(merged.tags, ['devops']);
+    assert.deepEqual(merged.inferred_insights, [{ insight: 'Uses Docker', basis: 'terminal', chunk: 1 }]);
+    assert.deepEqual(merged.chunks.map(chunk => chunk.status), ['ok', 'ok']);
+    assert.equal(merged.partial, undefined);
+  });
+
+  test('segment times are shifted by the chunk start and the overlap is not repeated', () => {
+    const merged = mergeChunkResults(chunks, [
+      { summary: 'a', segments: [{ start: 0, end: 300, summary: 'Intro' }, { start: 300, end: 600, summary: 'Setup' }] },
+      { summary: 'b', segments: [{ start: 0, end: 10, summary: 'Setup again' }, { start: 10, end: 700, summary: 'Deploy' }] }
+    ]);
+    assert.deepEqual(merged.segments.map(({ start, end, summary }) => [start, end, summary]), [
+      [0, 300, 'Intro'],
+      [300, 600, 'Setup'],
+      [600, 1200, 'Deploy']
+    ]);
+  });
+
+  test('parts without segments become one segment each', () => {
+    const merged = mergeChunkResults(chunks, [{ summary: 'First half' }, { summary: 'Second half', transcript: 'bye' }]);
+    assert.deepEqual(merged.segments, [
+      { start: 0, end: 600, summary: 'First half', transcript: '', actions: '' },
+      { start: 590, end: 1200, summary: 'Second half', transcript: 'bye', actions: '' }
+    ]);
+  });
+
+  test('a failed part marks the result as partial', () => {
+    const merged = mergeChunkResults(chunks, [
+      { summary: 'Setting up' },
+      { error: 'Upload failed', errorCode: null, parseFailures: [{ task: 'default-video-analysis', error: 'bad JSON' }] }
+    ]);
+    assert.equal(merged.partial, true);
+    assert.equal(merged.summary, 'Part 1 (0:00-10:00): Setting up');
+    assert.deepEqual(merged.chunks[1], { index: 1, start: 590, end: 1200, status: 'failed', error: 'Upload failed' });
+    assert.deepEqual(merged.parseFailures, [{ task: 'default-video-analysis', error: 'bad JSON', chunk: 2 }]);
+  });
+
+  test('if every part failed the same way the error keeps its code', () => {
+    assert.throws(
+      () => mergeChunkResults(chunks, [
+        { error: 'not ready', errorCode: 'FILE_NOT_READY' },
+        { error: 'not ready', errorCode: 'FILE_NOT_READY' }
+      ]),
+      { message: 'All 2 parts failed to analyze: not ready', code: 'FILE_NOT_READY' }
+    );
+    assert.throws(
+      () => mergeChunkResults(chunks, [{ error: 'not ready', errorCode: 'FILE_NOT_READY' }, { error: 'quota' }]),
+      error => error.code === undefined
+    );
+  });
+});
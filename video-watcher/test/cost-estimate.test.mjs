@@ -0,0 +1,64 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Extra prices are read when the module loads
+process.env.MODEL_PRICES = '{"my-model": {"input": 1, "output": 2}}';
+const { getModelPrice, estimateAnalysis, estimateBatch } = await import('../server/cost-estimate.mjs');
+
+describe('getModelPrice', () => {
+  test('the longest matching model name wins', () => {
+    assert.deepEqual(getModelPrice('gemini-2.0-flash-001'), { input: 0.1, output: 0.4 });
+    assert.deepEqual(getModelPrice('gemini-2.0-flash-lite-001'), { input: 0.075, output: 0.3 });
+  });
+
+  test('prices from the environment are added', () => {
+    assert.deepEqual(getModelPrice('my-model-v2'), { input: 1, output: 2 });
+  });
+
+  test('unknown models have no price', () => {
+    assert.equal(getModelPrice('local-llava'), null);
+  });
+});
+
+describe('estimateAnalysis', () => {
+  test('tokens follow the duration, the mode and the inference pass', () => {
+    assert.deepEqual(
+      estimateAnalysis({ duration: 60, model: 'gemini-2.0-flash', mode: 'summary', inference: false }),
+      { inputTokens: 18000, outputTokens: 800, cost: 0.00212 }
+    );
+    const { inputTokens, outputTokens } = estimateAnalysis({ duration: 60, model: 'gemini-2.0-flash', mode: 'segments', inference: true });
+    assert.deepEqual([inputTokens, outputTokens], [20000, 2200]);
+  });
+
+  test('a model without a price has no cost', () => {
+    assert.equal(estimateAnalysis({ duration: 60, model: 'local-llava', mode: 'summary', inference: false }).cost, null);
+  });
+});
+
+describe('estimateBatch', () => {
+  const estimate = estimateBatch([
+    { duration: 60, model: 'gemini-2.0-flash', mode: 'summary', inference: false },
+    { duration: 3600, model: 'gemini-2.5-pro', mode: 'segments', inference: true },
+    { duration: 60, model: 'local-llava', mode: 'summary', inference: false },
+    { duration: null, model: 'gemini-2.0-flash', mode: 'summary', inference: false }
+  ]);
+
+  test('totals add up every recording with a duration', () => {
+    assert.equal(estimate.videos, 4);
+    assert.equal(estimate.seconds, 3720);
+    assert.equal(estimate.withoutDuration, 1);
+    assert.equal(estimate.inputTokens, 1082600);
+    assert.equal(estimate.outputTokens, 3800);
+    assert.equal(estimate.currency, 'USD');
+  });
+
+  test('costs are rounded to a hundredth of a cent', () => {
+    assert.equal(estimate.cost, 1.3324);
+    assert.deepEqual(estimate.byModel['gemini-2.0-flash'], { videos: 2, inputTokens: 18000, outputTokens: 800, cost: 0.0021 });
+  });
+
+  test('models without a price are listed and leave the total out', () => {
+    assert.deepEqual(estimate.unpricedModels, ['local-llava']);
+    assert.equal(estimate.byModel['local-llava'].cost, null);
+  });
+});
@@ -0,0 +1,131 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { hashEmbed, HASH_EMBEDDING_DIMENSIONS } from '../server/providers/hash-embedder.mjs';
+
+// The embedder is chosen when the module loads; the local one needs no API key
+process.env.EMBEDDER = 'local';
+const { EmbeddingStore, describeEntryForSearch } = await import('../server/embedding-store.mjs');
+
+const ITEMS = [
+  { jsonFile: 'parser.json', entry: { analysis: { summary: 'Refactoring the JSON parser', topics: ['parsing'] } } },
+  { jsonFile: 'standup.json', entry: { analysis: { summary: 'Daily standup meeting with the team' } } },
+  { jsonFile: 'empty.json', entry: { analysis: {} } }
+];
+
+let dir;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'embedding-store-'));
+});
+
+afterEach(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+/**
+ * Create an initialized store in the temporary folder
+ */
+async function openStore() {
+  const store = new EmbeddingStore();
+  await store.initialize(path.join(dir, 'embeddings', 'embeddings.json'));
+  return store;
+}
+
+describe('hashEmbed', () => {
+  test('vectors are unit length and the same for the same text', () => {
+    const vector = hashEmbed('debugging the parser');
+    assert.equal(vector.length, HASH_EMBEDDING_DIMENSIONS);
+    assert.ok(Math.abs(Math.hypot(...vector) - 1) < 1e-9);
+    assert.deepEqual(hashEmbed('Debugging the parser!'), vector);
+  });
+
+  test('text without words gives a zero vector', () => {
+    assert.ok(hashEmbed('...').every(value => value === 0));
+  });
+});
+
+describe('describeEntryForSearch', () => {
+  test('sections are included only when present', () => {
+    const text = describeEntryForSearch({
+      analysis: {
+        summary: 'A demo',
+        topics: ['search', 'ranking'],
+        segments: [{ summary: 'Intro' }],
+        inferred_insights: [{ insight: 'Prefers dark mode', basis: 'editor theme' }]
+      }
+    });
+    assert.match(text, /^Summary: A demo\n\n/);
+    assert.match(text, /Topics: search, ranking/);
+    assert.match(text, /Segments:\n- Intro\n/);
+    assert.match(text, /- Prefers dark mode \(Basis: editor theme\)/);
+    assert.doesNotMatch(text, /Transcript/);
+    assert.equal(describeEntryForSearch({}), '');
+  });
+});
+
+describe('EmbeddingStore', () => {
+  let store;
+
+  beforeEach(async () => {
+    store = await openStore();
+  });
+
+  test('sync embeds entries with text and marks the store ready', async () => {
+    assert.equal(store.ready, false);
+    assert.equal(await store.sync(ITEMS), 2);
+    assert.equal(store.ready, true);
+    assert.deepEqual([...store.vectors.keys()].sort(), ['parser.json', 'standup.json']);
+  });
+
+  test('unchanged entries are not embedded again and removed ones are dropped', async () => {
+    await store.sync(ITEMS);
+    assert.equal(await store.sync(ITEMS), 0);
+
+    const changed = [{ jsonFile: 'parser.json', entry: { analysis: { summary: 'Rewriting the parser' } } }];
+    assert.equal(await store.sync(changed), 1);
+    assert.deepEqual([...store.vectors.keys()], ['parser.json']);
+  });
+
+  test('search orders entries by similarity to the query', async () => {
+    await store.sync(ITEMS);
+    const results = await store.search('parser refactoring');
+    assert.deepEqual(results.map(result => result.jsonFile), ['parser.json', 'standup.json']);
+    assert.ok(results[0].similarity > results[1].similarity);
+    assert.equal((await store.search('parser', { limit: 1 })).length, 1);
+  });
+
+  test('an empty store finds nothing', async () => {
+    assert.deepEqual(await store.search('parser'), []);
+  });
+
+  test('index adds, updates and clears a single entry', async () => {
+    await store.index('demo.json', { analysis: { summary: 'Demo of the search page' } });
+    const first = store.vectors.get('demo.json');
+    assert.ok(first);
+
+    await store.index('demo.json', { analysis: { summary: 'Demo of the search page' } });
+    assert.equal(store.vectors.get('demo.json'), first);
+
+    await store.index('demo.json', { analysis: {} });
+    assert.equal(store.vectors.has('demo.json'), false);
+  });
+
+  test('vectors are persisted and reloaded', async () => {
+    await store.sync(ITEMS);
+    await store.remove('standup.json');
+
+    const reopened = await openStore();
+    assert.deepEqual([...reopened.vectors.keys()], ['parser.json']);
+    assert.deepEqual(reopened.vectors.get('parser.json'), store.vectors.get('parser.json'));
+  });
+
+  test('vectors of another embedder are discarded', async () => {
+    const storePath = path.join(dir, 'embeddings', 'embeddings.json');
+    await fs.writeFile(storePath, JSON.stringify({ embedder: 'mock:other-model', vectors: { 'old.json': { textHash: 'x', vector: [1] } } }));
+    const reopened = await openStore();
+    assert.equal(reopened.vectors.size, 0);
+  });
+});
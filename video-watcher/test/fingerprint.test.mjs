@@ -0,0 +1,56 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { computeFingerprint } from '../server/fingerprint.mjs';
+
+let folder;
+
+before(async () => {
+  folder = await fs.mkdtemp(path.join(os.tmpdir(), 'fingerprint-'));
+});
+
+after(async () => {
+  await fs.rm(folder, { recursive: true, force: true });
+});
+
+/**
+ * Write a file and return its path
+ */
+async function writeFile(name, content) {
+  const filePath = path.join(folder, name);
+  await fs.writeFile(filePath, content);
+  return filePath;
+}
+
+describe('computeFingerprint', () => {
+  test('fingerprints are versioned hashes', async () => {
+    const fingerprint = await computeFingerprint(await writeFile('small.mp4', 'hello'));
+    assert.match(fingerprint, /^v1:[0-9a-f]{64}$/);
+  });
+
+  test('a renamed copy has the same fingerprint', async () => {
+    const content = crypto.randomBytes(3 * 1024 * 1024);
+    const original = await computeFingerprint(await writeFile('recording.mp4', content));
+    assert.equal(await computeFingerprint(await writeFile('renamed.mkv', content)), original);
+  });
+
+  test('changed content gives a different fingerprint', async () => {
+    const content = crypto.randomBytes(3 * 1024 * 1024);
+    const original = await computeFingerprint(await writeFile('a.mp4', content));
+    content[content.length - 1] ^= 0xff;
+    assert.notEqual(await computeFingerprint(await writeFile('b.mp4', content)), original);
+  });
+
+  test('files of different sizes never match', async () => {
+    const first = await computeFingerprint(await writeFile('zeros-1.mp4', Buffer.alloc(1000)));
+    const second = await computeFingerprint(await writeFile('zeros-2.mp4', Buffer.alloc(1001)));
+    assert.notEqual(first, second);
+  });
+
+  test('an empty file can be fingerprinted', async () => {
+    assert.match(await computeFingerprint(await writeFile('empty.mp4', '')), /^v1:/);
+  });
+});
@@ -0,0 +1,137 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { JobQueue, JOB_STATUS } from '../server/job-queue.mjs';
+import processingEvents, { emitStage } from '../server/processing-events.mjs';
+
+let dir;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'job-queue-'));
+});
+
+afterEach(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+/**
+ * Create an initialized queue whose handler waits until released
+ */
+async function createQueue() {
+  const releases = [];
+  const queue = new JobQueue({
+    storePath: path.join(dir, 'queue.json'),
+    handler: job => new Promise((resolve, reject) => releases.push({ job, resolve, reject }))
+  });
+  await queue.initialize();
+  return { queue, releases };
+}
+
+/**
+ * Wait for the job event that puts a job in the given state
+ */
+function waitForStatus(queue, status) {
+  return new Promise(resolve => {
+    const listener = job => {
+      if (job.status === status) {
+        queue.off('job', listener);
+        resolve(job);
+      }
+    };
+    queue.on('job', listener);
+  });
+}
+
+describe('job status', () => {
+  test('a job goes from queued to running to succeeded, with an event each time', async () => {
+    const { queue, releases } = await createQueue();
+    const statuses = [];
+    queue.on('job', job => statuses.push(job.status));
+
+    const job = await queue.submit('/videos/a.mp4', { source: 'watcher' });
+    assert.equal(job.status, JOB_STATUS.QUEUED);
+    assert.equal(job.videoFileName, 'a.mp4');
+
+    const running = waitForStatus(queue, JOB_STATUS.RUNNING);
+    queue.start();
+    await running;
+    assert.deepEqual(queue.counts(), { queued: 0, running: 1, succeeded: 0, failed: 0 });
+
+    const succeeded = waitForStatus(queue, JOB_STATUS.SUCCEEDED);
+    releases[0].resolve({ datasetPath: 'a.json' });
+    const done = await succeeded;
+    assert.deepEqual(done.result, { datasetPath: 'a.json' });
+    assert.equal(done.attempts, 1);
+    assert.ok(done.finishedAt);
+    assert.deepEqual(statuses, ['queued', 'running', 'succeeded']);
+  });
+
+  test('a failing handler records the error', async () => {
+    const { queue, releases } = await createQueue();
+    await queue.submit('/videos/a.mp4');
+    const running = waitForStatus(queue, JOB_STATUS.RUNNING);
+    queue.start();
+    await running;
+
+    const failed = waitForStatus(queue, JOB_STATUS.FAILED);
+    releases[0].reject(new Error('upload failed'));
+    assert.equal((await failed).error, 'upload failed');
+    assert.deepEqual(queue.list({ status: 'failed' }).map(job => job.videoFileName), ['a.mp4']);
+  });
+
+  test('a video with an active job is not queued twice', async () => {
+    const { queue } = await createQueue();
+    const first = await queue.submit('/videos/a.mp4');
+    const second = await queue.submit('/videos/a.mp4');
+    assert.equal(second, first);
+    assert.equal(queue.list().length, 1);
+  });
+
+  test('jobs left running by a restart are queued again', async () => {
+    const { queue } = await createQueue();
+    await queue.submit('/videos/a.mp4');
+    queue.jobs[0].status = JOB_STATUS.RUNNING;
+    queue.jobs[0].stage = 'video:analyzing';
+    await queue.persist();
+
+    const { queue: restarted } = await createQueue();
+    assert.equal(restarted.jobs[0].status, JOB_STATUS.QUEUED);
+    assert.equal(restarted.jobs[0].stage, null);
+  });
+});
+
+describe('stages', () => {
+  test('emitStage adds a timestamp to the event', () => {
+    const events = [];
+    const listener = event => events.push(event);
+    processingEvents.on('stage', listener);
+    emitStage('video', 'uploading', { videoPath: '/videos/a.mp4' });
+    processingEvents.off('stage', listener);
+
+    assert.equal(events.length, 1);
+    assert.equal(events[0].scope, 'video');
+    assert.equal(events[0].stage, 'uploading');
+    assert.equal(events[0].videoPath, '/videos/a.mp4');
+    assert.ok(!Number.isNaN(Date.parse(events[0].timestamp)));
+  });
+
+  test('only the running job of the video takes the stage', async () => {
+    const { queue, releases } = await createQueue();
+    await queue.submit('/videos/a.mp4');
+    const running = waitForStatus(queue, JOB_STATUS.RUNNING);
+    queue.start();
+    await running;
+
+    const event = { scope: 'video', stage: 'analyzing', videoPath: '/videos/a.mp4', timestamp: '2025-04-15T17:38:12.000Z' };
+    const job = queue.updateStage(event);
+    assert.equal(job.stage, 'video:analyzing');
+    assert.equal(job.stageAt, event.timestamp);
+    assert.equal(queue.updateStage({ ...event, videoPath: '/videos/b.mp4' }), undefined);
+
+    const succeeded = waitForStatus(queue, JOB_STATUS.SUCCEEDED);
+    releases[0].resolve(null);
+    await succeeded;
+  });
+});
@@ -0,0 +1,54 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import processingEvents from '../server/processing-events.mjs';
+
+// A binary that doesn't exist, so extraction fails the same way on every machine
+process.env.FFMPEG_PATH = path.join(os.tmpdir(), 'missing-ffmpeg');
+const { getKeyframeDirName, generateKeyframes, readKeyframes } = await import('../server/keyframes.mjs');
+
+let folder;
+
+beforeEach(async () => {
+  folder = await fs.mkdtemp(path.join(os.tmpdir(), 'keyframes-'));
+});
+
+afterEach(async () => {
+  await fs.rm(folder, { recursive: true, force: true });
+});
+
+describe('keyframes', () => {
+  test('the folder is named after the dataset entry', () => {
+    assert.equal(getKeyframeDirName('video_1'), 'video_1.keyframes');
+  });
+
+  test('the stored manifest is read back', async () => {
+    const manifest = {
+      videoFileName: 'demo.mp4',
+      generatedAt: '2025-04-15T17:38:12.000Z',
+      keyframes: [{ file: 'frame_0001.jpg', time: 4.2 }]
+    };
+    await fs.mkdir(path.join(folder, 'video_1.keyframes'));
+    await fs.writeFile(path.join(folder, 'video_1.keyframes', 'keyframes.json'), JSON.stringify(manifest));
+    assert.deepEqual(await readKeyframes(folder, 'video_1'), manifest);
+  });
+
+  test('a recording without keyframes has no manifest', async () => {
+    assert.equal(await readKeyframes(folder, 'video_2'), null);
+  });
+
+  test('a failed extraction removes the folder and reports the failure', async () => {
+    const stages = [];
+    const listener = event => stages.push(event.stage);
+    processingEvents.on('stage', listener);
+    try {
+      await assert.rejects(generateKeyframes('/videos/demo.mp4', folder, 'video_1'));
+    } finally {
+      processingEvents.off('stage', listener);
+    }
+    assert.deepEqual(stages, ['generating', 'failed']);
+    await assert.rejects(fs.access(path.join(folder, 'video_1.keyframes')), { code: 'ENOENT' });
+  });
+});
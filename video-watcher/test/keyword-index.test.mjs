@@ -0,0 +1,96 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { KeywordIndex, tokenize } from '../server/keyword-index.mjs';
+
+/**
+ * A dataset entry with the given analysis fields
+ */
+function entry(videoFileName, analysis) {
+  return { videoFileName, videoPath: `/videos/${videoFileName}`, processedAt: '2025-04-15T17:38:12.000Z', analysis };
+}
+
+describe('tokenize', () => {
+  test('words are lower-cased with their positions', () => {
+    assert.deepEqual(tokenize('Fix Parser'), [
+      { term: 'fix', start: 0, end: 3 },
+      { term: 'parser', start: 4, end: 10 }
+    ]);
+  });
+
+  test('stop words are dropped', () => {
+    assert.deepEqual(tokenize('the state of the art').map(token => token.term), ['state', 'art']);
+  });
+
+  test('simple plurals are folded', () => {
+    assert.deepEqual(tokenize('tests class bus').map(token => token.term), ['test', 'class', 'bus']);
+  });
+
+  test('letters and digits of any script are kept', () => {
+    assert.deepEqual(tokenize('café h264, naïve!').map(token => token.term), ['café', 'h264', 'naïve']);
+  });
+});
+
+describe('KeywordIndex', () => {
+  let index;
+
+  beforeEach(() => {
+    index = new KeywordIndex();
+    index.rebuild([
+      { jsonFile: 'summary.json', entry: entry('summary.mp4', { summary: 'Debugging the parser', transcript: 'unrelated words here' }) },
+      { jsonFile: 'transcript.json', entry: entry('transcript.mp4', { summary: 'A meeting', transcript: 'someone mentions the parser once' }) },
+      { jsonFile: 'other.json', entry: entry('other.mp4', { summary: 'Editing slides', tags: ['presentation'] }) }
+    ]);
+  });
+
+  test('a match in the summary outranks one in the transcript', () => {
+    const hits = index.search('parser');
+    assert.deepEqual(hits.map(hit => hit.filename), ['summary.json', 'transcript.json']);
+    assert.ok(hits[0].score > hits[1].score);
+    assert.deepEqual(hits[0].matchedTerms, ['parser']);
+  });
+
+  test('hits carry the entry details', () => {
+    const [hit] = index.search('slides');
+    assert.equal(hit.videoFileName, 'other.mp4');
+    assert.equal(hit.videoPath, '/videos/other.mp4');
+    assert.equal(hit.moment, null);
+  });
+
+  test('snippets highlight the matched words', () => {
+    const [hit] = index.search('debugging');
+    const snippet = hit.snippets.find(s => s.field === 'summary');
+    assert.equal(snippet.text, 'Debugging the parser');
+    assert.deepEqual(snippet.highlights, [[0, 9]]);
+  });
+
+  test('long fields are cut around the first match', () => {
+    const long = `${'lorem '.repeat(40)}needle${' ipsum'.repeat(40)}`;
+    index.add('long.json', entry('long.mp4', { transcript: long }));
+    const [hit] = index.search('needle');
+    const snippet = hit.snippets[0];
+    assert.ok(snippet.text.startsWith('…') && snippet.text.endsWith('…'));
+    const [start, end] = snippet.highlights[0];
+    assert.equal(snippet.text.slice(start, end), 'needle');
+  });
+
+  test('the limit caps the hits', () => {
+    assert.equal(index.search('parser', { limit: 1 }).length, 1);
+  });
+
+  test('queries of stop words or unknown words find nothing', () => {
+    assert.deepEqual(index.search('the of'), []);
+    assert.deepEqual(index.search('kubernetes'), []);
+  });
+
+  test('adding an entry again replaces it', () => {
+    index.add('other.json', entry('other.mp4', { summary: 'Reviewing the parser' }));
+    assert.deepEqual(index.search('slides'), []);
+    assert.equal(index.search('parser').length, 3);
+  });
+
+  test('a removed entry is no longer found', () => {
+    index.remove('summary.json');
+    assert.deepEqual(index.search('parser').map(hit => hit.filename), ['transcript.json']);
+    assert.equal(index.postings.has('debugging'), false);
+  });
+});
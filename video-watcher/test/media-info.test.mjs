@@ -0,0 +1,87 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// Stand-in for ffprobe that prints FAKE_PROBE, and fails when it is unset
+const FAKE_FFPROBE = `#!/usr/bin/env node
+if (!process.env.FAKE_PROBE) process.exit(1);
+console.log(process.env.FAKE_PROBE);
+`;
+
+const PROBE = {
+  format: { duration: '1800.5', bit_rate: '6000000', tags: { creation_time: '2025-04-15T15:38:12.000000Z' } },
+  streams: [
+    { codec_type: 'video', codec_name: 'png', width: 320, height: 180, disposition: { attached_pic: 1 } },
+    { codec_type: 'video', codec_name: 'h264', width: 1920, height: 1080, avg_frame_rate: '30000/1001' },
+    { codec_type: 'audio', codec_name: 'aac', channels: 2, sample_rate: '48000', tags: { language: 'eng', title: 'Mic' } },
+    { codec_type: 'audio', codec_name: 'opus', channels: 1, sample_rate: '48000' }
+  ]
+};
+
+const binFolder = await fs.mkdtemp(path.join(os.tmpdir(), 'media-info-bin-'));
+process.env.FFPROBE_PATH = path.join(binFolder, 'ffprobe');
+const { probeMedia } = await import('../server/media-info.mjs');
+
+let folder;
+
+before(async () => {
+  await fs.writeFile(process.env.FFPROBE_PATH, FAKE_FFPROBE, { mode: 0o755 });
+  folder = await fs.mkdtemp(path.join(os.tmpdir(), 'media-info-'));
+});
+
+after(async () => {
+  await fs.rm(folder, { recursive: true, force: true });
+  await fs.rm(binFolder, { recursive: true, force: true });
+});
+
+/**
+ * Write a small MP4-looking file and probe it with the given ffprobe output
+ */
+async function probe(fileName, output) {
+  const filePath = path.join(folder, fileName);
+  await fs.writeFile(filePath, Buffer.concat([Buffer.from([0, 0, 0, 24]), Buffer.from('ftypisom')]));
+  if (output) {
+    process.env.FAKE_PROBE = JSON.stringify(output);
+  } else {
+    delete process.env.FAKE_PROBE;
+  }
+  return probeMedia(filePath);
+}
+
+describe('probeMedia', () => {
+  test('format, video and audio streams are read', async () => {
+    const media = await probe('demo.mkv', PROBE);
+    assert.equal(media.container, 'mp4');
+    assert.equal(media.duration, 1800.5);
+    assert.equal(media.size, 12);
+    assert.equal(media.bitRate, 6000000);
+    assert.deepEqual(media.video, { codec: 'h264', width: 1920, height: 1080, frameRate: 29.97 });
+    assert.deepEqual(media.audioTracks, [
+      { codec: 'aac', channels: 2, sampleRate: 48000, language: 'eng', title: 'Mic' },
+      { codec: 'opus', channels: 1, sampleRate: 48000, language: null, title: null }
+    ]);
+    assert.equal(media.recordedAt, '2025-04-15T15:38:12.000Z');
+  });
+
+  test('without a creation time the start is read from an OBS file name', async () => {
+    const media = await probe('2025-04-15 17-38-12.mp4', { format: { duration: '60' }, streams: [] });
+    assert.equal(media.recordedAt, new Date(2025, 3, 15, 17, 38, 12).toISOString());
+    assert.equal(media.video, null);
+    assert.deepEqual(media.audioTracks, []);
+  });
+
+  test('otherwise the start is the modification time minus the duration', async () => {
+    const media = await probe('clip.mp4', { format: { duration: '60' }, streams: [] });
+    const { mtimeMs } = await fs.stat(path.join(folder, 'clip.mp4'));
+    assert.equal(media.recordedAt, new Date(mtimeMs - 60000).toISOString());
+  });
+
+  test('a failed probe keeps the size and the error', async () => {
+    const media = await probe('broken.mp4', null);
+    assert.equal(media.size, 12);
+    assert.match(media.error, /^ffprobe failed: /);
+    assert.equal(media.duration, undefined);
+  });
+});
@@ -0,0 +1,57 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// Stand-in for ffmpeg that writes its arguments to the output file
+const FAKE_FFMPEG = `#!/usr/bin/env node
+const args = process.argv.slice(2);
+require('fs').writeFileSync(args[args.length - 1], JSON.stringify(args));
+`;
+
+// Stand-in for ffprobe: the duration comes from FAKE_DURATION, which fails the probe when unset
+const FAKE_FFPROBE = `#!/usr/bin/env node
+if (!process.env.FAKE_DURATION) process.exit(1);
+console.log(process.env.FAKE_DURATION);
+`;
+
+const binFolder = await fs.mkdtemp(path.join(os.tmpdir(), 'previews-bin-'));
+process.env.FFMPEG_PATH = path.join(binFolder, 'ffmpeg');
+process.env.FFPROBE_PATH = path.join(binFolder, 'ffprobe');
+const { getPreviewDirName, generatePreviewSprite } = await import('../server/previews.mjs');
+
+let folder;
+
+before(async () => {
+  await fs.writeFile(process.env.FFMPEG_PATH, FAKE_FFMPEG, { mode: 0o755 });
+  await fs.writeFile(process.env.FFPROBE_PATH, FAKE_FFPROBE, { mode: 0o755 });
+  folder = await fs.mkdtemp(path.join(os.tmpdir(), 'previews-'));
+});
+
+after(async () => {
+  await fs.rm(folder, { recursive: true, force: true });
+  await fs.rm(binFolder, { recursive: true, force: true });
+});
+
+describe('preview sprites', () => {
+  test('the folder is named after the dataset entry', () => {
+    assert.equal(getPreviewDirName('video_1'), 'video_1.preview');
+  });
+
+  test('frames are sampled in the middle of each tenth of the video', async () => {
+    process.env.FAKE_DURATION = '125';
+    const preview = await generatePreviewSprite('demo.mp4', folder, 'video_1');
+    assert.deepEqual(preview, { frames: 10, frameWidth: 160, frameHeight: 90, interval: 12.5 });
+
+    const args = JSON.parse(await fs.readFile(path.join(folder, 'video_1.preview', 'sprite.jpg'), 'utf-8'));
+    assert.equal(args[args.indexOf('-ss') + 1], '6.25');
+    assert.match(args[args.indexOf('-vf') + 1], /^fps=1\/12\.5,.*,tile=10x1$/);
+  });
+
+  test('a failed preview leaves no folder behind', async () => {
+    delete process.env.FAKE_DURATION;
+    await assert.rejects(generatePreviewSprite('demo.mp4', folder, 'video_2'));
+    await assert.rejects(fs.access(path.join(folder, 'video_2.preview')), { code: 'ENOENT' });
+  });
+});
@@ -0,0 +1,110 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { PromptRegistry, hashPrompt } from '../server/prompt-registry.mjs';
+
+const GREETING = `# Greeting
+
+Used to test templates.
+
+\`\`\`text
+Hello {{ name }}, here are your videos:
+{{videos}}
+Bye {{name}}
+\`\`\`
+
+Notes after the template are ignored.
+`;
+
+let folder;
+let registry;
+
+beforeEach(async () => {
+  folder = await fs.mkdtemp(path.join(os.tmpdir(), 'prompt-registry-'));
+  registry = new PromptRegistry(folder);
+});
+
+afterEach(async () => {
+  await fs.rm(folder, { recursive: true, force: true });
+});
+
+describe('hashPrompt', () => {
+  test('versions are short, stable and change with the text', () => {
+    assert.match(hashPrompt('Describe the video'), /^[0-9a-f]{12}$/);
+    assert.equal(hashPrompt('Describe the video'), hashPrompt('Describe the video'));
+    assert.notEqual(hashPrompt('Describe the video'), hashPrompt('Describe the video.'));
+  });
+});
+
+describe('templates', () => {
+  test('the template is the first fenced block of the file', async () => {
+    await fs.writeFile(path.join(folder, 'prompt-greeting.md'), GREETING);
+    const prompt = await registry.loadFile(path.join(folder, 'prompt-greeting.md'));
+    assert.equal(prompt.id, 'greeting');
+    assert.equal(prompt.template, 'Hello {{ name }}, here are your videos:\n{{videos}}\nBye {{name}}');
+    assert.equal(prompt.version, hashPrompt(prompt.template));
+    assert.deepEqual(prompt.variables, ['name', 'videos']);
+  });
+
+  test('variables are filled in, strings as they are and other values as JSON', async () => {
+    await fs.writeFile(path.join(folder, 'prompt-greeting.md'), GREETING);
+    const { version } = await registry.loadFile(path.join(folder, 'prompt-greeting.md'));
+    const rendered = registry.render('greeting', { name: 'Ada', videos: ['a.mp4'] });
+    assert.deepEqual(rendered, {
+      id: 'greeting',
+      version,
+      text: 'Hello Ada, here are your videos:\n[\n  "a.mp4"\n]\nBye Ada'
+    });
+  });
+
+  test('a variable without a value is an error', async () => {
+    await fs.writeFile(path.join(folder, 'prompt-greeting.md'), GREETING);
+    await registry.loadFile(path.join(folder, 'prompt-greeting.md'));
+    assert.throws(() => registry.render('greeting', { name: 'Ada' }), /Prompt greeting uses variables that have no value: videos/);
+    assert.throws(() => registry.render('farewell'), /Unknown prompt: farewell/);
+  });
+
+  test('a file without a template keeps the version loaded before', async () => {
+    const filePath = path.join(folder, 'prompt-greeting.md');
+    await fs.writeFile(filePath, GREETING);
+    const { version } = await registry.loadFile(filePath);
+    await fs.writeFile(filePath, '# Greeting\n\nWork in progress');
+    assert.equal(await registry.loadFile(filePath), null);
+    assert.equal(registry.get('greeting').version, version);
+  });
+
+  test('loading fails when a prompt the server uses is missing', async () => {
+    await fs.writeFile(path.join(folder, 'prompt-greeting.md'), GREETING);
+    await assert.rejects(registry.load(), /Missing prompt templates in .*prompt-default-video-analysis\.md/);
+  });
+
+  test('the prompts in the docs folder are complete', async () => {
+    const docs = new PromptRegistry();
+    await docs.load();
+    assert.ok(docs.list().some(prompt => prompt.id === 'default-video-analysis'));
+  });
+});
+
+describe('raw prompts', () => {
+  test('a registered text is used as it is', async () => {
+    const prompt = await registry.register('folder:meetings', { text: 'Summarize the meeting in {{language}}' });
+    assert.equal(prompt.raw, true);
+    assert.deepEqual(prompt.variables, []);
+    assert.deepEqual(registry.render('folder:meetings'), {
+      id: 'folder:meetings',
+      version: hashPrompt('Summarize the meeting in {{language}}'),
+      text: 'Summarize the meeting in {{language}}'
+    });
+  });
+
+  test('a registered file is read whole', async () => {
+    const filePath = path.join(folder, 'meetings.txt');
+    await fs.writeFile(filePath, 'List the decisions.\n');
+    const prompt = await registry.register('folder:meetings', { file: filePath });
+    assert.equal(prompt.template, 'List the decisions.\n');
+    assert.equal(prompt.file, filePath);
+    assert.deepEqual(registry.list().map(({ id, file }) => [id, file]), [['folder:meetings', filePath]]);
+  });
+});
@@ -0,0 +1,235 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import {
+  parseRangeHeader,
+  evaluatePreconditions,
+  ifRangeMatches,
+  createEtag,
+  sendFileWithRanges
+} from '../server/range-serving.mjs';
+
+// 100 bytes: "0123456789" ten times
+const CONTENT = '0123456789'.repeat(10);
+const SIZE = CONTENT.length;
+
+describe('parseRangeHeader', () => {
+  test('no header means no range', () => {
+    assert.equal(parseRangeHeader(undefined, SIZE), null);
+  });
+
+  test('a closed range', () => {
+    assert.deepEqual(parseRangeHeader('bytes=10-19', SIZE), { ranges: [{ start: 10, end: 19 }] });
+  });
+
+  test('an open range runs to the end', () => {
+    assert.deepEqual(parseRangeHeader('bytes=90-', SIZE), { ranges: [{ start: 90, end: 99 }] });
+  });
+
+  test('an end past the file is clamped', () => {
+    assert.deepEqual(parseRangeHeader('bytes=95-500', SIZE), { ranges: [{ start: 95, end: 99 }] });
+  });
+
+  describe('suffix ranges', () => {
+    test('the last N bytes', () => {
+      assert.deepEqual(parseRangeHeader('bytes=-10', SIZE), { ranges: [{ start: 90, end: 99 }] });
+    });
+
+    test('a suffix longer than the file is the whole file', () => {
+      assert.deepEqual(parseRangeHeader('bytes=-500', SIZE), { ranges: [{ start: 0, end: 99 }] });
+    });
+
+    test('a zero-length suffix is unsatisfiable', () => {
+      assert.deepEqual(parseRangeHeader('bytes=-0', SIZE), { unsatisfiable: true });
+    });
+  });
+
+  describe('out-of-bounds starts', () => {
+    test('a start at the file size is unsatisfiable', () => {
+      assert.deepEqual(parseRangeHeader('bytes=100-', SIZE), { unsatisfiable: true });
+    });
+
+    test('a start past the end is unsatisfiable', () => {
+      assert.deepEqual(parseRangeHeader('bytes=500-600', SIZE), { unsatisfiable: true });
+    });
+
+    test('out-of-bounds ranges are dropped when another one fits', () => {
+      assert.deepEqual(parseRangeHeader('bytes=500-600, 0-4', SIZE), { ranges: [{ start: 0, end: 4 }] });
+    });
+
+    test('nothing is satisfiable in an empty file', () => {
+      assert.deepEqual(parseRangeHeader('bytes=0-', 0), { unsatisfiable: true });
+    });
+  });
+
+  describe('multi-range coalescing', () => {
+    test('separate ranges are kept in order', () => {
+      assert.deepEqual(parseRangeHeader('bytes=50-59, 0-9', SIZE), {
+        ranges: [{ start: 0, end: 9 }, { start: 50, end: 59 }]
+      });
+    });
+
+    test('overlapping ranges are merged', () => {
+      assert.deepEqual(parseRangeHeader('bytes=0-20, 10-30', SIZE), { ranges: [{ start: 0, end: 30 }] });
+    });
+
+    test('adjacent ranges are merged', () => {
+      assert.deepEqual(parseRangeHeader('bytes=0-9,10-19', SIZE), { ranges: [{ start: 0, end: 19 }] });
+    });
+
+    test('a contained range disappears', () => {
+      assert.deepEqual(parseRangeHeader('bytes=0-50, 10-20, -5', SIZE), {
+        ranges: [{ start: 0, end: 50 }, { start: 95, end: 99 }]
+      });
+    });
+
+    test('too many ranges are ignored', () => {
+      const header = `bytes=${Array.from({ length: 40 }, (_, i) => `${i * 2}-${i * 2}`).join(',')}`;
+      assert.equal(parseRangeHeader(header, SIZE), null);
+    });
+  });
+
+  describe('malformed headers are ignored', () => {
+    const malformed = ['items=0-10', 'bytes=', 'bytes=-', 'bytes=abc', 'bytes=10-5', 'bytes=1-2-3', 'bytes 0-10', 'bytes=0-10,x'];
+    for (const header of malformed) {
+      test(JSON.stringify(header), () => {
+        assert.equal(parseRangeHeader(header, SIZE), null);
+      });
+    }
+
+    test('the unit is case-insensitive', () => {
+      assert.deepEqual(parseRangeHeader('Bytes = 0-0', SIZE), { ranges: [{ start: 0, end: 0 }] });
+    });
+  });
+});
+
+describe('conditional requests', () => {
+  const etag = '"64-abc"';
+  const mtimeMs = Date.parse('2025-04-15T17:38:12Z');
+
+  test('If-Range with the strong validator matches', () => {
+    assert.equal(ifRangeMatches(etag, etag, mtimeMs), true);
+  });
+
+  test('If-Range with a weak validator never matches', () => {
+    assert.equal(ifRangeMatches(`W/${etag}`, etag, mtimeMs), false);
+  });
+
+  test('If-Range with another validator does not match', () => {
+    assert.equal(ifRangeMatches('"other"', etag, mtimeMs), false);
+  });
+
+  test('If-Range with the modification date matches', () => {
+    assert.equal(ifRangeMatches(new Date(mtimeMs).toUTCString(), etag, mtimeMs), true);
+    assert.equal(ifRangeMatches(new Date(mtimeMs - 5000).toUTCString(), etag, mtimeMs), false);
+  });
+
+  test('If-None-Match with a weak validator gives 304', () => {
+    assert.equal(evaluatePreconditions({ 'if-none-match': `W/${etag}` }, etag, mtimeMs), 304);
+  });
+
+  test('If-None-Match with another validator passes', () => {
+    assert.equal(evaluatePreconditions({ 'if-none-match': '"other", W/"more"' }, etag, mtimeMs), null);
+  });
+
+  test('If-Match with a weak validator fails with 412', () => {
+    assert.equal(evaluatePreconditions({ 'if-match': `W/${etag}` }, etag, mtimeMs), 412);
+    assert.equal(evaluatePreconditions({ 'if-match': etag }, etag, mtimeMs), null);
+  });
+
+  test('If-Modified-Since is ignored when If-None-Match is present', () => {
+    const headers = { 'if-none-match': '"other"', 'if-modified-since': new Date(mtimeMs).toUTCString() };
+    assert.equal(evaluatePreconditions(headers, etag, mtimeMs), null);
+  });
+
+  test('If-Unmodified-Since before the modification gives 412', () => {
+    const headers = { 'if-unmodified-since': new Date(mtimeMs - 60000).toUTCString() };
+    assert.equal(evaluatePreconditions(headers, etag, mtimeMs), 412);
+  });
+});
+
+describe('sendFileWithRanges', () => {
+  let dir;
+  let filePath;
+  let server;
+  let baseUrl;
+  let etag;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'range-serving-'));
+    filePath = path.join(dir, 'clip.mp4');
+    await fs.writeFile(filePath, CONTENT);
+    etag = createEtag(await fs.stat(filePath));
+
+    const app = express();
+    app.get('/clip', (req, res) => sendFileWithRanges(req, res, filePath, 'video/mp4'));
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/clip`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('without a range the whole file is sent', async () => {
+    const response = await fetch(baseUrl);
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('accept-ranges'), 'bytes');
+    assert.equal(await response.text(), CONTENT);
+  });
+
+  test('a suffix range is partial content', async () => {
+    const response = await fetch(baseUrl, { headers: { Range: 'bytes=-5' } });
+    assert.equal(response.status, 206);
+    assert.equal(response.headers.get('content-range'), `bytes 95-99/${SIZE}`);
+    assert.equal(await response.text(), '56789');
+  });
+
+  test('an out-of-bounds start is 416 with the file size', async () => {
+    const response = await fetch(baseUrl, { headers: { Range: `bytes=${SIZE}-` } });
+    assert.equal(response.status, 416);
+    assert.equal(response.headers.get('content-range'), `bytes */${SIZE}`);
+  });
+
+  test('a malformed range sends the whole file', async () => {
+    const response = await fetch(baseUrl, { headers: { Range: 'bytes=9-1' } });
+    assert.equal(response.status, 200);
+    assert.equal(await response.text(), CONTENT);
+  });
+
+  test('multiple ranges are sent as multipart/byteranges', async () => {
+    const response = await fetch(baseUrl, { headers: { Range: 'bytes=0-1, 2-3, 50-51' } });
+    assert.equal(response.status, 206);
+    const boundary = /boundary=(\w+)/.exec(response.headers.get('content-type'))[1];
+    const body = await response.text();
+    assert.equal(Number(response.headers.get('content-length')), Buffer.byteLength(body));
+    // 0-1 and 2-3 are coalesced into one part
+    const parts = body.split(`--${boundary}`).slice(1, -1);
+    assert.equal(parts.length, 2);
+    assert.match(parts[0], /Content-Range: bytes 0-3\/100\r\n\r\n0123\r\n$/);
+    assert.match(parts[1], /Content-Range: bytes 50-51\/100\r\n\r\n01\r\n$/);
+  });
+
+  test('If-Range with the strong validator honours the range', async () => {
+    const response = await fetch(baseUrl, { headers: { Range: 'bytes=0-4', 'If-Range': etag } });
+    assert.equal(response.status, 206);
+    assert.equal(await response.text(), '01234');
+  });
+
+  test('If-Range with a weak validator sends the whole file', async () => {
+    const response = await fetch(baseUrl, { headers: { Range: 'bytes=0-4', 'If-Range': `W/${etag}` } });
+    assert.equal(response.status, 200);
+    assert.equal(await response.text(), CONTENT);
+  });
+
+  test('If-None-Match with a weak validator is 304', async () => {
+    const response = await fetch(baseUrl, { headers: { 'If-None-Match': `W/${etag}` } });
+    assert.equal(response.status, 304);
+  });
+});
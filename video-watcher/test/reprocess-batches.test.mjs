@@ -0,0 +1,88 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ReprocessBatches } from '../server/reprocess-batches.mjs';
+
+let dir;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'reprocess-batches-'));
+});
+
+afterEach(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+/**
+ * Create an initialized store in the temporary folder
+ */
+async function openBatches() {
+  const batches = new ReprocessBatches();
+  await batches.initialize(path.join(dir, 'queue', 'reprocess-batches.json'));
+  return batches;
+}
+
+/**
+ * A batch of the given videos, each { id, videoFileName, jobId }
+ */
+function details(videos) {
+  return { filter: { model: 'gemini-1.5-flash' }, settings: { model: 'gemini-2.0-flash' }, estimate: null, videos, skipped: [] };
+}
+
+describe('ReprocessBatches', () => {
+  test('batches are stored newest first and reloaded', async () => {
+    const batches = await openBatches();
+    const first = await batches.create(details([]));
+    const second = await batches.create(details([]));
+    assert.match(first.id, /^reprocess_\d+_[a-z0-9]+$/);
+    assert.deepEqual(batches.list().map(batch => batch.id), [second.id, first.id]);
+
+    const reopened = await openBatches();
+    assert.deepEqual(reopened.list(), batches.list());
+    assert.deepEqual(reopened.get(first.id).settings, { model: 'gemini-2.0-flash' });
+    assert.equal(reopened.get('reprocess_missing'), undefined);
+  });
+
+  test('only the 50 newest batches are kept', async () => {
+    const batches = await openBatches();
+    // Created without waiting, so the writes queue up and the last one must win
+    for (let i = 0; i < 51; i++) {
+      batches.create(details([]));
+    }
+    await batches.persist();
+    assert.equal(batches.list().length, 50);
+    assert.equal((await openBatches()).list().length, 50);
+  });
+
+  test('progress is read from the jobs of the batch', async () => {
+    const batches = await openBatches();
+    const batch = await batches.create(details([
+      { id: 'video_1', videoFileName: 'a.mp4', jobId: 'job_1' },
+      { id: 'video_2', videoFileName: 'b.mp4', jobId: 'job_2' },
+      { id: 'video_3', videoFileName: 'c.mp4', jobId: 'job_3' },
+      { id: 'video_4', videoFileName: 'd.mp4', jobId: 'job_gone' }
+    ]));
+    const jobs = {
+      job_1: { status: 'succeeded' },
+      job_2: { status: 'failed', error: 'quota' },
+      job_3: { status: 'running' }
+    };
+    const jobQueue = { get: id => jobs[id] };
+
+    assert.deepEqual(batches.progress(batch, jobQueue), {
+      total: 4, queued: 0, running: 1, succeeded: 1, failed: 1, unknown: 1, done: false,
+      failures: [{ id: 'video_2', videoFileName: 'b.mp4', error: 'quota' }]
+    });
+
+    jobs.job_3.status = 'succeeded';
+    assert.equal(batches.progress(batch, jobQueue).done, true);
+  });
+
+  test('an unreadable store starts empty', async () => {
+    await fs.mkdir(path.join(dir, 'queue'));
+    await fs.writeFile(path.join(dir, 'queue', 'reprocess-batches.json'), '{ not json');
+    assert.deepEqual((await openBatches()).list(), []);
+  });
+});
@@ -0,0 +1,97 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { resolveSafePath, PathSecurityError } from '../server/safe-path.mjs';
+
+const VIDEO_EXTENSIONS = ['.mp4', '.mkv'];
+
+let root;
+let base;
+
+before(async () => {
+  root = await fs.mkdtemp(path.join(os.tmpdir(), 'safe-path-'));
+  base = path.join(root, 'videos');
+  await fs.mkdir(path.join(base, 'sub'), { recursive: true });
+  await fs.writeFile(path.join(base, 'clip.mp4'), '');
+  await fs.writeFile(path.join(root, 'secret.mp4'), '');
+  await fs.symlink(path.join(root, 'secret.mp4'), path.join(base, 'escape.mp4'));
+  await fs.symlink(root, path.join(base, 'outside'));
+});
+
+after(async () => {
+  await fs.rm(root, { recursive: true, force: true });
+});
+
+/**
+ * Assert that a name is rejected with the given status
+ */
+async function assertRejected(name, status, options = { extensions: VIDEO_EXTENSIONS }) {
+  await assert.rejects(
+    resolveSafePath(base, name, options),
+    error => error instanceof PathSecurityError && error.status === status,
+    `expected ${JSON.stringify(name)} to be rejected with ${status}`
+  );
+}
+
+describe('resolveSafePath', () => {
+  describe('rejects malicious names', () => {
+    const malformed = [
+      '',
+      '.',
+      '..',
+      '../secret.mp4',
+      '../../etc/passwd.mp4',
+      '..\\secret.mp4',
+      'sub/../../secret.mp4',
+      '/etc/passwd.mp4',
+      '\\\\server\\share\\clip.mp4',
+      'C:\\Windows\\clip.mp4',
+      'C:clip.mp4',
+      'clip.mp4:stream',
+      'clip.mp4\0.jpg',
+      'sub/clip.mp4',
+      'sub\\clip.mp4',
+      `${'a'.repeat(300)}.mp4`
+    ];
+    for (const name of malformed) {
+      test(`${JSON.stringify(name.length > 40 ? `${name.slice(0, 40)}...` : name)} is a bad request`, async () => {
+        await assertRejected(name, 400);
+      });
+    }
+
+    for (const name of ['clip.exe', 'clip.mp4.sh', 'clip', '.htaccess']) {
+      test(`${JSON.stringify(name)} has a forbidden extension`, async () => {
+        await assertRejected(name, 403);
+      });
+    }
+
+    test('a symlink to a file outside the folder is forbidden', async () => {
+      await assertRejected('escape.mp4', 403);
+    });
+
+    test('a name through a symlinked folder is forbidden', async () => {
+      await assertRejected('outside/secret.mp4', 403, { extensions: VIDEO_EXTENSIONS, allowSubdirectories: true });
+    });
+
+    test('nested names still may not climb out', async () => {
+      await assertRejected('sub/../../secret.mp4', 400, { allowSubdirectories: true });
+      await assertRejected('sub//clip.mp4', 400, { allowSubdirectories: true });
+    });
+  });
+
+  describe('accepts valid names', () => {
+    const valid = ['clip.mp4', 'missing.mkv', '..foo.mp4', 'a..b.mp4', '...mp4', '%2e%2e%2fx.mp4', 'CLIP.MP4', 'with space.mp4'];
+    for (const name of valid) {
+      test(JSON.stringify(name), async () => {
+        assert.equal(await resolveSafePath(base, name, { extensions: VIDEO_EXTENSIONS }), path.join(base, name));
+      });
+    }
+
+    test('nested names when subdirectories are allowed', async () => {
+      const resolved = await resolveSafePath(base, 'sub/clip.mp4', { allowSubdirectories: true });
+      assert.equal(resolved, path.join(base, 'sub', 'clip.mp4'));
+    });
+  });
+});
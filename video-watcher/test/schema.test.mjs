@@ -0,0 +1,81 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { validate } from '../server/providers/schema.mjs';
+import { MockProvider } from '../server/providers/mock.mjs';
+import { SCHEMAS } from '../server/structured-output.mjs';
+
+const SEGMENT = {
+  type: 'object',
+  properties: {
+    start: { anyOf: [{ type: 'number' }, { type: 'string' }] },
+    kind: { type: 'string', enum: ['talk', 'code'] },
+    tags: { type: 'array', items: { type: 'string' } }
+  },
+  required: ['start', 'kind']
+};
+
+describe('validate', () => {
+  test('a matching value has no errors', () => {
+    assert.deepEqual(validate({ start: 12, kind: 'talk', tags: ['a'] }, SEGMENT), []);
+    assert.deepEqual(validate({ start: '0:12', kind: 'code' }, SEGMENT), []);
+  });
+
+  test('integers are numbers but numbers are not integers', () => {
+    assert.deepEqual(validate(3, { type: 'number' }), []);
+    assert.deepEqual(validate(3.5, { type: 'integer' }), ['$: expected integer, got number']);
+  });
+
+  test('errors name the path of the value', () => {
+    assert.deepEqual(validate({ start: null, kind: 'music', tags: ['a', 2] }, SEGMENT), [
+      '$.start: expected number or string, got null',
+      '$.kind: must be one of talk, code',
+      '$.tags[1]: expected string, got integer'
+    ]);
+    assert.deepEqual(validate([], SEGMENT), ['$: expected object, got array']);
+    assert.deepEqual(validate({ start: 1 }, SEGMENT), ['$.kind: is required']);
+  });
+
+  test('unknown properties fail only in strict mode', () => {
+    const value = { start: 1, kind: 'talk', mood: 'happy' };
+    assert.deepEqual(validate(value, SEGMENT), []);
+    assert.deepEqual(validate(value, SEGMENT, { strict: true }), ['$.mood: is not in the schema']);
+  });
+});
+
+describe('mock provider', () => {
+  let fixturesDir;
+
+  before(async () => {
+    fixturesDir = await fs.mkdtemp(path.join(os.tmpdir(), 'schema-'));
+    await fs.writeFile(path.join(fixturesDir, 'extra-field.json'), JSON.stringify({
+      data: { start: 1, kind: 'talk', mood: 'happy' }
+    }));
+  });
+
+  after(async () => {
+    await fs.rm(fixturesDir, { recursive: true, force: true });
+  });
+
+  test('fixture data with fields outside the response schema fails', async () => {
+    const provider = new MockProvider(fixturesDir);
+    await assert.rejects(
+      provider.generateText({ task: 'extra-field', responseSchema: SEGMENT }),
+      /Mock fixture for task "extra-field" does not match its response schema: \$\.mood: is not in the schema/
+    );
+    // Without a schema the fixture is returned as it is
+    const { text } = await provider.generateText({ task: 'extra-field' });
+    assert.deepEqual(JSON.parse(text), { start: 1, kind: 'talk', mood: 'happy' });
+  });
+
+  test('every bundled fixture matches the schema of its task', async () => {
+    const provider = new MockProvider();
+    const context = { items: [{ filename: 'demo.json' }] };
+    for (const [task, responseSchema] of Object.entries(SCHEMAS)) {
+      const { data } = await provider.generateJson({ task, context, file: { displayName: 'demo.mp4' }, responseSchema });
+      assert.deepEqual(validate(data, responseSchema, { strict: true }), [], task);
+    }
+  });
+});
@@ -0,0 +1,83 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTimestamp, formatTimestamp, normalizeSegments } from '../server/segments.mjs';
+import { KeywordIndex } from '../server/keyword-index.mjs';
+
+describe('parseTimestamp', () => {
+  test('seconds, mm:ss and hh:mm:ss are read', () => {
+    assert.equal(parseTimestamp(75), 75);
+    assert.equal(parseTimestamp('42'), 42);
+    assert.equal(parseTimestamp('1:15'), 75);
+    assert.equal(parseTimestamp(' 1:02:03.5 '), 3723.5);
+  });
+
+  test('unreadable values give null', () => {
+    assert.equal(parseTimestamp(-1), null);
+    assert.equal(parseTimestamp(Number.NaN), null);
+    assert.equal(parseTimestamp('1:2:3:4'), null);
+    assert.equal(parseTimestamp('1m15s'), null);
+    assert.equal(parseTimestamp(null), null);
+  });
+});
+
+describe('formatTimestamp', () => {
+  test('minutes are shown without hours below an hour', () => {
+    assert.equal(formatTimestamp(0), '0:00');
+    assert.equal(formatTimestamp(75.9), '1:15');
+    assert.equal(formatTimestamp(3723), '1:02:03');
+  });
+});
+
+describe('normalizeSegments', () => {
+  test('segments are converted to seconds and ordered', () => {
+    const segments = normalizeSegments([
+      { start: '1:00', end: '1:30', summary: 'Second', transcript: 'hello' },
+      { start: 0, end: '0:45', summary: 'First', actions: 'Opens the editor' }
+    ]);
+    assert.deepEqual(segments, [
+      { start: 0, end: 45, summary: 'First', transcript: '', actions: 'Opens the editor' },
+      { start: 60, end: 90, summary: 'Second', transcript: 'hello', actions: '' }
+    ]);
+  });
+
+  test('a missing or earlier end becomes the start', () => {
+    const segments = normalizeSegments([{ start: '0:30' }, { start: '1:00', end: '0:10' }]);
+    assert.deepEqual(segments.map(({ start, end }) => [start, end]), [[30, 30], [60, 60]]);
+  });
+
+  test('segments without a readable start are dropped', () => {
+    assert.deepEqual(normalizeSegments([null, 'text', { start: 'soon', summary: 'Lost' }]), []);
+    assert.deepEqual(normalizeSegments('not a list'), []);
+  });
+});
+
+describe('keyword search in segments', () => {
+  const index = new KeywordIndex();
+  index.add('demo.json', {
+    videoFileName: 'demo.mp4',
+    analysis: {
+      summary: 'Product demo',
+      segments: [
+        { start: 0, end: 60, summary: 'Introduction of the team' },
+        { start: 60, end: 180, summary: 'Walkthrough of the billing page', transcript: 'billing totals and invoices' }
+      ]
+    }
+  });
+
+  test('the best matching segment is the moment of the hit', () => {
+    const [hit] = index.search('billing invoices');
+    assert.deepEqual(hit.moment, { start: 60, end: 180 });
+  });
+
+  test('segment snippets carry the segment times', () => {
+    const [hit] = index.search('invoices');
+    const snippet = hit.snippets.find(s => s.field === 'segment');
+    assert.equal(snippet.start, 60);
+    assert.equal(snippet.end, 180);
+  });
+
+  test('an entry without a matching segment has no moment', () => {
+    assert.equal(index.locate('demo.json', 'product'), null);
+    assert.equal(index.locate('missing.json', 'billing'), null);
+  });
+});
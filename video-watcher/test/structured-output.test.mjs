@@ -0,0 +1,100 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// Answers come from fixtures written below; the retry count is read when the module loads
+const fixturesDir = await fs.mkdtemp(path.join(os.tmpdir(), 'structured-output-'));
+process.env.MODEL_PROVIDER = 'mock';
+process.env.MOCK_FIXTURES_DIR = fixturesDir;
+process.env.STRUCTURED_OUTPUT_RETRIES = '1';
+const { repairJson, parseStructured, generateStructured, StructuredOutputError } = await import('../server/structured-output.mjs');
+const { JsonResponseError } = await import('../server/providers/json-response.mjs');
+
+const SCHEMA = {
+  type: 'object',
+  properties: { summary: { type: 'string' }, tags: { type: 'array', items: { type: 'string' } } },
+  required: ['summary', 'tags']
+};
+
+// Raw response of each task
+const FIXTURES = {
+  valid: '{"summary": "Demo", "tags": ["a"]}',
+  truncated: '```json\n{"summary": "Demo", "tags": ["a", "b',
+  'wrong-shape': '{"summary": 42}',
+  prose: 'I could not watch the video.'
+};
+
+before(async () => {
+  for (const [task, text] of Object.entries(FIXTURES)) {
+    await fs.writeFile(path.join(fixturesDir, `${task}.json`), JSON.stringify({ text }));
+  }
+});
+
+after(async () => {
+  await fs.rm(fixturesDir, { recursive: true, force: true });
+});
+
+describe('repairJson', () => {
+  test('JSON is taken out of code fences and prose', () => {
+    assert.deepEqual(repairJson('Here you go:\n```json\n{"a": 1}\n```\nAnything else?'), { a: 1 });
+    assert.deepEqual(repairJson('The answer is {"a": [1, 2]} as requested.'), { a: [1, 2] });
+  });
+
+  test('trailing commas are dropped', () => {
+    assert.deepEqual(repairJson('{"a": [1, 2,], "b": 3,}'), { a: [1, 2], b: 3 });
+  });
+
+  test('a cut off response is closed', () => {
+    assert.deepEqual(repairJson('{"a": {"b": [1, 2'), { a: { b: [1, 2] } });
+    assert.deepEqual(repairJson('{"summary": "unfinished sent'), { summary: 'unfinished sent' });
+  });
+
+  test('an element cut off mid-key is dropped', () => {
+    assert.deepEqual(repairJson('[{"a": 1}, {"a": 2}, {"a'), [{ a: 1 }, { a: 2 }]);
+  });
+
+  test('responses without JSON fail', () => {
+    assert.throws(() => repairJson('no json here'), SyntaxError);
+  });
+});
+
+describe('parseStructured', () => {
+  test('only responses that needed a repair are marked as repaired', () => {
+    assert.deepEqual(parseStructured('```json\n{"a": 1}\n```'), { value: { a: 1 }, repaired: false });
+    assert.deepEqual(parseStructured('{"a": 1,}'), { value: { a: 1 }, repaired: true });
+  });
+});
+
+describe('generateStructured', () => {
+  test('a valid response is returned on the first attempt', async () => {
+    const result = await generateStructured({ task: 'valid', schema: SCHEMA, prompt: 'Describe' });
+    assert.deepEqual(result.data, { summary: 'Demo', tags: ['a'] });
+    assert.equal(result.attempts, 1);
+    assert.deepEqual(result.failures, []);
+  });
+
+  test('a repaired response is used and recorded', async () => {
+    const result = await generateStructured({ task: 'truncated', schema: SCHEMA, prompt: 'Describe' });
+    assert.deepEqual(result.data, { summary: 'Demo', tags: ['a', 'b'] });
+    assert.deepEqual(result.failures.map(failure => failure.stage), ['repair']);
+  });
+
+  test('responses that never match the schema fail after the retries', async () => {
+    const error = await generateStructured({ task: 'wrong-shape', schema: SCHEMA, prompt: 'Describe' }).catch(e => e);
+    assert.ok(error instanceof StructuredOutputError);
+    assert.ok(error instanceof JsonResponseError);
+    assert.equal(error.message, 'No valid response for wrong-shape after 2 attempts');
+    assert.equal(error.text, FIXTURES['wrong-shape']);
+    assert.deepEqual(error.failures.map(failure => [failure.stage, failure.attempt]), [['validation', 1], ['validation', 2]]);
+    assert.deepEqual(error.failures[0].errors, ['$.tags: is required', '$.summary: expected string, got integer']);
+  });
+
+  test('responses that are not JSON are recorded as parse failures', async () => {
+    const error = await generateStructured({ task: 'prose', schema: SCHEMA, prompt: 'Describe' }).catch(e => e);
+    assert.ok(error instanceof StructuredOutputError);
+    assert.equal(error.failures[0].stage, 'parse');
+    assert.equal(error.failures[0].excerpt, FIXTURES.prose);
+  });
+});
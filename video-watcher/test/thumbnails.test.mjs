@@ -0,0 +1,87 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// Stand-in for ffmpeg: a 100 second video whose frame at 50s is black but
+// busiest, at 33.33s the most detailed of the rest, and whose first scene change is at 12.5s
+const FAKE_FFMPEG = `#!/usr/bin/env node
+const fs = require('fs');
+const args = process.argv.slice(2);
+const time = args.includes('-ss') ? parseFloat(args[args.indexOf('-ss') + 1]) : 0;
+if (args.includes('signalstats,entropy,metadata=print')) {
+  const [luma, entropy] = Math.round(time) === 50 ? [5, 0.9] : Math.round(time) === 33 ? [120, 0.7] : [120, 0.4];
+  console.error('[Parsed_metadata_2 @ 0x1] lavfi.signalstats.YAVG=' + luma);
+  console.error('[Parsed_metadata_2 @ 0x1] lavfi.entropy.normalized_entropy.normal.Y=' + entropy);
+} else if (args.some(arg => arg.startsWith('select='))) {
+  console.error('[Parsed_showinfo_1 @ 0x1] n:0 pts:12500 pts_time:12.5');
+}
+const output = args[args.length - 1];
+if (output !== '-') fs.writeFileSync(output, 'jpeg');
+`;
+
+// Stand-in for ffprobe: the duration comes from FAKE_DURATION, which fails the probe when unset
+const FAKE_FFPROBE = `#!/usr/bin/env node
+if (!process.env.FAKE_DURATION) process.exit(1);
+console.log(process.env.FAKE_DURATION);
+`;
+
+const binFolder = await fs.mkdtemp(path.join(os.tmpdir(), 'thumbnails-bin-'));
+process.env.FFMPEG_PATH = path.join(binFolder, 'ffmpeg');
+process.env.FFPROBE_PATH = path.join(binFolder, 'ffprobe');
+process.env.FAKE_DURATION = '100';
+const { generateThumbnail } = await import('../server/thumbnails.mjs');
+
+let folder;
+let thumbnailPath;
+
+before(async () => {
+  await fs.writeFile(process.env.FFMPEG_PATH, FAKE_FFMPEG, { mode: 0o755 });
+  await fs.writeFile(process.env.FFPROBE_PATH, FAKE_FFPROBE, { mode: 0o755 });
+  folder = await fs.mkdtemp(path.join(os.tmpdir(), 'thumbnails-'));
+  thumbnailPath = path.join(folder, 'demo.jpg');
+});
+
+after(async () => {
+  await fs.rm(folder, { recursive: true, force: true });
+  await fs.rm(binFolder, { recursive: true, force: true });
+});
+
+describe('generateThumbnail', () => {
+  test('offset uses a fixed time', async () => {
+    assert.deepEqual(await generateThumbnail('demo.mp4', thumbnailPath, { strategy: 'offset' }), { time: 5, strategy: 'offset' });
+    assert.equal(await fs.readFile(thumbnailPath, 'utf-8'), 'jpeg');
+  });
+
+  test('percent uses a position in the video', async () => {
+    assert.deepEqual(await generateThumbnail('demo.mp4', thumbnailPath, { strategy: 'percent' }), { time: 10, strategy: 'percent' });
+  });
+
+  test('best picks the most detailed frame that is not blank', async () => {
+    assert.deepEqual(await generateThumbnail('demo.mp4', thumbnailPath, { strategy: 'best' }), { time: 33.33, strategy: 'best' });
+  });
+
+  test('scene uses the first scene change', async () => {
+    assert.deepEqual(await generateThumbnail('demo.mp4', thumbnailPath, { strategy: 'scene' }), { time: 12.5, strategy: 'scene' });
+  });
+
+  test('a manual time is kept inside the video', async () => {
+    assert.deepEqual(await generateThumbnail('demo.mp4', thumbnailPath, { time: 42 }), { time: 42, strategy: 'manual' });
+    assert.deepEqual(await generateThumbnail('demo.mp4', thumbnailPath, { time: 500 }), { time: 99.5, strategy: 'manual' });
+  });
+
+  test('a failing strategy falls back to the percent frame', async () => {
+    const result = await generateThumbnail('demo.mp4', thumbnailPath, { strategy: 'unknown' });
+    assert.deepEqual(result, { time: 10, strategy: 'percent' });
+  });
+
+  test('without a duration the first frame is used', async () => {
+    delete process.env.FAKE_DURATION;
+    try {
+      assert.deepEqual(await generateThumbnail('demo.mp4', thumbnailPath, { strategy: 'best' }), { time: 0, strategy: 'best' });
+    } finally {
+      process.env.FAKE_DURATION = '100';
+    }
+  });
+});
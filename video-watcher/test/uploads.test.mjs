@@ -0,0 +1,53 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { reserveUploadName } from '../server/uploads.mjs';
+
+let folder;
+
+beforeEach(async () => {
+  folder = path.join(await fs.mkdtemp(path.join(os.tmpdir(), 'uploads-')), 'ingest');
+});
+
+afterEach(async () => {
+  await fs.rm(path.dirname(folder), { recursive: true, force: true });
+});
+
+describe('reserveUploadName', () => {
+  test('a new name is kept and reserved as an empty file', async () => {
+    assert.equal(await reserveUploadName(folder, 'clip.mp4'), 'clip.mp4');
+    assert.equal((await fs.stat(path.join(folder, 'clip.mp4'))).size, 0);
+  });
+
+  test('the extension is lower-cased and unsafe characters are replaced', async () => {
+    assert.equal(await reserveUploadName(folder, 'my:clip*.MP4'), 'my_clip_.mp4');
+  });
+
+  test('directories in the name are dropped', async () => {
+    assert.equal(await reserveUploadName(folder, '../../etc/clip.mp4'), 'clip.mp4');
+  });
+
+  test('an empty name becomes upload', async () => {
+    assert.equal(await reserveUploadName(folder, ''), 'upload');
+  });
+
+  test('an existing file gets a numbered name', async () => {
+    await fs.mkdir(folder, { recursive: true });
+    await fs.writeFile(path.join(folder, 'clip.mp4'), 'data');
+    assert.equal(await reserveUploadName(folder, 'clip.mp4'), 'clip-1.mp4');
+    assert.equal(await fs.readFile(path.join(folder, 'clip.mp4'), 'utf-8'), 'data');
+  });
+
+  test('names that already have a dataset entry are skipped', async () => {
+    const taken = new Set(['clip.mp4', 'clip-1.mp4']);
+    assert.equal(await reserveUploadName(folder, 'clip.mp4', taken), 'clip-2.mp4');
+  });
+
+  test('concurrent uploads of the same name never share one', async () => {
+    const names = await Promise.all(Array.from({ length: 5 }, () => reserveUploadName(folder, 'clip.mp4')));
+    assert.equal(new Set(names).size, 5);
+    assert.deepEqual([...names].sort(), ['clip-1.mp4', 'clip-2.mp4', 'clip-3.mp4', 'clip-4.mp4', 'clip.mp4']);
+  });
+});
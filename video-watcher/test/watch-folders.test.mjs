@@ -0,0 +1,120 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const configFolder = await fs.mkdtemp(path.join(os.tmpdir(), 'watch-folders-'));
+const configPath = path.join(configFolder, 'watch-folders.json');
+// The config path is read when the module loads
+process.env.WATCH_CONFIG = configPath;
+const { createFolder, loadWatchFolders, matchesWatchFolder, findWatchFolder, listWatchFolderVideos } =
+  await import('../server/watch-folders.mjs');
+
+after(async () => {
+  await fs.rm(configFolder, { recursive: true, force: true });
+});
+
+/**
+ * Write the config file with the given folders
+ */
+async function writeConfig(folders) {
+  await fs.writeFile(configPath, JSON.stringify({ folders }));
+}
+
+describe('loadWatchFolders', () => {
+  test('without a config file only the fallback folder is watched', async () => {
+    await fs.rm(configPath, { force: true });
+    const folders = await loadWatchFolders('recordings');
+    assert.deepEqual(folders, [createFolder('recordings', 'default')]);
+    assert.equal(folders[0].path, path.resolve('recordings'));
+  });
+
+  test('folders get the default settings and paths relative to the config file', async () => {
+    await writeConfig([{ path: 'obs', mode: 'segments' }, { name: 'calls', path: '/data/calls', patterns: ['*.mkv'], depth: 1 }]);
+    const [obs, calls] = await loadWatchFolders('recordings');
+    assert.equal(obs.name, 'obs');
+    assert.equal(obs.path, path.join(configFolder, 'obs'));
+    assert.equal(obs.mode, 'segments');
+    assert.deepEqual(obs.patterns, ['*']);
+    assert.equal(obs.inference, true);
+    assert.equal(calls.path, '/data/calls');
+    assert.equal(calls.depth, 1);
+  });
+
+  test('invalid settings are rejected with the folder name', async () => {
+    await writeConfig([{ name: 'obs', path: 'obs', depth: -1 }]);
+    await assert.rejects(loadWatchFolders('recordings'), /Invalid watch folder "obs": depth must be a non-negative integer/);
+
+    await writeConfig([{ path: 'obs', mode: 'frames' }]);
+    await assert.rejects(loadWatchFolders('recordings'), /mode must be one of: summary, segments/);
+
+    await writeConfig([{ path: 'obs', promptFile: 'missing.txt' }]);
+    await assert.rejects(loadWatchFolders('recordings'), /could not read promptFile/);
+  });
+
+  test('folder names must be unique and at least one folder is needed', async () => {
+    await writeConfig([{ path: 'a/obs' }, { path: 'b/obs' }]);
+    await assert.rejects(loadWatchFolders('recordings'), /"obs" is used more than once/);
+
+    await writeConfig([]);
+    await assert.rejects(loadWatchFolders('recordings'), /must list at least one folder/);
+  });
+});
+
+describe('matchesWatchFolder', () => {
+  const folder = { ...createFolder('/data/obs', 'obs'), depth: 1, patterns: ['meeting-*', '*.mkv'] };
+
+  test('files must match a pattern and be videos', () => {
+    assert.equal(matchesWatchFolder(folder, '/data/obs/meeting-1.mp4'), true);
+    assert.equal(matchesWatchFolder(folder, '/data/obs/Demo.MKV'), true);
+    assert.equal(matchesWatchFolder(folder, '/data/obs/demo.mp4'), false);
+    assert.equal(matchesWatchFolder(folder, '/data/obs/meeting-notes.txt'), false);
+  });
+
+  test('sub folders are matched down to the depth', () => {
+    assert.equal(matchesWatchFolder(folder, '/data/obs/2025/meeting-1.mp4'), true);
+    assert.equal(matchesWatchFolder(folder, '/data/obs/2025/04/meeting-1.mp4'), false);
+  });
+
+  test('files outside the folder never match, even when their name starts with dots', () => {
+    assert.equal(matchesWatchFolder(folder, '/data/obs'), false);
+    assert.equal(matchesWatchFolder(folder, '/data/obs-old/meeting-1.mp4'), false);
+    assert.equal(matchesWatchFolder(folder, '/data/obs/../meeting-1.mp4'), false);
+    assert.equal(matchesWatchFolder({ ...folder, patterns: ['*'] }, '/data/obs/..take2.mp4'), true);
+  });
+});
+
+describe('findWatchFolder', () => {
+  const folders = [
+    { ...createFolder('/data', 'all'), depth: 2 },
+    createFolder('/data/obs', 'obs')
+  ];
+
+  test('the most specific folder wins', () => {
+    assert.equal(findWatchFolder(folders, '/data/obs/demo.mp4').name, 'obs');
+    assert.equal(findWatchFolder(folders, '/data/calls/demo.mp4').name, 'all');
+    assert.equal(findWatchFolder(folders, '/home/demo.mp4'), null);
+  });
+});
+
+describe('listWatchFolderVideos', () => {
+  let root;
+
+  before(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'watch-folder-videos-'));
+    for (const file of ['a.mp4', 'notes.txt', '.hidden.mp4', 'day/b.mkv', 'day/deeper/c.mp4', '.trash/d.mp4']) {
+      await fs.mkdir(path.dirname(path.join(root, file)), { recursive: true });
+      await fs.writeFile(path.join(root, file), '');
+    }
+  });
+
+  after(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  test('videos are listed down to the depth, skipping hidden files', async () => {
+    const files = await listWatchFolderVideos({ ...createFolder(root, 'root'), depth: 1 });
+    assert.deepEqual(files.map(file => path.relative(root, file)).sort(), ['a.mp4', path.join('day', 'b.mkv')]);
+  });
+});